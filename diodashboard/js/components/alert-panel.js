@@ -0,0 +1,445 @@
+// Alert rules dialog - lists rules with their current state and edits them (toolbar bell button)
+// Also holds the notification settings: desktop/sound/do-not-disturb and per-rule mute and snooze
+
+import { alertEngine, describeRule, ALERT_STREAMS, ALERT_OPERATORS } from '../utils/alerts.js';
+import { connectionProfiles } from '../utils/connection-profiles.js';
+import { notifier, BUILTIN_RULES } from '../utils/notifier.js';
+import { escapeHtml, formatDuration } from '../utils/formatting.js';
+import { telemetryData, balanceData, systemData, notificationConfig } from '../data/state.js';
+
+const STATE_LABELS = {
+  ok: 'OK',
+  pending: 'Pending',
+  firing: 'Firing',
+  resolved: 'Resolved'
+};
+
+const STREAM_STORES = {
+  telemetry: telemetryData,
+  balance: balanceData,
+  system: systemData
+};
+
+export class AlertPanel {
+  constructor(button) {
+    this.button = button;
+    this.element = null;
+    this.isOpen = false;
+    this.editingRuleId = null;
+    this.init();
+  }
+
+  init() {
+    this.createModal();
+    this.setupEventListeners();
+    this.renderIndicator();
+  }
+
+  createModal() {
+    this.element = document.createElement('div');
+    this.element.className = 'widget-modal-overlay';
+    this.element.style.display = 'none';
+
+    this.element.innerHTML = `
+      <div class="widget-modal-content widget-modal-content-narrow">
+        <div class="widget-modal-header">
+          <h2 class="widget-modal-title">Alerts</h2>
+          <button class="widget-modal-close" aria-label="Close dialog">×</button>
+        </div>
+        <div class="widget-modal-body">
+          <div class="alert-notification-settings">
+            <label class="widget-modal-field widget-modal-checkbox-field">
+              <input class="widget-modal-checkbox" name="desktop" type="checkbox">
+              <span class="widget-modal-label">Desktop notifications</span>
+            </label>
+            <label class="widget-modal-field widget-modal-checkbox-field">
+              <input class="widget-modal-checkbox" name="sound" type="checkbox">
+              <span class="widget-modal-label">Sound</span>
+            </label>
+            <label class="widget-modal-field widget-modal-checkbox-field">
+              <input class="widget-modal-checkbox" name="doNotDisturb" type="checkbox">
+              <span class="widget-modal-label">Do not disturb</span>
+            </label>
+            <span class="alert-permission-note"></span>
+          </div>
+          <div class="alert-rule-list"></div>
+          <div class="alert-builtin-list"></div>
+          <form class="widget-modal-form alert-rule-form">
+            <h3 class="widget-modal-section-title alert-form-title">New rule</h3>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Name</span>
+                <input class="widget-modal-input" name="name" type="text" placeholder="High CPU">
+              </label>
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Severity</span>
+                <select class="widget-modal-input" name="severity">
+                  <option value="warning">Warning</option>
+                  <option value="critical">Critical</option>
+                </select>
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Stream</span>
+                <select class="widget-modal-input" name="stream">
+                  ${ALERT_STREAMS.map(stream => `<option value="${stream}">${stream}</option>`).join('')}
+                </select>
+              </label>
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Metric key</span>
+                <input class="widget-modal-input" name="key" type="text" required list="alert-key-options" placeholder="cpu_usage">
+                <datalist id="alert-key-options"></datalist>
+              </label>
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Node</span>
+                <select class="widget-modal-input" name="source"></select>
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Compare</span>
+                <select class="widget-modal-input" name="type">
+                  <option value="threshold">Value</option>
+                  <option value="change">% change</option>
+                </select>
+              </label>
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Operator</span>
+                <select class="widget-modal-input" name="operator">
+                  ${ALERT_OPERATORS.map(operator => `<option value="${escapeHtml(operator)}">${escapeHtml(operator)}</option>`).join('')}
+                </select>
+              </label>
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Threshold</span>
+                <input class="widget-modal-input" name="threshold" type="number" step="any" required placeholder="85">
+              </label>
+              <label class="widget-modal-field alert-window-field">
+                <span class="widget-modal-label">Window (s)</span>
+                <input class="widget-modal-input" name="windowSeconds" type="number" min="1" placeholder="300">
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">For (s) - condition must hold this long</span>
+                <input class="widget-modal-input" name="forSeconds" type="number" min="0" placeholder="0">
+              </label>
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Hysteresis - margin to clear</span>
+                <input class="widget-modal-input" name="hysteresis" type="number" min="0" step="any" placeholder="0">
+              </label>
+            </div>
+            <div class="widget-modal-actions">
+              <button type="button" class="widget-modal-btn secondary" data-action="new">New rule</button>
+              <button type="submit" class="widget-modal-btn">Save rule</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.element);
+
+    this.settingsElement = this.element.querySelector('.alert-notification-settings');
+    this.listElement = this.element.querySelector('.alert-rule-list');
+    this.builtinElement = this.element.querySelector('.alert-builtin-list');
+    this.form = this.element.querySelector('.alert-rule-form');
+    this.formTitle = this.element.querySelector('.alert-form-title');
+    this.keyOptions = this.element.querySelector('#alert-key-options');
+    this.windowField = this.element.querySelector('.alert-window-field');
+  }
+
+  setupEventListeners() {
+    if (this.button) {
+      this.button.addEventListener('click', () => this.open());
+    }
+
+    // Close when clicking overlay or close button
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element || e.target.closest('.widget-modal-close')) {
+        this.close();
+      }
+    });
+
+    // Rule list actions
+    [this.listElement, this.builtinElement].forEach(list => {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const ruleId = button.closest('[data-rule-id]')?.getAttribute('data-rule-id');
+        switch (button.getAttribute('data-action')) {
+          case 'toggle': {
+            const rule = alertEngine.getRule(ruleId);
+            if (rule) alertEngine.saveRule({ ...rule, enabled: !rule.enabled });
+            this.renderList();
+            break;
+          }
+          case 'mute':
+            notifier.setMuted(ruleId, !notifier.isMuted(ruleId));
+            break;
+          case 'unsnooze':
+            notifier.snooze(ruleId, 0);
+            break;
+          case 'edit':
+            this.editRule(ruleId);
+            break;
+          case 'delete':
+            this.deleteRule(ruleId);
+            break;
+        }
+      });
+
+      list.addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-action="snooze"]');
+        if (!select || !select.value) return;
+        const ruleId = select.closest('[data-rule-id]')?.getAttribute('data-rule-id');
+        notifier.snooze(ruleId, parseInt(select.value, 10));
+      });
+    });
+
+    // Notification settings
+    this.settingsElement.addEventListener('change', (e) => {
+      const input = e.target;
+      switch (input.name) {
+        case 'desktop':
+          notifier.setDesktopEnabled(input.checked);
+          break;
+        case 'sound':
+          notifier.setSoundEnabled(input.checked);
+          break;
+        case 'doNotDisturb':
+          notifier.setDoNotDisturb(input.checked);
+          break;
+      }
+    });
+
+    document.addEventListener('notificationSettingsChange', () => {
+      this.renderIndicator();
+      if (this.isOpen) this.renderList();
+    });
+
+    this.form.querySelector('[data-action="new"]').addEventListener('click', () => this.editRule(null));
+
+    this.form.elements.stream.addEventListener('change', () => this.renderKeyOptions());
+    this.form.elements.source.addEventListener('change', () => this.renderKeyOptions());
+    this.form.elements.type.addEventListener('change', () => this.updateTypeFields());
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveForm();
+    });
+
+    document.addEventListener('alertStateChange', () => {
+      this.renderIndicator();
+      if (this.isOpen) this.renderList();
+    });
+
+    // ESC key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  // Toolbar button shows the number of firing rules
+  renderIndicator() {
+    if (!this.button) return;
+
+    const firing = alertEngine.getFiringCount();
+    const { doNotDisturb } = notifier.getSettings();
+    this.button.setAttribute('data-state', firing > 0 ? 'firing' : 'ok');
+    this.button.title = (firing > 0 ? `Alerts: ${firing} firing` : 'Alerts') + (doNotDisturb ? ' (do not disturb)' : '');
+
+    const icon = this.button.querySelector('.alert-icon');
+    if (icon) {
+      icon.textContent = doNotDisturb ? '🔕' : '🔔';
+    }
+
+    const count = this.button.querySelector('.alert-count');
+    if (count) {
+      count.textContent = firing > 0 ? String(firing) : '';
+    }
+  }
+
+  renderList() {
+    this.renderSettings();
+    this.renderBuiltinList();
+
+    const alerts = alertEngine.getAlerts();
+    if (alerts.length === 0) {
+      this.listElement.innerHTML = '<div class="alert-rule-empty">No alert rules yet</div>';
+      return;
+    }
+
+    const now = Date.now();
+    this.listElement.innerHTML = alerts.map(({ rule, state, value, since }) => `
+      <div class="alert-rule-row ${rule.enabled ? '' : 'disabled'}" data-rule-id="${escapeHtml(rule.id)}" data-state="${state}">
+        <span class="alert-state-badge" data-state="${state}" data-severity="${rule.severity}">${STATE_LABELS[state]}</span>
+        <div class="alert-rule-info">
+          <div class="alert-rule-name">${escapeHtml(rule.name)}</div>
+          <div class="alert-rule-condition">
+            ${escapeHtml(describeRule(rule))} · ${escapeHtml(rule.stream)} · ${escapeHtml(rule.source ? connectionProfiles.getSourceName(rule.source) : 'Active node')}
+          </div>
+          <div class="alert-rule-detail">
+            ${value !== null ? `Value: ${escapeHtml(this.formatRuleValue(rule, value))}` : 'No data yet'}
+            ${since && state !== 'ok' ? ` · ${STATE_LABELS[state].toLowerCase()} for ${formatDuration(now - since)}` : ''}
+          </div>
+        </div>
+        ${this.renderSilenceControls(rule.id)}
+        <button class="widget-modal-btn small secondary" data-action="toggle">${rule.enabled ? 'Disable' : 'Enable'}</button>
+        <button class="widget-modal-btn small secondary" data-action="edit">Edit</button>
+        <button class="widget-modal-btn small danger" data-action="delete">Delete</button>
+      </div>
+    `).join('');
+  }
+
+  renderSettings() {
+    const settings = notifier.getSettings();
+    const elements = this.settingsElement.querySelectorAll('input');
+    elements.forEach(input => {
+      input.checked = settings[input.name] === true;
+    });
+
+    const permission = notifier.getPermission();
+    const note = this.settingsElement.querySelector('.alert-permission-note');
+    note.textContent = permission === 'denied' ? 'Notifications are blocked by the browser' :
+      permission === 'unsupported' ? 'Notifications are not supported by this browser' : '';
+  }
+
+  // Log errors and stream disconnects can be muted and snoozed like rules
+  renderBuiltinList() {
+    this.builtinElement.innerHTML = `
+      <h3 class="widget-modal-section-title">Built-in notifications</h3>
+      ${BUILTIN_RULES.map(rule => `
+        <div class="alert-rule-row" data-rule-id="${escapeHtml(rule.id)}">
+          <div class="alert-rule-info">
+            <div class="alert-rule-name">${escapeHtml(rule.name)}</div>
+            <div class="alert-rule-condition">${escapeHtml(rule.description)}</div>
+          </div>
+          ${this.renderSilenceControls(rule.id)}
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Mute toggle plus snooze picker (or the snooze end time and a button to cancel it)
+  renderSilenceControls(ruleId) {
+    const muted = notifier.isMuted(ruleId);
+    const snoozedUntil = notifier.getSnoozedUntil(ruleId);
+
+    const snooze = snoozedUntil ?
+      `<button class="widget-modal-btn small secondary" data-action="unsnooze" title="Cancel snooze">Snoozed until ${new Date(snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</button>` :
+      `<select class="widget-modal-input alert-snooze-select" data-action="snooze" title="Snooze notifications">
+        <option value="">Snooze</option>
+        ${notificationConfig.snoozeMinutes.map(minutes => `<option value="${minutes}">${minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`}</option>`).join('')}
+      </select>`;
+
+    return `
+      ${snooze}
+      <button class="widget-modal-btn small secondary" data-action="mute">${muted ? 'Unmute' : 'Mute'}</button>
+    `;
+  }
+
+  formatRuleValue(rule, value) {
+    const rounded = Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2);
+    return rule.type === 'change' ? `${value > 0 ? '+' : ''}${rounded}%` : rounded;
+  }
+
+  renderSourceOptions(selected) {
+    const options = [{ id: '', name: 'Active node' }, ...connectionProfiles.getProfiles()];
+    this.form.elements.source.innerHTML = options.map(profile =>
+      `<option value="${escapeHtml(profile.id)}" ${profile.id === (selected || '') ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`
+    ).join('');
+  }
+
+  // Suggest the keys currently cached for the selected stream and node
+  renderKeyOptions() {
+    const stream = this.form.elements.stream.value;
+    const source = this.form.elements.source.value || connectionProfiles.getActiveProfile().id;
+    const keys = Object.keys(STREAM_STORES[stream]?.[source] || {});
+    if (stream === 'system') keys.push('memory_usage');
+
+    this.keyOptions.innerHTML = keys.map(key => `<option value="${escapeHtml(key)}"></option>`).join('');
+  }
+
+  updateTypeFields() {
+    this.windowField.style.display = this.form.elements.type.value === 'change' ? '' : 'none';
+  }
+
+  editRule(ruleId) {
+    const rule = ruleId ? alertEngine.getRule(ruleId) : null;
+    this.editingRuleId = rule ? rule.id : null;
+    this.formTitle.textContent = rule ? `Edit "${rule.name}"` : 'New rule';
+
+    const elements = this.form.elements;
+    elements.name.value = rule?.name || '';
+    elements.severity.value = rule?.severity || 'warning';
+    elements.stream.value = rule?.stream || 'system';
+    elements.key.value = rule?.key || '';
+    elements.type.value = rule?.type || 'threshold';
+    elements.operator.value = rule?.operator || '>';
+    elements.threshold.value = rule ? rule.threshold : '';
+    elements.windowSeconds.value = rule?.windowSeconds || '';
+    elements.forSeconds.value = rule?.forSeconds || '';
+    elements.hysteresis.value = rule?.hysteresis || '';
+
+    this.renderSourceOptions(rule?.source);
+    this.renderKeyOptions();
+    this.updateTypeFields();
+    elements.name.focus();
+  }
+
+  saveForm() {
+    const elements = this.form.elements;
+    const existing = this.editingRuleId ? alertEngine.getRule(this.editingRuleId) : null;
+    const saved = alertEngine.saveRule({
+      id: this.editingRuleId,
+      enabled: existing ? existing.enabled : true,
+      name: elements.name.value,
+      severity: elements.severity.value,
+      stream: elements.stream.value,
+      key: elements.key.value,
+      source: elements.source.value || null,
+      type: elements.type.value,
+      operator: elements.operator.value,
+      threshold: elements.threshold.value,
+      windowSeconds: elements.windowSeconds.value,
+      forSeconds: elements.forSeconds.value,
+      hysteresis: elements.hysteresis.value
+    });
+
+    this.editRule(saved.id);
+    this.renderList();
+  }
+
+  deleteRule(ruleId) {
+    const rule = alertEngine.getRule(ruleId);
+    if (!rule) return;
+
+    if (confirm(`Delete alert rule "${rule.name}"?`)) {
+      alertEngine.deleteRule(ruleId);
+      notifier.forgetRule(ruleId);
+      if (this.editingRuleId === ruleId) {
+        this.editRule(null);
+      }
+      this.renderList();
+    }
+  }
+
+  open() {
+    this.renderList();
+    this.editRule(null);
+
+    this.element.style.display = 'flex';
+    this.isOpen = true;
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.element.style.display = 'none';
+    this.isOpen = false;
+    document.body.style.overflow = '';
+  }
+}
@@ -1,6 +1,9 @@
 // Canvas component with dot grid background for widget placement
 
 import { dragDropManager } from '../utils/drag-drop.js';
+import { undoManager } from '../utils/undo-manager.js';
+import { ResizeManager } from '../utils/resize-manager.js';
+import { widgetRegistry } from '../data/state.js';
 
 const GRID_SIZE = 20;
 const GRID_DOT_SIZE = 1;
@@ -12,6 +15,7 @@ export class Canvas {
     this.element = null;
     this.gridElement = null;
     this.dragDropManager = new dragDropManager.constructor(this);
+    this.resizeManager = new ResizeManager(this);
 
     // Zoom state
     this.scale = 1.0;
@@ -22,6 +26,10 @@ export class Canvas {
     this.isZooming = false;
     this.lastTouchDistance = 0;
 
+    // Rubber-band selection state
+    this.selectionBand = null; // { element, startX, startY, initial: Set of ids kept with Shift }
+    this.justFinishedBand = false;
+
     this.init();
   }
 
@@ -60,6 +68,34 @@ export class Canvas {
 
     // Setup event listeners
     this.setupEventListeners();
+
+    // Widgets can't notice missing updates themselves - re-check their data age every second
+    this.staleCheckInterval = setInterval(() => this.updateStaleStates(), 1000);
+
+    // Alert rules color the borders of the widgets showing their metrics
+    document.addEventListener('alertStateChange', () => this.updateAlertStates());
+
+    undoManager.setCanvas(this);
+  }
+
+  updateAlertStates() {
+    this.widgets.forEach(widget => {
+      try {
+        widget.updateAlertState();
+      } catch (error) {
+        console.error(`Error updating alert state for widget ${widget.id}:`, error);
+      }
+    });
+  }
+
+  updateStaleStates() {
+    this.widgets.forEach(widget => {
+      try {
+        widget.updateStaleState();
+      } catch (error) {
+        console.error(`Error updating stale state for widget ${widget.id}:`, error);
+      }
+    });
   }
 
   createGridBackground() {
@@ -112,12 +148,18 @@ export class Canvas {
   setupEventListeners() {
     // Handle canvas clicks (for selection/deselection)
     this.element.addEventListener('click', (e) => {
+      if (this.justFinishedBand) return;
       if (e.target === this.element) {
         // Clicked on empty canvas - deselect all widgets
         this.deselectAllWidgets();
       }
     });
 
+    // Drag on empty canvas draws a selection rectangle (mouse only - touch drags pan/zoom)
+    this.element.addEventListener('mousedown', this.startSelectionBand.bind(this));
+    this.handleSelectionBandMove = this.handleSelectionBandMove.bind(this);
+    this.endSelectionBand = this.endSelectionBand.bind(this);
+
     // Handle global touch events (for zoom and selection/deselection)
     // Use document level to capture touches anywhere on canvas, including widgets
     document.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
@@ -127,6 +169,12 @@ export class Canvas {
     // Handle widget removal events
     this.element.addEventListener('widgetRemove', this.handleWidgetRemove.bind(this));
 
+    // Containers show or hide their children when collapsed/expanded
+    this.element.addEventListener('containerToggle', (e) => {
+      this.getChildWidgets(e.detail.widgetId).forEach(child => this.updateChildVisibility(child));
+      this.updateCanvasToFitWidgets();
+    });
+
     // Handle right-click on canvas
     this.element.addEventListener('contextmenu', (e) => {
       if (e.target === this.element) {
@@ -138,7 +186,7 @@ export class Canvas {
     // Handle window resize
     window.addEventListener('resize', this.handleResize.bind(this));
 
-    // Handle keyboard zoom (Cmd/Ctrl +/-)
+    // Handle keyboard zoom (Cmd/Ctrl +/-) and undo/redo
     window.addEventListener('keydown', this.handleKeyDown.bind(this));
   }
 
@@ -170,6 +218,16 @@ export class Canvas {
       e.preventDefault();
       this.setScale(1.0); // Reset to 100%
     }
+    // Cmd/Ctrl+Z undo, Cmd/Ctrl+Shift+Z or Ctrl+Y redo - text fields keep their own undo
+    else if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase()) &&
+             !e.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+        undoManager.redo();
+      } else {
+        undoManager.undo();
+      }
+    }
   }
 
   handleTouchStart(e) {
@@ -328,11 +386,16 @@ export class Canvas {
     this.element.appendChild(widget.element);
     this.widgets.set(widget.id, widget);
 
-    // Make widget draggable on canvas
+    // Make widget draggable and resizable on canvas
     this.dragDropManager.makeWidgetDraggable(widget);
+    this.resizeManager.makeWidgetResizable(widget);
 
     // Add widget selection handlers
     this.setupWidgetSelection(widget);
+    this.updateChildVisibility(widget);
+
+    widget.updateStaleState();
+    widget.updateAlertState();
 
     // Ensure widget stays within bounds
     this.constrainWidgetToBounds(widget);
@@ -344,11 +407,22 @@ export class Canvas {
   removeWidget(widgetId) {
     const widget = this.widgets.get(widgetId);
     if (widget) {
-      widget.destroy();
-      this.widgets.delete(widgetId);
+      // A container's children go with it - they're stored inside its entry
+      [...this.getChildWidgets(widgetId), widget].forEach(removed => {
+        removed.destroy();
+        this.widgets.delete(removed.id);
+      });
 
       // Also remove from persistent storage to prevent widget from reappearing on reload
       import('../utils/storage.js').then(module => {
+        const location = module.storageManager.getWidgetLocation(widgetId);
+        if (location) {
+          undoManager.record({
+            type: 'remove',
+            label: 'Remove widget',
+            entries: [{ ...location, widget: module.storageManager.getWidgetById(widgetId) }]
+          });
+        }
         module.storageManager.removeWidget(widgetId);
       });
 
@@ -370,20 +444,152 @@ export class Canvas {
     return Array.from(this.widgets.values());
   }
 
+  isContainer(widget) {
+    return widgetRegistry[widget.type]?.subtype === 'container';
+  }
+
+  getChildWidgets(containerId) {
+    return this.getAllWidgets().filter(widget => widget.parentId === containerId);
+  }
+
+  // Move a widget into a container (or out of one, with a null parentId) - storage is updated
+  // by the caller
+  setWidgetParent(widget, parentId) {
+    widget.parentId = parentId || null;
+    this.updateChildVisibility(widget);
+  }
+
+  // Children of a collapsed container are hidden
+  isHiddenChild(widget) {
+    const parent = this.widgets.get(widget.parentId);
+    return parent ? this.isContainer(parent) && parent.isCollapsed() : false;
+  }
+
+  // Hidden children can't stay selected
+  updateChildVisibility(widget) {
+    const hidden = this.isHiddenChild(widget);
+    widget.element.classList.toggle('container-hidden', hidden);
+    if (hidden) {
+      widget.element.classList.remove('selected');
+    }
+  }
+
+  // Expanded container under the center of `widget` - where a dropped widget joins
+  findContainerAt(widget) {
+    const centerX = widget.position.x + widget.size.width / 2;
+    const centerY = widget.position.y + widget.size.height / 2;
+    return this.getAllWidgets().find(container =>
+      container !== widget && this.isContainer(container) && !container.isCollapsed() &&
+      centerX >= container.position.x && centerX <= container.position.x + container.size.width &&
+      centerY >= container.position.y && centerY <= container.position.y + container.size.height) || null;
+  }
+
   deselectAllWidgets() {
     this.widgets.forEach(widget => {
       widget.element.classList.remove('selected');
     });
   }
 
-  selectWidget(widgetId) {
-    this.deselectAllWidgets();
+  // Select a widget - with `additive` (Shift+click) it's toggled in the current selection instead
+  selectWidget(widgetId, additive = false) {
     const widget = this.widgets.get(widgetId);
+    if (additive) {
+      widget?.element.classList.toggle('selected');
+      return;
+    }
+
+    this.deselectAllWidgets();
     if (widget) {
       widget.element.classList.add('selected');
     }
   }
 
+  setSelection(widgetIds) {
+    const ids = new Set(widgetIds);
+    this.widgets.forEach(widget => {
+      widget.element.classList.toggle('selected', ids.has(widget.id));
+    });
+  }
+
+  getSelectedWidgets() {
+    return this.getAllWidgets().filter(widget => widget.element.classList.contains('selected'));
+  }
+
+  startSelectionBand(e) {
+    if (e.button !== 0 || (e.target !== this.element && e.target !== this.gridElement)) return;
+    e.preventDefault();
+
+    const coords = this.dragDropManager.getCanvasCoordinates(e);
+    const element = document.createElement('div');
+    element.className = 'canvas-selection-band';
+    element.style.display = 'none';
+    this.element.appendChild(element);
+
+    this.selectionBand = {
+      element,
+      startX: coords.canvasX,
+      startY: coords.canvasY,
+      moved: false,
+      initial: new Set(e.shiftKey ? this.getSelectedWidgets().map(widget => widget.id) : [])
+    };
+
+    document.addEventListener('mousemove', this.handleSelectionBandMove);
+    document.addEventListener('mouseup', this.endSelectionBand);
+  }
+
+  handleSelectionBandMove(e) {
+    const band = this.selectionBand;
+    if (!band) return;
+
+    const coords = this.dragDropManager.getCanvasCoordinates(e);
+    const left = Math.min(band.startX, coords.canvasX);
+    const top = Math.min(band.startY, coords.canvasY);
+    const width = Math.abs(coords.canvasX - band.startX);
+    const height = Math.abs(coords.canvasY - band.startY);
+
+    // Ignore tiny movements so a plain click still deselects
+    if (!band.moved && width < 4 && height < 4) return;
+    band.moved = true;
+
+    Object.assign(band.element.style, {
+      display: 'block',
+      left: `${left}px`,
+      top: `${top}px`,
+      width: `${width}px`,
+      height: `${height}px`
+    });
+
+    // Select every widget the rectangle touches
+    const selected = new Set(band.initial);
+    this.widgets.forEach(widget => {
+      const widgetLeft = widget.position.x * GRID_SIZE;
+      const widgetTop = widget.position.y * GRID_SIZE;
+      if (widgetLeft < left + width && widgetLeft + widget.size.width * GRID_SIZE > left &&
+          widgetTop < top + height && widgetTop + widget.size.height * GRID_SIZE > top) {
+        selected.add(widget.id);
+      }
+    });
+    this.setSelection(selected);
+  }
+
+  endSelectionBand() {
+    const band = this.selectionBand;
+    if (!band) return;
+    this.selectionBand = null;
+
+    document.removeEventListener('mousemove', this.handleSelectionBandMove);
+    document.removeEventListener('mouseup', this.endSelectionBand);
+    band.element.remove();
+
+    // The click that follows the mouseup would clear the new selection
+    if (band.moved) {
+      this.justFinishedBand = true;
+      setTimeout(() => {
+        this.justFinishedBand = false;
+      }, 100);
+    }
+  }
+
   setupWidgetSelection(widget) {
     const element = widget.element;
 
@@ -393,7 +599,7 @@ export class Canvas {
       if (e.target.closest('.widget-remove-btn')) return;
       // Don't select if we just finished dragging (prevents accidental selection after drag)
       if (this.dragDropManager.hasJustFinishedDrag()) return;
-      this.selectWidget(widget.id);
+      this.selectWidget(widget.id, e.shiftKey);
     });
 
     // Handle touch events (touchscreen)
@@ -490,11 +696,40 @@ export class Canvas {
   }
 
   clear() {
-    // Destroy all widgets (UI cleanup only)
+    // Destroy all widgets (UI cleanup only) - destroy() unsubscribes them from their streams
     this.widgets.forEach(widget => widget.destroy());
     this.widgets.clear();
   }
 
+  // Remove a widget from the canvas without touching storage (e.g. one that finished loading
+  // after the user already switched to another dashboard)
+  detachWidget(widget) {
+    // Only if this instance is the one on the canvas under its id
+    if (this.widgets.get(widget.id) === widget) {
+      [...this.getChildWidgets(widget.id), widget].forEach(detached => {
+        detached.destroy();
+        this.widgets.delete(detached.id);
+      });
+    }
+  }
+
+  // Recreate a widget from its stored entry, in place - widgets read their config once, so this
+  // is how config changes (settings, a new metric, undo) reach them. State the config doesn't
+  // hold, like a log widget's lines, is handed to the new instance.
+  async reloadWidget(widgetId) {
+    const widget = this.widgets.get(widgetId);
+    if (!widget) return;
+
+    const { storageManager } = await import('../utils/storage.js');
+    const { AutoLayout } = await import('../utils/auto-layout.js');
+    const state = widget.getReloadState();
+    this.detachWidget(widget);
+    const reloaded = await new AutoLayout(this).createAndPlaceWidget(storageManager.getWidgetById(widgetId), true);
+    if (reloaded && state) {
+      reloaded.restoreReloadState(state);
+    }
+  }
+
   exportLayout() {
     const layout = {};
     this.widgets.forEach(widget => {
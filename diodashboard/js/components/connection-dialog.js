@@ -0,0 +1,217 @@
+// Connection profile management dialog
+
+import { connectionProfiles } from '../utils/connection-profiles.js';
+import { escapeHtml } from '../utils/formatting.js';
+
+export class ConnectionDialog {
+  constructor() {
+    this.element = null;
+    this.isOpen = false;
+    this.editingProfileId = null;
+    this.init();
+  }
+
+  init() {
+    this.createModal();
+    this.setupEventListeners();
+  }
+
+  createModal() {
+    this.element = document.createElement('div');
+    this.element.className = 'widget-modal-overlay';
+    this.element.style.display = 'none';
+
+    this.element.innerHTML = `
+      <div class="widget-modal-content widget-modal-content-narrow">
+        <div class="widget-modal-header">
+          <h2 class="widget-modal-title">Connections</h2>
+          <button class="widget-modal-close" aria-label="Close dialog">×</button>
+        </div>
+        <div class="widget-modal-body">
+          <div class="connection-profile-list"></div>
+          <form class="widget-modal-form connection-profile-form">
+            <h3 class="widget-modal-section-title connection-form-title">New profile</h3>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Name</span>
+                <input class="widget-modal-input" name="name" type="text" placeholder="dev-node-1">
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Host</span>
+                <input class="widget-modal-input" name="host" type="text" required placeholder="localhost">
+              </label>
+              <label class="widget-modal-field">
+                <span class="widget-modal-label">Port</span>
+                <input class="widget-modal-input" name="port" type="number" min="1" max="65535" placeholder="9000">
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Path prefix</span>
+                <input class="widget-modal-input" name="pathPrefix" type="text" placeholder="/dio">
+              </label>
+              <label class="widget-modal-field widget-modal-checkbox-field">
+                <input class="widget-modal-checkbox" name="tls" type="checkbox">
+                <span class="widget-modal-label">TLS (wss)</span>
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field flex-grow">
+                <span class="widget-modal-label">Auth token (optional, sent as ?token= and may appear in server logs)</span>
+                <input class="widget-modal-input" name="authToken" type="password" autocomplete="off">
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field widget-modal-checkbox-field">
+                <input class="widget-modal-checkbox" name="rememberToken" type="checkbox">
+                <span class="widget-modal-label">Remember token on this device (stored unencrypted in browser storage)</span>
+              </label>
+            </div>
+            <div class="widget-modal-field-row">
+              <label class="widget-modal-field widget-modal-checkbox-field">
+                <input class="widget-modal-checkbox" name="keepConnected" type="checkbox">
+                <span class="widget-modal-label">Keep connected (stream alongside the active profile)</span>
+              </label>
+            </div>
+            <div class="widget-modal-actions">
+              <button type="button" class="widget-modal-btn secondary" data-action="new">New profile</button>
+              <button type="submit" class="widget-modal-btn">Save profile</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.element);
+
+    this.listElement = this.element.querySelector('.connection-profile-list');
+    this.form = this.element.querySelector('.connection-profile-form');
+    this.formTitle = this.element.querySelector('.connection-form-title');
+  }
+
+  setupEventListeners() {
+    // Close when clicking overlay or close button
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element || e.target.closest('.widget-modal-close')) {
+        this.close();
+      }
+    });
+
+    // Profile list actions
+    this.listElement.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const profileId = button.closest('[data-profile-id]')?.getAttribute('data-profile-id');
+      switch (button.getAttribute('data-action')) {
+        case 'activate':
+          connectionProfiles.setActiveProfile(profileId);
+          this.renderList();
+          break;
+        case 'edit':
+          this.editProfile(profileId);
+          break;
+        case 'delete':
+          this.deleteProfile(profileId);
+          break;
+      }
+    });
+
+    this.form.querySelector('[data-action="new"]').addEventListener('click', () => this.editProfile(null));
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveForm();
+    });
+
+    // ESC key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  renderList() {
+    const activeId = connectionProfiles.getActiveProfile().id;
+
+    this.listElement.innerHTML = connectionProfiles.getProfiles().map(profile => `
+      <div class="connection-profile-row ${profile.id === activeId ? 'active' : ''}" data-profile-id="${escapeHtml(profile.id)}">
+        <div class="connection-profile-info">
+          <div class="connection-profile-name">${escapeHtml(profile.name)}</div>
+          <div class="connection-profile-url">${escapeHtml(connectionProfiles.getStreamUrl('*', { ...profile, authToken: '' }))}</div>
+        </div>
+        ${profile.id !== activeId && profile.keepConnected ? '<span class="connection-profile-badge secondary">Streaming</span>' : ''}
+        ${profile.id === activeId ?
+          '<span class="connection-profile-badge">Active</span>' :
+          '<button class="widget-modal-btn small" data-action="activate">Make active</button>'}
+        <button class="widget-modal-btn small secondary" data-action="edit">Edit</button>
+        <button class="widget-modal-btn small danger" data-action="delete" ${connectionProfiles.getProfiles().length <= 1 ? 'disabled' : ''}>Delete</button>
+      </div>
+    `).join('');
+  }
+
+  editProfile(profileId) {
+    const profile = profileId ? connectionProfiles.getProfile(profileId) : null;
+    this.editingProfileId = profile ? profile.id : null;
+    this.formTitle.textContent = profile ? `Edit "${profile.name}"` : 'New profile';
+
+    this.form.elements.name.value = profile?.name || '';
+    this.form.elements.host.value = profile?.host || '';
+    this.form.elements.port.value = profile?.port || '';
+    this.form.elements.pathPrefix.value = profile?.pathPrefix || '';
+    this.form.elements.tls.checked = profile?.tls || false;
+    this.form.elements.authToken.value = profile?.authToken || '';
+    this.form.elements.rememberToken.checked = profile?.rememberToken || false;
+    this.form.elements.keepConnected.checked = profile?.keepConnected || false;
+    this.form.elements.host.focus();
+  }
+
+  saveForm() {
+    const elements = this.form.elements;
+    const saved = connectionProfiles.saveProfile({
+      id: this.editingProfileId,
+      name: elements.name.value,
+      host: elements.host.value,
+      port: elements.port.value,
+      pathPrefix: elements.pathPrefix.value,
+      tls: elements.tls.checked,
+      authToken: elements.authToken.value,
+      rememberToken: elements.rememberToken.checked,
+      keepConnected: elements.keepConnected.checked
+    });
+
+    this.editProfile(saved.id);
+    this.renderList();
+  }
+
+  deleteProfile(profileId) {
+    const profile = connectionProfiles.getProfile(profileId);
+    if (!profile) return;
+
+    if (confirm(`Delete connection profile "${profile.name}"?`)) {
+      connectionProfiles.deleteProfile(profileId);
+      if (this.editingProfileId === profileId) {
+        this.editProfile(null);
+      }
+      this.renderList();
+    }
+  }
+
+  open() {
+    this.renderList();
+    this.editProfile(connectionProfiles.getActiveProfile().id);
+
+    this.element.style.display = 'flex';
+    this.isOpen = true;
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.element.style.display = 'none';
+    this.isOpen = false;
+    document.body.style.overflow = '';
+  }
+}
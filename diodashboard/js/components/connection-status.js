@@ -0,0 +1,153 @@
+// Connection status indicator and health panel (toolbar dot + popover with per-stream stats)
+
+import { connectionManager } from '../utils/connection-manager.js';
+import { connectionProfiles } from '../utils/connection-profiles.js';
+import { reconnectStreamNow } from '../utils/websocket.js';
+import { escapeHtml, formatDuration } from '../utils/formatting.js';
+
+const STATE_LABELS = {
+  idle: 'Idle',
+  connecting: 'Connecting',
+  open: 'Connected',
+  waiting: 'Reconnecting',
+  'circuit-open': 'Gave up',
+  closed: 'Closed'
+};
+
+export class ConnectionStatus {
+  constructor(button) {
+    this.button = button;
+    this.panel = null;
+    this.isOpen = false;
+    this.refreshInterval = null;
+    this.init();
+  }
+
+  init() {
+    this.createPanel();
+    this.setupEventListeners();
+    this.renderIndicator();
+  }
+
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'connection-status-panel';
+    this.panel.style.display = 'none';
+    document.body.appendChild(this.panel);
+  }
+
+  setupEventListeners() {
+    if (this.button) {
+      this.button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggle();
+      });
+    }
+
+    // Reconnect buttons
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const button = e.target.closest('[data-action="reconnect"]');
+      if (!button) return;
+
+      const source = button.getAttribute('data-source');
+      const streamName = button.getAttribute('data-stream');
+      const targets = streamName ?
+        [streamName] :
+        connectionManager.getStats(source).map(stats => stats.streamName);
+      targets.forEach(name => reconnectStreamNow(name, source));
+    });
+
+    // Close when clicking elsewhere
+    document.addEventListener('click', () => {
+      if (this.isOpen) this.close();
+    });
+
+    document.addEventListener('connectionStateChange', () => {
+      this.renderIndicator();
+      if (this.isOpen) this.render();
+    });
+  }
+
+  // Toolbar dot: green = all connected, yellow = (re)connecting, red = a stream gave up
+  renderIndicator() {
+    if (!this.button) return;
+
+    const state = connectionManager.getOverallState();
+    this.button.setAttribute('data-state', state);
+    const stats = connectionManager.getStats();
+    const openCount = stats.filter(s => s.state === 'open').length;
+    this.button.title = `Connections: ${openCount}/${stats.length} streams connected`;
+  }
+
+  render() {
+    const stats = connectionManager.getStats().filter(s => s.state !== 'closed');
+    if (stats.length === 0) {
+      this.panel.innerHTML = '<div class="connection-status-empty">No active streams</div>';
+      return;
+    }
+
+    // Group streams by node
+    const bySource = {};
+    stats.forEach(s => {
+      if (!bySource[s.source]) bySource[s.source] = [];
+      bySource[s.source].push(s);
+    });
+
+    this.panel.innerHTML = Object.entries(bySource).map(([source, sourceStats]) => `
+      <div class="connection-status-node">
+        <div class="connection-status-node-header">
+          <span class="connection-status-node-name">${escapeHtml(connectionProfiles.getSourceName(source))}</span>
+          <button class="widget-modal-btn small secondary" data-action="reconnect" data-source="${escapeHtml(source)}">Reconnect all</button>
+        </div>
+        ${sourceStats.map(s => this.createStreamRow(s)).join('')}
+      </div>
+    `).join('');
+  }
+
+  createStreamRow(stats) {
+    let detail = '';
+    if (stats.state === 'open') {
+      detail = `up ${formatDuration(stats.uptimeMs)} · ${stats.messageCount} msgs`;
+    } else if (stats.state === 'waiting' && stats.nextRetryInMs !== null) {
+      detail = `retry ${stats.attempts}/${stats.maxAttempts || '∞'} in ${formatDuration(stats.nextRetryInMs)}`;
+    } else if (stats.state === 'circuit-open') {
+      detail = `stopped after ${stats.attempts} attempts`;
+    }
+
+    return `
+      <div class="connection-status-row">
+        <span class="connection-status-dot" data-state="${stats.state}"></span>
+        <span class="connection-status-stream">${escapeHtml(stats.streamName)}</span>
+        <span class="connection-status-state">${STATE_LABELS[stats.state] || stats.state}</span>
+        <span class="connection-status-detail">${detail}</span>
+        <button class="widget-modal-btn small" data-action="reconnect" data-source="${escapeHtml(stats.source)}" data-stream="${escapeHtml(stats.streamName)}">Reconnect</button>
+        ${stats.lastError ? `<div class="connection-status-error" title="${escapeHtml(stats.lastError)}">Last error: ${escapeHtml(stats.lastError)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.render();
+    this.panel.style.display = 'block';
+    this.isOpen = true;
+
+    // Keep uptime and retry countdowns ticking while visible
+    this.refreshInterval = setInterval(() => this.render(), 1000);
+  }
+
+  close() {
+    this.panel.style.display = 'none';
+    this.isOpen = false;
+    clearInterval(this.refreshInterval);
+    this.refreshInterval = null;
+  }
+}
@@ -1,5 +1,10 @@
 // Right-click context menu component
 
+import { undoManager } from '../utils/undo-manager.js';
+import { storageManager } from '../utils/storage.js';
+import { AutoLayout } from '../utils/auto-layout.js';
+import { widgetRegistry } from '../data/state.js';
+
 export class ContextMenu {
   constructor(canvas) {
     this.canvas = canvas;
@@ -20,6 +25,12 @@ export class ContextMenu {
     this.element.style.display = 'none';
 
     this.element.innerHTML = `
+      <div class="context-menu-item" data-action="edit">
+        <span class="context-menu-text">Edit Widget...</span>
+      </div>
+      <div class="context-menu-item" data-action="change-metric" data-metric-action>
+        <span class="context-menu-text">Change Metric...</span>
+      </div>
       <div class="context-menu-item" data-action="delete">
         <span class="context-menu-text">Delete Widget</span>
       </div>
@@ -29,6 +40,9 @@ export class ContextMenu {
       <div class="context-menu-item" data-action="resize">
         <span class="context-menu-text">Auto-resize</span>
       </div>
+      <div class="context-menu-item" data-action="lock-size">
+        <span class="context-menu-text">Lock Size</span>
+      </div>
       <div class="context-menu-separator"></div>
       <div class="context-menu-item" data-action="bring-to-front">
         <span class="context-menu-text">Bring to Front</span>
@@ -36,6 +50,42 @@ export class ContextMenu {
       <div class="context-menu-item" data-action="send-to-back">
         <span class="context-menu-text">Send to Back</span>
       </div>
+      <div class="context-menu-separator" data-selection-action></div>
+      <div class="context-menu-item" data-action="align-left" data-selection-action>
+        <span class="context-menu-text">Align Left</span>
+      </div>
+      <div class="context-menu-item" data-action="align-top" data-selection-action>
+        <span class="context-menu-text">Align Top</span>
+      </div>
+      <div class="context-menu-item" data-action="distribute-horizontal" data-selection-action>
+        <span class="context-menu-text">Distribute Horizontally</span>
+      </div>
+      <div class="context-menu-item" data-action="distribute-vertical" data-selection-action>
+        <span class="context-menu-text">Distribute Vertically</span>
+      </div>
+      <div class="context-menu-item" data-action="match-size" data-selection-action>
+        <span class="context-menu-text">Match Size to This Widget</span>
+      </div>
+      <div class="context-menu-item" data-action="group" data-selection-action>
+        <span class="context-menu-text">Group in Container...</span>
+      </div>
+      <div class="context-menu-item" data-action="ungroup" data-container-action>
+        <span class="context-menu-text">Ungroup</span>
+      </div>
+      <div class="context-menu-separator"></div>
+      <div class="context-menu-item" data-action="add-container" data-canvas-action>
+        <span class="context-menu-text">Add Container...</span>
+      </div>
+      <div class="context-menu-item" data-action="compact" data-canvas-action>
+        <span class="context-menu-text">Compact Layout</span>
+      </div>
+      <div class="context-menu-item" data-action="push-on-drag" data-canvas-action>
+        <span class="context-menu-icon"></span>
+        <span class="context-menu-text">Push Widgets While Dragging</span>
+      </div>
+      <div class="context-menu-item" data-action="layout" data-canvas-action>
+        <span class="context-menu-text">Import / Export Layout...</span>
+      </div>
     `;
 
     document.body.appendChild(this.element);
@@ -45,7 +95,7 @@ export class ContextMenu {
     // Handle menu item clicks
     this.element.addEventListener('click', (e) => {
       const menuItem = e.target.closest('.context-menu-item');
-      if (!menuItem) return;
+      if (!menuItem || menuItem.classList.contains('disabled')) return;
 
       const action = menuItem.getAttribute('data-action');
       this.handleAction(action);
@@ -69,6 +119,35 @@ export class ContextMenu {
   show(widget, x, y) {
     this.currentWidget = widget;
 
+    // On empty canvas only the layout actions apply
+    this.element.querySelectorAll('.context-menu-item:not([data-canvas-action]), .context-menu-separator').forEach(item => {
+      item.style.display = widget ? '' : 'none';
+    });
+
+    this.element.querySelector('[data-action="push-on-drag"] .context-menu-icon').textContent =
+      storageManager.getLayoutSettings().pushOnDrag === true ? '✓' : '';
+
+    if (widget) {
+      this.element.querySelector('[data-action="lock-size"] .context-menu-text').textContent =
+        widget.sizeLocked ? 'Unlock Size' : 'Lock Size';
+    }
+
+    // Alignment tools apply to a multi-selection the widget is part of
+    const selection = widget ? this.canvas.getSelectedWidgets() : [];
+    const inSelection = selection.length > 1 && selection.includes(widget);
+    this.element.querySelectorAll('[data-selection-action]').forEach(item => {
+      item.style.display = inSelection ? '' : 'none';
+    });
+    this.element.querySelectorAll('[data-action^="distribute-"]').forEach(item => {
+      item.classList.toggle('disabled', selection.length < 3);
+    });
+    this.element.querySelectorAll('[data-metric-action]').forEach(item => {
+      item.style.display = widget && widgetRegistry[widget.type]?.configSchema?.target ? '' : 'none';
+    });
+    this.element.querySelectorAll('[data-container-action]').forEach(item => {
+      item.style.display = widget && this.canvas.isContainer(widget) ? '' : 'none';
+    });
+
     // Position menu
     const menuRect = this.element.getBoundingClientRect();
     const viewportWidth = window.innerWidth;
@@ -102,9 +181,38 @@ export class ContextMenu {
   }
 
   handleAction(action) {
+    // Canvas actions work without a widget
+    switch (action) {
+      case 'layout':
+        document.dispatchEvent(new CustomEvent('layoutDialogOpen'));
+        this.hide();
+        return;
+      case 'add-container':
+        this.addContainer();
+        this.hide();
+        return;
+      case 'compact':
+        this.compactLayout();
+        this.hide();
+        return;
+      case 'push-on-drag':
+        storageManager.saveLayoutSettings({
+          ...storageManager.getLayoutSettings(),
+          pushOnDrag: storageManager.getLayoutSettings().pushOnDrag !== true
+        });
+        this.hide();
+        return;
+    }
+
     if (!this.currentWidget) return;
 
     switch (action) {
+      case 'edit':
+        document.dispatchEvent(new CustomEvent('widgetSettingsOpen', { detail: { widgetId: this.currentWidget.id } }));
+        break;
+      case 'change-metric':
+        document.dispatchEvent(new CustomEvent('metricPickerOpen', { detail: { widgetId: this.currentWidget.id } }));
+        break;
       case 'delete':
         this.deleteWidget();
         break;
@@ -114,12 +222,33 @@ export class ContextMenu {
       case 'resize':
         this.resizeWidget();
         break;
+      case 'lock-size':
+        this.toggleSizeLock();
+        break;
       case 'bring-to-front':
         this.bringToFront();
         break;
       case 'send-to-back':
         this.sendToBack();
         break;
+      case 'align-left':
+      case 'align-top':
+        this.arrangeSelection('Align widgets', (autoLayout, widgets) => autoLayout.alignWidgets(widgets, action.slice('align-'.length)));
+        break;
+      case 'distribute-horizontal':
+      case 'distribute-vertical':
+        this.arrangeSelection('Distribute widgets', (autoLayout, widgets) =>
+          autoLayout.distributeWidgets(widgets, action === 'distribute-horizontal' ? 'x' : 'y'));
+        break;
+      case 'match-size':
+        this.matchSelectionSize();
+        break;
+      case 'group':
+        this.groupSelection();
+        break;
+      case 'ungroup':
+        this.ungroupContainer();
+        break;
     }
 
     this.hide();
@@ -131,33 +260,188 @@ export class ContextMenu {
     }
   }
 
-  duplicateWidget() {
-    // Import storage manager to save new widget
-    import('../utils/storage.js').then(module => {
-      const storageManager = module.storageManager;
-
-      // Create new widget config
-      const newConfig = {
-        ...this.currentWidget.config,
-        id: `${this.currentWidget.type}_${Date.now()}`,
-        position: {
-          x: this.currentWidget.position.x + 1,
-          y: this.currentWidget.position.y + 1
-        }
-      };
-
-      // Create and instantiate the widget using the global function
-      if (window.createWidgetFromConfig) {
-        window.createWidgetFromConfig(newConfig);
+  async duplicateWidget() {
+    const widget = this.currentWidget;
+    const stored = storageManager.getWidgetById(widget.id);
+
+    // Copy of the stored entry (falls back to the live widget), offset by one grid cell - a
+    // container's children are copied along with it
+    const copyEntry = (entry) => ({
+      ...entry,
+      id: `${entry.type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      position: {
+        x: entry.position.x + 1,
+        y: entry.position.y + 1
+      },
+      ...(Array.isArray(entry.children) ? { children: entry.children.map(copyEntry) } : {})
+    });
+    const newConfig = copyEntry(JSON.parse(JSON.stringify(stored || { type: widget.type, position: widget.position, size: widget.size, config: widget.config })));
+
+    const autoLayout = new AutoLayout(this.canvas);
+    const duplicate = await autoLayout.createAndPlaceWidget(newConfig);
+    if (duplicate) {
+      // Move it to free space if the offset copy overlaps another widget
+      autoLayout.settleWidget(duplicate);
+      const index = storageManager.getWidgets().findIndex(w => w.id === newConfig.id);
+      undoManager.record({ type: 'add', label: 'Duplicate widget', entries: [{ index, widget: storageManager.getWidgetById(newConfig.id) }] });
+    }
+  }
+
+  compactLayout() {
+    const moves = new AutoLayout(this.canvas).compactLayout();
+    if (moves.length === 0) return;
+
+    undoManager.record({
+      type: 'arrange',
+      label: 'Compact layout',
+      moves: moves.map(({ widget, before, after }) => ({ widgetId: widget.id, before, after }))
+    });
+    this.canvas.updateCanvasToFitWidgets();
+  }
+
+  // Move the selected widgets with an AutoLayout method and record the moves as one step
+  arrangeSelection(label, arrange) {
+    const moves = arrange(new AutoLayout(this.canvas), this.canvas.getSelectedWidgets());
+    if (moves.length === 0) return;
+
+    undoManager.record({
+      type: 'arrange',
+      label,
+      moves: moves.map(({ widget, before, after }) => ({ widgetId: widget.id, before, after }))
+    });
+    this.canvas.updateCanvasToFitWidgets();
+  }
+
+  matchSelectionSize() {
+    const changes = new AutoLayout(this.canvas).matchSize(this.canvas.getSelectedWidgets(), this.currentWidget);
+    if (changes.length === 0) return;
+
+    undoManager.record({
+      type: 'group',
+      label: 'Match widget size',
+      commands: changes.map(({ widget, before, after }) => ({ type: 'resize', widgetId: widget.id, before, after }))
+    });
+    this.canvas.updateCanvasToFitWidgets();
+  }
+
+  async addContainer() {
+    const title = prompt('Container title:', 'Group');
+    if (title === null) return;
+
+    const autoLayout = new AutoLayout(this.canvas);
+    const size = { ...widgetRegistry.container.defaultSize };
+    const config = this.createContainerConfig(title, autoLayout.calculateLayout([{ size }])[0], size);
+    if (await autoLayout.createAndPlaceWidget(config)) {
+      const { index } = storageManager.getWidgetLocation(config.id);
+      undoManager.record({ type: 'add', label: 'Add container', entries: [{ index, parentId: null, widget: config }] });
+    }
+  }
+
+  // Put the selected widgets in a new container around them
+  async groupSelection() {
+    const widgets = this.canvas.getSelectedWidgets().filter(widget => !this.canvas.isContainer(widget));
+    if (widgets.length === 0) return;
+
+    const title = prompt('Container title:', 'Group');
+    if (title === null) return;
+
+    // One cell of padding and a title bar - shift the widgets if that doesn't fit above/left of them
+    const left = Math.min(...widgets.map(widget => widget.position.x));
+    const top = Math.min(...widgets.map(widget => widget.position.y));
+    const right = Math.max(...widgets.map(widget => widget.position.x + widget.size.width));
+    const bottom = Math.max(...widgets.map(widget => widget.position.y + widget.size.height));
+    const dx = Math.max(0, 1 - left);
+    const dy = Math.max(0, 3 - top);
+
+    const autoLayout = new AutoLayout(this.canvas);
+    const moves = autoLayout.moveWidgets(widgets.map(widget => [widget, { x: widget.position.x + dx, y: widget.position.y + dy }]));
+    const config = this.createContainerConfig(title,
+      { x: left + dx - 1, y: top + dy - 3 },
+      { width: right - left + 2, height: bottom - top + 4 });
+
+    if (!await autoLayout.createAndPlaceWidget(config)) return;
+    const { index } = storageManager.getWidgetLocation(config.id);
+
+    const reparents = widgets.map(widget => {
+      const before = widget.parentId;
+      storageManager.moveWidgetToContainer(widget.id, config.id);
+      this.canvas.setWidgetParent(widget, config.id);
+      return { type: 'reparent', widgetId: widget.id, before, after: config.id };
+    });
+
+    undoManager.record({
+      type: 'group',
+      label: 'Group widgets',
+      commands: [
+        ...(moves.length > 0 ? [{ type: 'arrange', moves: moves.map(({ widget, before, after }) => ({ widgetId: widget.id, before, after })) }] : []),
+        { type: 'add', entries: [{ index, parentId: null, widget: config }] },
+        ...reparents
+      ]
+    });
+    this.canvas.updateCanvasToFitWidgets();
+  }
+
+  // Move a container's children to the top level and remove the container
+  ungroupContainer() {
+    const container = this.currentWidget;
+    const reparents = this.canvas.getChildWidgets(container.id).map(child => {
+      storageManager.moveWidgetToContainer(child.id, null);
+      this.canvas.setWidgetParent(child, null);
+      return { type: 'reparent', widgetId: child.id, before: container.id, after: null };
+    });
+
+    const location = storageManager.getWidgetLocation(container.id);
+    const entry = storageManager.getWidgetById(container.id);
+    storageManager.removeWidget(container.id);
+    this.canvas.detachWidget(container);
+
+    undoManager.record({
+      type: 'group',
+      label: 'Ungroup container',
+      commands: [...reparents, { type: 'remove', entries: [{ ...location, widget: entry }] }]
+    });
+    this.canvas.updateCanvasToFitWidgets();
+  }
+
+  createContainerConfig(title, position, size) {
+    return {
+      id: `container_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: 'container',
+      position,
+      size,
+      sizeLocked: true,
+      config: { title: title.trim() || 'Group', collapsed: false },
+      children: []
+    };
+  }
+
+  // Unlock the size and fit the widget to its content
+  resizeWidget() {
+    this.changeSize('Auto-resize widget', widget => widget.fitToContent());
+  }
+
+  toggleSizeLock() {
+    const locked = this.currentWidget.sizeLocked;
+    this.changeSize(locked ? 'Unlock widget size' : 'Lock widget size', widget => {
+      if (locked) {
+        widget.fitToContent();
       } else {
-        // Fallback: use the context menu's own method
-        this.createWidgetFromConfig(newConfig);
+        // Pin the current auto size
+        widget.setSizeLocked(true);
+        widget.updateSize();
       }
     });
   }
 
-  resizeWidget() {
-    this.currentWidget.autoSize();
+  changeSize(label, change) {
+    const widget = this.currentWidget;
+    const snapshot = () => ({ position: { ...widget.position }, size: { ...widget.size }, sizeLocked: widget.sizeLocked });
+
+    const before = snapshot();
+    change(widget);
+    widget.saveSize();
+    undoManager.recordWidgetChange('resize', widget.id, before, snapshot(), label);
+    this.canvas.updateCanvasToFitWidgets();
   }
 
   bringToFront() {
@@ -172,101 +456,21 @@ export class ContextMenu {
     }));
 
     // Set this widget to one level above the maximum
-    this.currentWidget.element.style.zIndex = maxZ + 1;
+    this.setZIndex(maxZ + 1, 'Bring to front');
   }
 
   sendToBack() {
     // Set to a z-index lower than the CSS default (widgets have z-index: 5 by default)
     // This ensures the widget goes behind other widgets that haven't had their z-index explicitly set
-    this.currentWidget.element.style.zIndex = '1';
-  }
-
-  createWidgetFromConfig(config) {
-    // Import the appropriate widget class
-    let WidgetClass;
-    const type = config.type;
-
-    switch (type) {
-      case 'telemetry-gauge':
-        import('../widgets/telemetry-widget.js').then(module => {
-          WidgetClass = module.TelemetryGaugeWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'telemetry-counter':
-        import('../widgets/telemetry-widget.js').then(module => {
-          WidgetClass = module.TelemetryCounterWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'telemetry-histogram':
-        import('../widgets/telemetry-widget.js').then(module => {
-          WidgetClass = module.TelemetryHistogramWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'telemetry-metric':
-        import('../widgets/telemetry-widget.js').then(module => {
-          WidgetClass = module.TelemetryMetricWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'balance-assets':
-        import('../widgets/balance-widget.js').then(module => {
-          WidgetClass = module.BalanceAssetsWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'balance-orders':
-        import('../widgets/balance-widget.js').then(module => {
-          WidgetClass = module.BalanceOrdersWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'balance-single':
-        import('../widgets/balance-widget.js').then(module => {
-          WidgetClass = module.BalanceSingleWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'balance-orders-single':
-        import('../widgets/balance-widget.js').then(module => {
-          WidgetClass = module.BalanceOrdersSingleWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'system-cpu':
-        import('../widgets/system-widget.js').then(module => {
-          WidgetClass = module.SystemCpuWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'system-memory':
-        import('../widgets/system-widget.js').then(module => {
-          WidgetClass = module.SystemMemoryWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'system-metric':
-        import('../widgets/system-widget.js').then(module => {
-          WidgetClass = module.SystemMetricWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      case 'log-stream':
-        import('../widgets/log-widget.js').then(module => {
-          WidgetClass = module.LogStreamWidget;
-          this.instantiateWidget(WidgetClass, config);
-        });
-        break;
-      default:
-        console.error(`Unknown widget type: ${type}`);
-    }
+    this.setZIndex(1, 'Send to back');
   }
 
-  instantiateWidget(WidgetClass, config) {
-    const widget = new WidgetClass(config);
-    this.canvas.addWidget(widget);
+  setZIndex(zIndex, label) {
+    const widget = this.currentWidget;
+    const before = widget.zIndex;
+    widget.setZIndex(zIndex);
+    widget.saveZIndex();
+    undoManager.recordWidgetChange('zorder', widget.id, before, zIndex, label);
   }
 }
 
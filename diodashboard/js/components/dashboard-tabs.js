@@ -0,0 +1,192 @@
+// Dashboard tabs - switch between named dashboards and create, rename, duplicate or delete them
+// Switching only changes the active dashboard in storage and dispatches `dashboardChange`;
+// main.js tears down the canvas and loads the new layout.
+
+import { storageManager } from '../utils/storage.js';
+import { escapeHtml } from '../utils/formatting.js';
+
+export class DashboardTabs {
+  constructor(container) {
+    this.container = container;
+    this.menu = null;
+    this.init();
+  }
+
+  init() {
+    this.render();
+    this.setupEventListeners();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const activeId = storageManager.getActiveDashboard().id;
+    this.container.innerHTML = `
+      ${storageManager.getDashboards().map(dashboard => `
+        <div class="dashboard-tab${dashboard.id === activeId ? ' active' : ''}" data-dashboard-id="${escapeHtml(dashboard.id)}" title="Double-click to rename, right-click for more">
+          <span class="dashboard-tab-name">${escapeHtml(dashboard.name)}</span>
+          ${dashboard.id === activeId ? '<button type="button" class="dashboard-tab-more" aria-label="Dashboard actions">⋯</button>' : ''}
+        </div>
+      `).join('')}
+      <button type="button" class="dashboard-tab-add" title="New dashboard" aria-label="New dashboard">+</button>
+    `;
+  }
+
+  setupEventListeners() {
+    if (!this.container) return;
+
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('.dashboard-tab-add')) {
+        this.create();
+        return;
+      }
+
+      const tab = e.target.closest('.dashboard-tab');
+      if (!tab) return;
+
+      const dashboardId = tab.getAttribute('data-dashboard-id');
+      if (e.target.closest('.dashboard-tab-more')) {
+        const rect = e.target.getBoundingClientRect();
+        this.showMenu(dashboardId, rect.left, rect.top);
+        return;
+      }
+      this.switchTo(dashboardId);
+    });
+
+    this.container.addEventListener('dblclick', (e) => {
+      const tab = e.target.closest('.dashboard-tab');
+      if (tab) this.rename(tab.getAttribute('data-dashboard-id'));
+    });
+
+    this.container.addEventListener('contextmenu', (e) => {
+      const tab = e.target.closest('.dashboard-tab');
+      if (!tab) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.showMenu(tab.getAttribute('data-dashboard-id'), e.clientX, e.clientY);
+    });
+
+    // Close the menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+      if (this.menu && !this.menu.contains(e.target) && !e.target.closest('.dashboard-tab-more')) {
+        this.hideMenu();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hideMenu();
+    });
+  }
+
+  // Action menu for a tab, opened upwards since the tabs sit at the bottom of the screen
+  showMenu(dashboardId, x, y) {
+    this.hideMenu();
+
+    const canDelete = storageManager.getDashboards().length > 1;
+    this.menu = document.createElement('div');
+    this.menu.className = 'context-menu';
+    this.menu.innerHTML = `
+      <div class="context-menu-item" data-action="rename">
+        <span class="context-menu-icon">✎</span>
+        <span class="context-menu-text">Rename</span>
+      </div>
+      <div class="context-menu-item" data-action="duplicate">
+        <span class="context-menu-icon">⧉</span>
+        <span class="context-menu-text">Duplicate</span>
+      </div>
+      <div class="context-menu-separator"></div>
+      <div class="context-menu-item${canDelete ? '' : ' disabled'}" data-action="delete">
+        <span class="context-menu-icon">🗑️</span>
+        <span class="context-menu-text">Delete</span>
+      </div>
+    `;
+    document.body.appendChild(this.menu);
+
+    const rect = this.menu.getBoundingClientRect();
+    this.menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width))}px`;
+    this.menu.style.top = `${Math.max(0, y - rect.height)}px`;
+
+    this.menu.addEventListener('click', (e) => {
+      const item = e.target.closest('.context-menu-item');
+      if (!item || item.classList.contains('disabled')) return;
+
+      this.hideMenu();
+      switch (item.getAttribute('data-action')) {
+        case 'rename':
+          this.rename(dashboardId);
+          break;
+        case 'duplicate':
+          this.duplicate(dashboardId);
+          break;
+        case 'delete':
+          this.delete(dashboardId);
+          break;
+      }
+    });
+  }
+
+  hideMenu() {
+    if (this.menu) {
+      this.menu.remove();
+      this.menu = null;
+    }
+  }
+
+  switchTo(dashboardId) {
+    if (dashboardId === storageManager.getActiveDashboard().id) return;
+    if (!storageManager.setActiveDashboard(dashboardId)) return;
+
+    this.render();
+    this.notifyChange();
+  }
+
+  create() {
+    const name = prompt('Dashboard name:', `Dashboard ${storageManager.getDashboards().length + 1}`);
+    if (name === null) return;
+
+    const dashboard = storageManager.createDashboard(name.trim());
+    this.switchTo(dashboard.id);
+  }
+
+  rename(dashboardId) {
+    const dashboard = storageManager.getDashboard(dashboardId);
+    if (!dashboard) return;
+
+    const name = prompt('Rename dashboard:', dashboard.name);
+    if (name === null) return;
+
+    storageManager.renameDashboard(dashboardId, name);
+    this.render();
+  }
+
+  duplicate(dashboardId) {
+    const copy = storageManager.duplicateDashboard(dashboardId);
+    if (copy) this.switchTo(copy.id);
+  }
+
+  delete(dashboardId) {
+    const dashboard = storageManager.getDashboard(dashboardId);
+    if (!dashboard) return;
+
+    const count = dashboard.widgets.length;
+    if (!confirm(`Delete dashboard "${dashboard.name}"${count > 0 ? ` and its ${count} widget${count === 1 ? '' : 's'}` : ''}?`)) {
+      return;
+    }
+
+    const wasActive = dashboardId === storageManager.getActiveDashboard().id;
+    if (!storageManager.deleteDashboard(dashboardId)) return;
+
+    this.render();
+    if (wasActive) this.notifyChange();
+  }
+
+  notifyChange() {
+    try {
+      document.dispatchEvent(new CustomEvent('dashboardChange', {
+        detail: { dashboard: storageManager.getActiveDashboard() }
+      }));
+    } catch (error) {
+      console.error('Error dispatching dashboard change:', error);
+    }
+  }
+}
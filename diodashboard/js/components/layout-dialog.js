@@ -0,0 +1,379 @@
+// Layout import/export dialog - download, upload or paste layout JSON, preview it and merge or replace.
+// Also lists widgets quarantined by a config migration (see config-schema.js) to restore or discard;
+// the toolbar button shows how many are waiting.
+
+import { storageManager, validateLayout } from '../utils/storage.js';
+import { alertEngine } from '../utils/alerts.js';
+import { undoManager } from '../utils/undo-manager.js';
+import { downloadTextFile, copyToClipboard, readClipboardText } from '../utils/ui.js';
+import { escapeHtml } from '../utils/formatting.js';
+import { widgetRegistry } from '../data/state.js';
+
+export class LayoutDialog {
+  constructor(button) {
+    this.button = button;
+    this.element = null;
+    this.isOpen = false;
+    this.preview = null; // validateLayout result for the pending import
+    this.init();
+  }
+
+  init() {
+    this.createModal();
+    this.setupEventListeners();
+    this.renderQuarantineNotice();
+  }
+
+  createModal() {
+    this.element = document.createElement('div');
+    this.element.className = 'widget-modal-overlay';
+    this.element.style.display = 'none';
+
+    this.element.innerHTML = `
+      <div class="widget-modal-content widget-modal-content-narrow">
+        <div class="widget-modal-header">
+          <h2 class="widget-modal-title">Layout</h2>
+          <button class="widget-modal-close" aria-label="Close dialog">×</button>
+        </div>
+        <div class="widget-modal-body">
+          <div class="layout-dialog-quarantine" style="display: none;">
+            <div class="layout-dialog-row">
+              <h3 class="widget-modal-section-title">Quarantined Widgets</h3>
+              <button type="button" class="widget-modal-btn secondary" data-action="discard-all">Discard all</button>
+            </div>
+            <p class="layout-dialog-hint">These widgets could not be upgraded to the current config version and were left out of their dashboard. Restore retries them and adds them to this dashboard.</p>
+            <div class="layout-dialog-quarantine-list"></div>
+          </div>
+
+          <h3 class="widget-modal-section-title">Export</h3>
+          <div class="layout-dialog-row">
+            <button type="button" class="widget-modal-btn" data-action="download">Download JSON</button>
+            <button type="button" class="widget-modal-btn secondary" data-action="copy">Copy to clipboard</button>
+            <span class="layout-dialog-status" data-status="export"></span>
+          </div>
+          <p class="layout-dialog-hint">Exports widgets and alert rules. Connection profiles are not included.</p>
+
+          <h3 class="widget-modal-section-title">Import</h3>
+          <div class="layout-dialog-row">
+            <button type="button" class="widget-modal-btn secondary" data-action="upload">Upload file</button>
+            <button type="button" class="widget-modal-btn secondary" data-action="paste">Paste from clipboard</button>
+            <input class="layout-dialog-file" type="file" accept="application/json,.json" hidden>
+          </div>
+          <textarea class="widget-modal-input layout-dialog-json" rows="6" spellcheck="false" placeholder="…or paste layout JSON here"></textarea>
+          <div class="layout-dialog-preview"></div>
+          <div class="widget-modal-actions layout-dialog-apply" style="display: none;">
+            <label class="widget-modal-field widget-modal-checkbox-field">
+              <input class="widget-modal-checkbox" name="mode" type="radio" value="merge" checked>
+              <span class="widget-modal-label">Merge into current layout</span>
+            </label>
+            <label class="widget-modal-field widget-modal-checkbox-field">
+              <input class="widget-modal-checkbox" name="mode" type="radio" value="replace">
+              <span class="widget-modal-label">Replace current layout</span>
+            </label>
+            <label class="widget-modal-field widget-modal-checkbox-field layout-dialog-alerts">
+              <input class="widget-modal-checkbox" name="alerts" type="checkbox" checked>
+              <span class="widget-modal-label">Import alert rules</span>
+            </label>
+            <button type="button" class="widget-modal-btn" data-action="apply">Apply</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.element);
+
+    this.fileInput = this.element.querySelector('.layout-dialog-file');
+    this.jsonInput = this.element.querySelector('.layout-dialog-json');
+    this.previewElement = this.element.querySelector('.layout-dialog-preview');
+    this.applyElement = this.element.querySelector('.layout-dialog-apply');
+    this.quarantineElement = this.element.querySelector('.layout-dialog-quarantine');
+  }
+
+  setupEventListeners() {
+    this.element.addEventListener('click', (e) => {
+      // Close when clicking overlay or close button
+      if (e.target === this.element || e.target.closest('.widget-modal-close')) {
+        this.close();
+        return;
+      }
+
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      switch (button.getAttribute('data-action')) {
+        case 'download':
+          this.download();
+          break;
+        case 'copy':
+          this.copy();
+          break;
+        case 'upload':
+          this.fileInput.click();
+          break;
+        case 'paste':
+          this.paste();
+          break;
+        case 'apply':
+          this.apply();
+          break;
+        case 'restore':
+          this.restoreQuarantined(parseInt(button.closest('[data-index]').getAttribute('data-index'), 10));
+          break;
+        case 'discard':
+          this.discardQuarantined(parseInt(button.closest('[data-index]').getAttribute('data-index'), 10));
+          break;
+        case 'discard-all':
+          this.discardQuarantined(null);
+          break;
+      }
+    });
+
+    this.fileInput.addEventListener('change', () => {
+      const file = this.fileInput.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        this.jsonInput.value = String(reader.result);
+        this.updatePreview();
+      };
+      reader.onerror = () => this.showError(`Could not read ${file.name}`);
+      reader.readAsText(file);
+      this.fileInput.value = '';
+    });
+
+    this.jsonInput.addEventListener('input', () => this.updatePreview());
+
+    // Opened from the toolbar or the canvas context menu
+    document.addEventListener('layoutDialogOpen', () => this.open());
+
+    // ESC key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  download() {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(`diodashboard-layout-${date}.json`, storageManager.exportLayout());
+    this.setStatus('export', 'Downloaded');
+  }
+
+  async copy() {
+    try {
+      await copyToClipboard(storageManager.exportLayout());
+      this.setStatus('export', 'Copied');
+    } catch (error) {
+      console.error('Error copying layout:', error);
+      this.setStatus('export', 'Copy failed');
+    }
+  }
+
+  async paste() {
+    try {
+      this.jsonInput.value = await readClipboardText();
+      this.updatePreview();
+    } catch (error) {
+      this.showError(`Could not read the clipboard: ${error.message}. Paste into the text box instead.`);
+    }
+  }
+
+  setStatus(name, text) {
+    const status = this.element.querySelector(`[data-status="${name}"]`);
+    if (status) status.textContent = text;
+  }
+
+  // Parse and validate the pasted JSON and show what would be imported
+  updatePreview() {
+    const text = this.jsonInput.value.trim();
+    this.preview = null;
+    this.applyElement.style.display = 'none';
+
+    if (!text) {
+      this.previewElement.innerHTML = '';
+      return;
+    }
+
+    let layout;
+    try {
+      layout = JSON.parse(text);
+    } catch (error) {
+      this.showError(`Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    const result = validateLayout(layout, storageManager.getKnownSources());
+    if (!result.valid) {
+      this.showError(result.errors.join('; '));
+      return;
+    }
+
+    this.preview = result;
+    this.renderPreview(result);
+    this.applyElement.style.display = result.widgets.length > 0 || result.alertRules.length > 0 ? '' : 'none';
+    this.applyElement.querySelector('.layout-dialog-alerts').style.display = result.alertRules.length > 0 ? '' : 'none';
+  }
+
+  renderPreview({ widgets, alertRules, errors, warnings }) {
+    // Widget counts per type
+    const counts = {};
+    widgets.forEach(widget => {
+      counts[widget.type] = (counts[widget.type] || 0) + 1;
+    });
+
+    const list = (items, className) => items.length === 0 ? '' : `
+      <ul class="layout-dialog-issues ${className}">
+        ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+      </ul>
+    `;
+
+    this.previewElement.innerHTML = `
+      <div class="layout-dialog-summary">
+        ${widgets.length} widget${widgets.length === 1 ? '' : 's'} to import${errors.length > 0 ? `, ${errors.length} skipped` : ''}${alertRules.length > 0 ? ` · ${alertRules.length} alert rule${alertRules.length === 1 ? '' : 's'}` : ''}
+      </div>
+      <div class="layout-dialog-types">
+        ${Object.entries(counts).map(([type, count]) =>
+          `<span class="layout-dialog-type">${escapeHtml(widgetRegistry[type]?.title || type)} × ${count}</span>`).join('')}
+      </div>
+      ${list(errors, 'errors')}
+      ${list(warnings, 'warnings')}
+    `;
+  }
+
+  showError(message) {
+    this.preview = null;
+    this.applyElement.style.display = 'none';
+    this.previewElement.innerHTML = `<div class="layout-dialog-issues errors">${escapeHtml(message)}</div>`;
+  }
+
+  apply() {
+    if (!this.preview) return;
+
+    const mode = this.applyElement.querySelector('input[name="mode"]:checked').value;
+    if (mode === 'replace' && storageManager.getWidgets().length > 0 &&
+        !confirm('Replace the current layout? Its widgets will be removed.')) {
+      return;
+    }
+
+    try {
+      const before = storageManager.getWidgets();
+      storageManager.importLayout(this.preview.widgets, mode);
+      undoManager.record({
+        type: 'layout',
+        label: mode === 'replace' ? 'Replace layout' : 'Merge layout',
+        before,
+        after: storageManager.getWidgets()
+      });
+
+      if (this.applyElement.querySelector('input[name="alerts"]').checked) {
+        this.preview.alertRules.forEach(rule => alertEngine.saveRule(rule));
+      }
+
+      // main.js rebuilds the canvas from storage
+      document.dispatchEvent(new CustomEvent('layoutImported', {
+        detail: { mode, widgetCount: this.preview.widgets.length }
+      }));
+
+      this.jsonInput.value = '';
+      this.updatePreview();
+      this.close();
+    } catch (error) {
+      console.error('Error importing layout:', error);
+      this.showError(`Import failed: ${error.message}`);
+    }
+  }
+
+  // Flag the toolbar button while widgets wait in quarantine
+  renderQuarantineNotice() {
+    if (!this.button) return;
+
+    const count = storageManager.getQuarantinedWidgets().length;
+    this.button.setAttribute('data-state', count > 0 ? 'quarantine' : '');
+    this.button.title = count > 0 ?
+      `${count} widget${count === 1 ? '' : 's'} could not be loaded - click to review` :
+      'Import / export layout';
+    const badge = this.button.querySelector('.layout-quarantine-count');
+    if (badge) badge.textContent = count > 0 ? String(count) : '';
+  }
+
+  renderQuarantine() {
+    const entries = storageManager.getQuarantinedWidgets();
+    this.quarantineElement.style.display = entries.length > 0 ? '' : 'none';
+
+    this.quarantineElement.querySelector('.layout-dialog-quarantine-list').innerHTML = entries.map((entry, index) => {
+      const type = entry.widget?.type;
+      const dashboard = storageManager.getDashboard(entry.dashboardId);
+      const quarantinedAt = entry.quarantinedAt ? new Date(entry.quarantinedAt).toLocaleString() : '';
+
+      return `
+        <div class="layout-dialog-quarantine-item" data-index="${index}">
+          <div class="layout-dialog-row">
+            <span class="layout-dialog-type">${escapeHtml(widgetRegistry[type]?.title || type || 'Unknown widget')}</span>
+            <span class="layout-dialog-quarantine-meta">
+              ${escapeHtml(dashboard ? dashboard.name : 'Deleted dashboard')} · version ${escapeHtml(entry.version || '?')}${quarantinedAt ? ` · ${escapeHtml(quarantinedAt)}` : ''}
+            </span>
+          </div>
+          <div class="layout-dialog-issues errors">${escapeHtml(entry.reason || 'Unknown reason')}</div>
+          <details class="layout-dialog-quarantine-config">
+            <summary>Stored entry</summary>
+            <pre>${escapeHtml(JSON.stringify(entry.widget, null, 2))}</pre>
+          </details>
+          <div class="layout-dialog-row">
+            <button type="button" class="widget-modal-btn" data-action="restore">Restore</button>
+            <button type="button" class="widget-modal-btn secondary" data-action="discard">Discard</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  restoreQuarantined(index) {
+    const before = storageManager.getWidgets();
+    const problems = storageManager.restoreQuarantinedWidget(index);
+    if (problems.length > 0) {
+      const issues = this.quarantineElement.querySelector(`[data-index="${index}"] .layout-dialog-issues`);
+      if (issues) issues.textContent = `Still can't be loaded: ${problems.join('; ')}`;
+      return;
+    }
+
+    undoManager.record({ type: 'layout', label: 'Restore widget', before, after: storageManager.getWidgets() });
+    // main.js rebuilds the canvas from storage
+    document.dispatchEvent(new CustomEvent('layoutImported', { detail: { mode: 'merge', widgetCount: 1 } }));
+
+    this.renderQuarantine();
+    this.renderQuarantineNotice();
+  }
+
+  // Drop one quarantined widget, or all of them when `index` is null
+  discardQuarantined(index) {
+    const message = index === null ?
+      'Discard all quarantined widgets? They can\'t be restored afterwards.' :
+      'Discard this widget? It can\'t be restored afterwards.';
+    if (!confirm(message)) return;
+
+    if (index === null) {
+      storageManager.clearQuarantine();
+    } else {
+      storageManager.discardQuarantinedWidget(index);
+    }
+
+    this.renderQuarantine();
+    this.renderQuarantineNotice();
+  }
+
+  open() {
+    this.setStatus('export', '');
+    this.renderQuarantine();
+    this.element.style.display = 'flex';
+    this.isOpen = true;
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.element.style.display = 'none';
+    this.isOpen = false;
+    document.body.style.overflow = '';
+  }
+}
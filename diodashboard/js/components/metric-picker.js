@@ -0,0 +1,163 @@
+// Metric picker - rebinds a single-metric widget to another metric of its node, keeping its
+// position, size and settings. Opened from the context menu or a widget's "metric not found" state.
+
+import { metricDiscovery } from '../utils/metric-discovery.js';
+import { AutoLayout } from '../utils/auto-layout.js';
+import { escapeHtml } from '../utils/formatting.js';
+import { widgetRegistry } from '../data/state.js';
+
+export class MetricPicker {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.element = null;
+    this.isOpen = false;
+    this.widget = null;
+    this.init();
+  }
+
+  init() {
+    this.createModal();
+    this.setupEventListeners();
+  }
+
+  createModal() {
+    this.element = document.createElement('div');
+    this.element.className = 'widget-modal-overlay';
+    this.element.style.display = 'none';
+
+    this.element.innerHTML = `
+      <div class="widget-modal-content widget-modal-content-narrow">
+        <div class="widget-modal-header">
+          <h2 class="widget-modal-title">Change Metric</h2>
+          <button class="widget-modal-close" aria-label="Close dialog">×</button>
+        </div>
+        <div class="widget-modal-search">
+          <input class="widget-modal-search-input" type="text" placeholder="Search metrics...">
+        </div>
+        <div class="widget-modal-body">
+          <div class="metric-picker-list"></div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.element);
+
+    this.searchInput = this.element.querySelector('.widget-modal-search-input');
+    this.listElement = this.element.querySelector('.metric-picker-list');
+  }
+
+  setupEventListeners() {
+    this.element.addEventListener('click', (e) => {
+      // Close when clicking overlay or close button
+      if (e.target === this.element || e.target.closest('.widget-modal-close')) {
+        this.close();
+        return;
+      }
+
+      const row = e.target.closest('.metric-picker-row');
+      if (row) {
+        this.select(row.getAttribute('data-metric-id'));
+      }
+    });
+
+    this.searchInput.addEventListener('input', () => this.renderList());
+
+    // Enter picks the first match
+    this.searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        const row = this.listElement.querySelector('.metric-picker-row');
+        if (row) this.select(row.getAttribute('data-metric-id'));
+      }
+    });
+
+    // Opened from the context menu or the "Choose metric..." button; "Use ..." rebinds directly
+    document.addEventListener('metricPickerOpen', (e) => this.open(e.detail.widgetId));
+    document.addEventListener('widgetRebind', (e) => this.rebind(e.detail.widgetId, e.detail.metricId));
+
+    // ESC key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  // Metrics of the widget's type and node matching the search
+  getCandidates(widget, query = '') {
+    return metricDiscovery.searchMetrics(query, { widgetType: widget.type, source: widget.getSource() });
+  }
+
+  renderList() {
+    const widget = this.widget;
+    const current = widget.config[widgetRegistry[widget.type].configSchema.target];
+    const metrics = this.getCandidates(widget, this.searchInput.value);
+
+    if (metrics.length === 0) {
+      this.listElement.innerHTML = '<div class="metric-picker-empty">No matching metrics</div>';
+      return;
+    }
+
+    this.listElement.innerHTML = metrics.map(metric => `
+      <button type="button" class="metric-picker-row ${metric.key === current ? 'current' : ''}" data-metric-id="${escapeHtml(metric.id)}">
+        <span class="metric-picker-name">
+          ${escapeHtml(metric.name)}
+          ${metric.labelsStr ? `<span class="metric-picker-labels">${escapeHtml(metric.labelsStr)}</span>` : ''}
+        </span>
+        <span class="metric-picker-value">${escapeHtml(metric.displayValue)}</span>
+      </button>
+    `).join('');
+  }
+
+  async select(metricId) {
+    const widget = this.widget;
+    this.close();
+    if (widget) {
+      await this.rebind(widget.id, metricId);
+    }
+  }
+
+  // Point the widget at another metric and recreate it in place
+  async rebind(widgetId, metricId) {
+    const widget = this.canvas.getWidget(widgetId);
+    const target = widget ? widgetRegistry[widget.type]?.configSchema?.target : null;
+    if (!target) return;
+
+    const metric = this.getCandidates(widget).find(candidate => candidate.id === metricId);
+    if (!metric || widget.config[target] === metric.key) return;
+
+    try {
+      const metricConfig = await new AutoLayout(this.canvas).getAdditionalConfigForMetric(metric);
+      widget.updateConfig({
+        metricId: metric.id,
+        metricKey: metric.key,
+        metricName: metric.name,
+        ...metricConfig,
+        selector: undefined // An exact metric replaces a label selector
+      }, 'Change metric');
+      await this.canvas.reloadWidget(widgetId);
+    } catch (error) {
+      console.error('Error changing widget metric:', error);
+    }
+  }
+
+  open(widgetId) {
+    const widget = this.canvas.getWidget(widgetId);
+    if (!widget || !widgetRegistry[widget.type]?.configSchema?.target) return;
+
+    this.widget = widget;
+    this.searchInput.value = '';
+    this.renderList();
+
+    this.element.style.display = 'flex';
+    this.isOpen = true;
+    document.body.style.overflow = 'hidden';
+    this.searchInput.focus();
+  }
+
+  close() {
+    this.element.style.display = 'none';
+    this.isOpen = false;
+    this.widget = null;
+    document.body.style.overflow = '';
+  }
+}
@@ -2,6 +2,7 @@
 
 import { widgetRegistry } from '../data/state.js';
 import { metricDiscovery } from '../utils/metric-discovery.js';
+import { isSelector } from '../utils/selectors.js';
 
 export class WidgetMenu {
   constructor(canvas) {
@@ -52,10 +53,26 @@ export class WidgetMenu {
 
     const searchInput = document.createElement('input');
     searchInput.type = 'text';
-    searchInput.placeholder = 'Search widgets...';
+    searchInput.placeholder = 'Search widgets or order_latency{exchange="kraken"}...';
     searchInput.className = 'widget-modal-search-input';
 
+    // Shown while the search is a label selector - adds one widget following all matching series
+    const selectorBar = document.createElement('div');
+    selectorBar.className = 'widget-modal-selector-bar';
+    selectorBar.style.display = 'none';
+
+    const selectorCount = document.createElement('span');
+    selectorCount.className = 'widget-modal-selector-count';
+
+    const selectorButton = document.createElement('button');
+    selectorButton.className = 'widget-modal-selector-btn';
+    selectorButton.textContent = 'Add Selector Widget';
+
+    selectorBar.appendChild(selectorCount);
+    selectorBar.appendChild(selectorButton);
+
     searchContainer.appendChild(searchInput);
+    searchContainer.appendChild(selectorBar);
 
     // Create widget categories
     const categories = this.createCategories();
@@ -89,6 +106,9 @@ export class WidgetMenu {
 
     // Store references
     this.searchInput = searchInput;
+    this.selectorBar = selectorBar;
+    this.selectorCount = selectorCount;
+    this.selectorButton = selectorButton;
     this.categoriesContainer = categories;
     this.selectedCount = selectedCount;
     this.addButton = addButton;
@@ -107,7 +127,7 @@ export class WidgetMenu {
     this.collapsedSubsections.clear();
     Object.entries(subsections).forEach(([category, categorySubsections]) => {
       categorySubsections.forEach(subsection => {
-        const subsectionId = `${category}-${subsection.title.toLowerCase().replace(/\s+/g, '-')}`;
+        const subsectionId = `${category}-${subsection.id}`;
         if (subsection.metrics.length > 5) {
           this.collapsedSubsections.add(subsectionId);
         }
@@ -141,7 +161,7 @@ export class WidgetMenu {
     const subsectionElement = document.createElement('div');
     subsectionElement.className = 'widget-modal-subsection';
 
-    const subsectionId = `${category}-${subsection.title.toLowerCase().replace(/\s+/g, '-')}`;
+    const subsectionId = `${category}-${subsection.id}`;
 
     // Subsection header with checkbox and toggle
     const header = document.createElement('div');
@@ -410,6 +430,7 @@ export class WidgetMenu {
 
     // Add button
     this.addButton.addEventListener('click', this.handleAddWidgets.bind(this));
+    this.selectorButton.addEventListener('click', this.handleAddSelectorWidget.bind(this));
 
     // ESC key to close
     document.addEventListener('keydown', (e) => {
@@ -509,6 +530,20 @@ export class WidgetMenu {
     });
   }
 
+  // One widget per node with series matching the selector in the search box
+  handleAddSelectorWidget() {
+    const selector = this.searchInput.value.trim();
+    if (!isSelector(selector)) return;
+
+    const sources = [...new Set(metricDiscovery.searchMetrics(selector).map(metric => metric.source))];
+    if (sources.length === 0) return;
+
+    import('../utils/auto-layout.js').then(module => {
+      new module.AutoLayout(this.canvas).placeSelectorWidgets(selector, sources);
+      this.close();
+    });
+  }
+
   toggleSubsection(subsectionId, toggleBtn, metricsGrid) {
     const isCollapsed = this.collapsedSubsections.has(subsectionId);
 
@@ -528,8 +563,10 @@ export class WidgetMenu {
   }
 
   getMetricsForSubsection(subsectionId) {
-    // Parse subsection ID to get category and subsection type
-    const [category, subsectionType] = subsectionId.split('-');
+    // Subsection IDs are `${category}-${subsection.id}`; subsection ids can contain '-' themselves
+    const separator = subsectionId.indexOf('-');
+    const category = subsectionId.slice(0, separator);
+    const id = subsectionId.slice(separator + 1);
 
     // Defensive check: ensure subsectionsData exists
     if (!this.subsectionsData || !this.subsectionsData[category]) {
@@ -537,26 +574,54 @@ export class WidgetMenu {
     }
 
     const subsections = this.subsectionsData[category] || [];
-    const subsection = subsections.find(sub => sub.title.toLowerCase().replace(/\s+/g, '-') === subsectionType);
+    const subsection = subsections.find(sub => sub.id === id);
     return subsection ? subsection.metrics : [];
   }
 
   handleSearch(e) {
-    const searchTerm = e.target.value.toLowerCase();
-    const cards = this.element.querySelectorAll('.widget-modal-card');
+    this.filterMetrics(e.target.value);
+  }
 
-    cards.forEach(card => {
-      const title = card.querySelector('.widget-modal-card-title').textContent.toLowerCase();
-      const description = card.querySelector('.widget-modal-card-description').textContent.toLowerCase();
+  // Show only the metric cards matching the search (see MetricDiscovery.searchMetrics), and
+  // the subsections and categories that still have some
+  filterMetrics(searchTerm) {
+    const searching = searchTerm.trim() !== '';
+    const results = metricDiscovery.searchMetrics(searchTerm);
+    const matches = new Set(results.map(metric => metric.id));
+    this.updateSelectorBar(isSelector(searchTerm) ? results : null);
+
+    this.categoriesContainer.querySelectorAll('.widget-modal-category').forEach(category => {
+      let categoryMatches = 0;
+
+      category.querySelectorAll('.widget-modal-subsection').forEach(subsection => {
+        let subsectionMatches = 0;
+        subsection.querySelectorAll('.widget-modal-metric-card').forEach(card => {
+          const match = matches.has(card.getAttribute('data-metric-id'));
+          card.style.display = match ? '' : 'none';
+          if (match) subsectionMatches++;
+        });
+
+        subsection.style.display = subsectionMatches > 0 ? '' : 'none';
+        // Matches in collapsed subsections are shown while searching
+        subsection.querySelector('.widget-modal-metrics-grid').classList.toggle('searching', searching);
+        categoryMatches += subsectionMatches;
+      });
 
-      if (title.includes(searchTerm) || description.includes(searchTerm)) {
-        card.style.display = '';
-      } else {
-        card.style.display = 'none';
-      }
+      category.style.display = categoryMatches > 0 ? '' : 'none';
     });
   }
 
+  // Match count for a selector search, hidden for plain searches (`results` = null)
+  updateSelectorBar(results) {
+    this.selectorBar.style.display = results ? '' : 'none';
+    if (!results) return;
+
+    const nodes = new Set(results.map(metric => metric.source)).size;
+    this.selectorCount.textContent = `${results.length} series match${results.length === 1 ? 'es' : ''}` +
+      (nodes > 1 ? ` on ${nodes} nodes` : '');
+    this.selectorButton.disabled = results.length === 0;
+  }
+
   updateSelectedCount() {
     const widgetCount = this.selectedWidgets.size;
     const subsectionCount = this.selectedSubsections.size;
@@ -609,8 +674,7 @@ export class WidgetMenu {
     document.body.style.overflow = '';
 
     // Clear search filter
-    const cards = this.element.querySelectorAll('.widget-modal-card');
-    cards.forEach(card => card.style.display = '');
+    this.filterMetrics('');
   }
 
   toggle() {
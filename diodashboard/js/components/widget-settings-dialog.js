@@ -0,0 +1,315 @@
+// Widget settings dialog - edits a widget's config through a form generated from its type's
+// settings fields (see SETTINGS_FIELDS in utils/config-schema.js). Opened from the context menu.
+
+import { SETTINGS_FIELDS, getSettingsFields } from '../utils/config-schema.js';
+import { escapeHtml } from '../utils/formatting.js';
+import { telemetryData, balanceData, openOrdersData, systemData, staleConfig, widgetRegistry } from '../data/state.js';
+
+const SECTIONS = ['Display', 'Thresholds', 'Colors', 'Refresh'];
+
+const STREAM_STORES = {
+  telemetry: telemetryData,
+  balance: balanceData,
+  system: systemData
+};
+
+// Threshold states a color can be set for, with the color offered when none is set yet
+const COLOR_STATES = [
+  { state: 'normal', label: 'Normal', initial: '#e2e8f0' },  // slate-200
+  { state: 'warning', label: 'Warning', initial: '#facc15' }, // yellow-400
+  { state: 'critical', label: 'Critical', initial: '#f87171' } // red-400
+];
+
+export class WidgetSettingsDialog {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.element = null;
+    this.isOpen = false;
+    this.widget = null;
+    this.init();
+  }
+
+  init() {
+    this.createModal();
+    this.setupEventListeners();
+  }
+
+  createModal() {
+    this.element = document.createElement('div');
+    this.element.className = 'widget-modal-overlay';
+    this.element.style.display = 'none';
+
+    this.element.innerHTML = `
+      <div class="widget-modal-content widget-modal-content-narrow">
+        <div class="widget-modal-header">
+          <h2 class="widget-modal-title">Edit Widget</h2>
+          <button class="widget-modal-close" aria-label="Close dialog">×</button>
+        </div>
+        <div class="widget-modal-body">
+          <form class="widget-modal-form widget-settings-form">
+            <div class="widget-settings-fields"></div>
+            <div class="widget-modal-actions">
+              <button type="button" class="widget-modal-btn secondary" data-action="cancel">Cancel</button>
+              <button type="submit" class="widget-modal-btn">Save</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.element);
+
+    this.titleElement = this.element.querySelector('.widget-modal-title');
+    this.form = this.element.querySelector('.widget-settings-form');
+    this.fieldsElement = this.element.querySelector('.widget-settings-fields');
+  }
+
+  setupEventListeners() {
+    this.element.addEventListener('click', (e) => {
+      // Close when clicking overlay, close or cancel button
+      if (e.target === this.element || e.target.closest('.widget-modal-close, [data-action="cancel"]')) {
+        this.close();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    // A color only applies while its checkbox is ticked - picking one ticks it
+    this.form.addEventListener('input', (e) => {
+      if (e.target.type === 'color') {
+        this.form.elements[`${e.target.name}.enabled`].checked = true;
+      }
+    });
+
+    // Opened from the widget context menu
+    document.addEventListener('widgetSettingsOpen', (e) => this.open(e.detail.widgetId));
+
+    // ESC key to close
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  renderFields() {
+    const fields = getSettingsFields(this.widget.type).filter(name => SETTINGS_FIELDS[name]);
+
+    this.fieldsElement.innerHTML = SECTIONS.map(section => {
+      const names = fields.filter(name => SETTINGS_FIELDS[name].section === section);
+      if (names.length === 0) return '';
+
+      return `
+        <h3 class="widget-modal-section-title">${section}</h3>
+        ${names.map(name => this.renderField(name, SETTINGS_FIELDS[name])).join('')}
+      `;
+    }).join('');
+  }
+
+  renderField(name, field) {
+    const value = this.widget.config[name];
+
+    switch (field.input) {
+      case 'checkbox':
+        return `
+          <label class="widget-modal-field widget-modal-checkbox-field">
+            <input class="widget-modal-checkbox" name="${name}" type="checkbox" ${(value ?? field.default) ? 'checked' : ''}>
+            <span class="widget-modal-label">${field.label}</span>
+          </label>
+        `;
+      case 'select':
+        return `
+          <label class="widget-modal-field">
+            <span class="widget-modal-label">${field.label}</span>
+            <select class="widget-modal-input" name="${name}">
+              ${field.options.map(([optionValue, label]) => `
+                <option value="${optionValue}" ${optionValue === (value ?? field.default) ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </label>
+        `;
+      case 'thresholds':
+        return this.renderThresholds(value || {});
+      case 'colors':
+        return this.renderColors(value || {});
+      default:
+        return this.renderInput(name, field, value);
+    }
+  }
+
+  renderInput(name, field, value) {
+    const options = field.stream ? this.getKeyOptions(field.stream) : [];
+    const listId = `widget-settings-${name}-options`;
+    const limits = `${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}`;
+
+    return `
+      <label class="widget-modal-field">
+        <span class="widget-modal-label">${field.label}</span>
+        <input class="widget-modal-input" name="${name}" type="${field.input}" ${field.input === 'number' ? `step="any" ${limits}` : ''}
+          value="${escapeHtml(value ?? '')}" placeholder="${escapeHtml(this.getPlaceholder(name, field))}"
+          ${options.length > 0 ? `list="${listId}"` : ''}>
+        ${options.length > 0 ? `
+          <datalist id="${listId}">
+            ${options.map(option => `<option value="${escapeHtml(option)}"></option>`).join('')}
+          </datalist>
+        ` : ''}
+      </label>
+    `;
+  }
+
+  // Unset stale/hide times fall back to the registry and global defaults - show those
+  getPlaceholder(name, field) {
+    if (name === 'staleAfterSeconds' || name === 'hideAfterSeconds') {
+      return String(widgetRegistry[this.widget.type]?.[name] ?? staleConfig[name]);
+    }
+    return field.placeholder || '';
+  }
+
+  renderThresholds(thresholds) {
+    const defaults = this.widget.defaultThresholds;
+    const direction = thresholds.direction || 'above';
+
+    return `
+      <div class="widget-modal-field-row">
+        <label class="widget-modal-field flex-grow">
+          <span class="widget-modal-label">Warning</span>
+          <input class="widget-modal-input" name="thresholds.warning" type="number" step="any"
+            value="${escapeHtml(thresholds.warning ?? '')}" placeholder="${defaults.warning ?? 'None'}">
+        </label>
+        <label class="widget-modal-field flex-grow">
+          <span class="widget-modal-label">Critical</span>
+          <input class="widget-modal-input" name="thresholds.critical" type="number" step="any"
+            value="${escapeHtml(thresholds.critical ?? '')}" placeholder="${defaults.critical ?? 'None'}">
+        </label>
+        <label class="widget-modal-field">
+          <span class="widget-modal-label">When value is</span>
+          <select class="widget-modal-input" name="thresholds.direction">
+            <option value="above" ${direction === 'above' ? 'selected' : ''}>Above</option>
+            <option value="below" ${direction === 'below' ? 'selected' : ''}>Below</option>
+          </select>
+        </label>
+      </div>
+    `;
+  }
+
+  renderColors(colors) {
+    return `
+      <div class="widget-modal-field-row">
+        ${COLOR_STATES.map(({ state, label, initial }) => `
+          <label class="widget-modal-field widget-modal-checkbox-field widget-settings-color">
+            <input class="widget-modal-checkbox" name="colors.${state}.enabled" type="checkbox" ${colors[state] ? 'checked' : ''}>
+            <input class="widget-settings-color-input" name="colors.${state}" type="color" value="${escapeHtml(colors[state] || initial)}">
+            <span class="widget-modal-label">${label}</span>
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Suggest the keys currently cached for the widget's node
+  getKeyOptions(stream) {
+    const source = this.widget.getSource();
+    if (stream === 'orders') {
+      return [...new Set((openOrdersData[source] || []).map(order => order.symbol).filter(Boolean))];
+    }
+    return Object.keys(STREAM_STORES[stream]?.[source] || {}).filter(key => key !== 'timestamp' && key !== 'type');
+  }
+
+  // Config updates from the form - cleared fields are unset so the widget falls back to its default
+  readForm() {
+    const elements = this.form.elements;
+    const readNumber = (name) => {
+      const raw = elements[name].value.trim();
+      return raw === '' || !Number.isFinite(Number(raw)) ? undefined : Number(raw);
+    };
+
+    const updates = {};
+    getSettingsFields(this.widget.type).filter(name => SETTINGS_FIELDS[name]).forEach(name => {
+      const field = SETTINGS_FIELDS[name];
+      let value;
+
+      switch (field.input) {
+        case 'checkbox':
+          value = elements[name].checked;
+          break;
+        case 'select':
+          value = field.options.map(([optionValue]) => optionValue).find(optionValue => String(optionValue) === elements[name].value);
+          break;
+        case 'number':
+          value = readNumber(name);
+          break;
+        case 'thresholds': {
+          const warning = readNumber('thresholds.warning');
+          const critical = readNumber('thresholds.critical');
+          // A threshold left empty keeps the widget's default
+          value = warning === undefined && critical === undefined ? undefined : {
+            ...(warning !== undefined && { warning }),
+            ...(critical !== undefined && { critical }),
+            direction: elements['thresholds.direction'].value
+          };
+          break;
+        }
+        case 'colors': {
+          const colors = {};
+          COLOR_STATES.forEach(({ state }) => {
+            if (elements[`colors.${state}.enabled`].checked) colors[state] = elements[`colors.${state}`].value;
+          });
+          value = Object.keys(colors).length > 0 ? colors : undefined;
+          break;
+        }
+        default:
+          value = elements[name].value.trim() || undefined;
+      }
+
+      updates[name] = value === field.default ? undefined : value;
+    });
+
+    if (typeof updates.decimals === 'number') {
+      updates.decimals = Math.min(Math.max(Math.round(updates.decimals), 0), 8);
+    }
+    return updates;
+  }
+
+  async save() {
+    const widget = this.widget;
+    if (!widget) return;
+
+    const updates = this.readForm();
+    const changed = Object.keys(updates).some(name => JSON.stringify(updates[name]) !== JSON.stringify(widget.config[name]));
+    this.close();
+    if (!changed) return;
+
+    // Unset fields are dropped when the config is stored
+    widget.updateConfig(updates, 'Edit widget settings');
+
+    try {
+      await this.canvas.reloadWidget(widget.id);
+    } catch (error) {
+      console.error('Error applying widget settings:', error);
+    }
+  }
+
+  open(widgetId) {
+    const widget = this.canvas.getWidget(widgetId);
+    if (!widget) return;
+
+    this.widget = widget;
+    this.titleElement.textContent = `Edit ${widgetRegistry[widget.type]?.title || widget.getTitle()}`;
+    this.renderFields();
+
+    this.element.style.display = 'flex';
+    this.isOpen = true;
+    document.body.style.overflow = 'hidden';
+    this.form.querySelector('input, select')?.focus();
+  }
+
+  close() {
+    this.element.style.display = 'none';
+    this.isOpen = false;
+    this.widget = null;
+    document.body.style.overflow = '';
+  }
+}
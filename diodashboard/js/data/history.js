@@ -0,0 +1,202 @@
+// Client-side time-series history for cached metrics
+// Every value written by the stream parsers is recorded here so widgets can show
+// trends without asking the backend. Series are keyed by source (node) and stream
+// plus the data cache key (e.g. telemetry `name|labelsJSON`, system metric name, balance asset).
+
+import { historyConfig } from './state.js';
+
+// Fixed-capacity ring buffer - the oldest entry is overwritten once full
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      // Buffer full - drop the oldest entry
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  shift() {
+    if (this.length === 0) return undefined;
+    const item = this.items[this.start];
+    this.items[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length--;
+    return item;
+  }
+
+  first() {
+    return this.length > 0 ? this.items[this.start] : undefined;
+  }
+
+  last() {
+    return this.length > 0 ? this.items[(this.start + this.length - 1) % this.capacity] : undefined;
+  }
+
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+
+  // Copy contents into a buffer of a different capacity (keeps the newest entries)
+  resize(capacity) {
+    const items = this.toArray().slice(-capacity);
+    const resized = new RingBuffer(capacity);
+    items.forEach(item => resized.push(item));
+    return resized;
+  }
+}
+
+export class MetricHistory {
+  constructor(options = {}) {
+    this.series = new Map(); // seriesKey -> RingBuffer of points
+    this.maxPoints = historyConfig.maxPoints;
+    this.retentionSeconds = historyConfig.retentionSeconds;
+    this.resolutionSeconds = historyConfig.resolutionSeconds;
+    this.configure(options);
+  }
+
+  // Update retention and downsampling settings (existing series are trimmed to fit)
+  configure(options = {}) {
+    if (options.maxPoints > 0) this.maxPoints = Math.floor(options.maxPoints);
+    if (options.retentionSeconds > 0) this.retentionSeconds = options.retentionSeconds;
+    if (options.resolutionSeconds >= 0) this.resolutionSeconds = options.resolutionSeconds;
+
+    this.series.forEach((buffer, seriesKey) => {
+      if (buffer.capacity !== this.maxPoints) {
+        this.series.set(seriesKey, buffer.resize(this.maxPoints));
+      }
+    });
+  }
+
+  seriesKey(source, stream, key) {
+    return `${source}/${stream}:${key}`;
+  }
+
+  // Record a value for a metric; timestamp is in seconds like `last_updated`
+  record(source, stream, key, value, timestamp) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+    const time = typeof timestamp === 'number' && Number.isFinite(timestamp) ? timestamp : Date.now() / 1000;
+    const bucketTime = this.resolutionSeconds > 0 ?
+      Math.floor(time / this.resolutionSeconds) * this.resolutionSeconds :
+      time;
+
+    const seriesKey = this.seriesKey(source, stream, key);
+    let buffer = this.series.get(seriesKey);
+    if (!buffer) {
+      buffer = new RingBuffer(this.maxPoints);
+      this.series.set(seriesKey, buffer);
+    }
+
+    const last = buffer.last();
+    if (last && bucketTime < last.timestamp) {
+      // Out-of-order sample - older than what we already have
+      return;
+    }
+
+    if (last && bucketTime === last.timestamp) {
+      // Downsample: merge into the current bucket, keeping the latest value
+      last.value = value;
+      last.min = Math.min(last.min, value);
+      last.max = Math.max(last.max, value);
+      last.sum += value;
+      last.count++;
+    } else {
+      buffer.push({ timestamp: bucketTime, value, min: value, max: value, sum: value, count: 1 });
+    }
+
+    this.trim(buffer, bucketTime);
+  }
+
+  // Drop points that fall outside the retention window
+  trim(buffer, newestTime) {
+    const cutoff = newestTime - this.retentionSeconds;
+    while (buffer.length > 0 && buffer.first().timestamp < cutoff) {
+      buffer.shift();
+    }
+  }
+
+  // Get points for a series, optionally limited to the last `windowSeconds`
+  getSeries(source, stream, key, windowSeconds = null) {
+    const buffer = this.series.get(this.seriesKey(source, stream, key));
+    if (!buffer) return [];
+
+    const points = buffer.toArray();
+    if (!windowSeconds || points.length === 0) return points;
+
+    const cutoff = points[points.length - 1].timestamp - windowSeconds;
+    return points.filter(point => point.timestamp >= cutoff);
+  }
+
+  // Summary statistics over a window (null when there is no data)
+  getStats(source, stream, key, windowSeconds = null) {
+    const points = this.getSeries(source, stream, key, windowSeconds);
+    if (points.length === 0) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let count = 0;
+
+    points.forEach(point => {
+      min = Math.min(min, point.min);
+      max = Math.max(max, point.max);
+      sum += point.sum;
+      count += point.count;
+    });
+
+    return {
+      min,
+      max,
+      avg: sum / count,
+      first: points[0].value,
+      last: points[points.length - 1].value,
+      count,
+      from: points[0].timestamp,
+      to: points[points.length - 1].timestamp
+    };
+  }
+
+  // Average change per second over a window (null with fewer than two points)
+  getRate(source, stream, key, windowSeconds = null) {
+    const points = this.getSeries(source, stream, key, windowSeconds);
+    if (points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const elapsed = last.timestamp - first.timestamp;
+    if (elapsed <= 0) return null;
+
+    return (last.value - first.value) / elapsed;
+  }
+
+  clear(source = null, stream = null, key = null) {
+    if (source && stream && key) {
+      this.series.delete(this.seriesKey(source, stream, key));
+    } else if (source) {
+      const prefix = stream ? `${source}/${stream}:` : `${source}/`;
+      Array.from(this.series.keys())
+        .filter(seriesKey => seriesKey.startsWith(prefix))
+        .forEach(seriesKey => this.series.delete(seriesKey));
+    } else {
+      this.series.clear();
+    }
+  }
+}
+
+// Singleton instance
+export const metricHistory = new MetricHistory();
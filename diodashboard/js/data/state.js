@@ -1,10 +1,26 @@
 // Data storage for structured streams - ALL METRICS ARE CACHED CLIENT-SIDE
 // Metrics persist between updates and show last known values until new data arrives
 // Only logs are not cached (they're append-only streaming data)
-export const telemetryData = {}; // key -> {name, labels, value, cached_rate, last_updated}
-export const balanceData = {};   // asset -> {asset, total_balance, wallets, last_updated}
-export const openOrdersData = []; // Array of all open orders with all fields (refreshed, not cached)
-export const systemData = {};    // metric_name -> {name, value, last_updated}
+// Every store is namespaced by source (connection profile id) so several nodes can share one canvas
+export const telemetryData = {}; // source -> key -> {name, labels, value, cached_rate, last_updated}
+export const balanceData = {};   // source -> asset -> {asset, total_balance, wallets, last_updated}
+export const openOrdersData = {}; // source -> array of all open orders with all fields (refreshed, not cached)
+export const systemData = {};    // source -> metric_name -> {name, value, last_updated}
+
+// Per-node slice of a data store, created on first use - only the stream message handlers
+// write to the stores, so only they should call this
+export function getNodeData(store, source) {
+  if (!store[source]) {
+    store[source] = store === openOrdersData ? [] : {};
+  }
+  return store[source];
+}
+
+// Per-node slice of a data store for reading - an empty one when the node has no data, without
+// adding it to the store (a widget rendering after its node was disconnected mustn't bring it back)
+export function readNodeData(store, source) {
+  return store[source] || (store === openOrdersData ? [] : {});
+}
 
 // Track collapsed/expanded state of sections and subsections
 export const sectionState = {
@@ -14,16 +30,79 @@ export const sectionState = {
 
 // Configuration
 export const streams = ['balance', 'system', 'telemetry', 'log'];
-export const hostname = window.location.hostname || 'dev-node-1';
-export const port = 9000;
-export const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-export const connections = {};
+export const connections = {}; // source -> streamName -> WebSocket
+
+// Built-in connection profile (used until the user creates their own, see utils/connection-profiles.js)
+export const defaultConnectionProfile = {
+  id: 'default',
+  name: 'Default',
+  host: window.location.hostname || 'dev-node-1',
+  port: 9000,
+  tls: window.location.protocol === 'https:',
+  pathPrefix: '',
+  authToken: '',
+  keepConnected: false // Stream from this node even when another profile is active
+};
+
+// WebSocket reconnect backoff (see utils/connection-manager.js)
+export const reconnectConfig = {
+  baseDelayMs: 1000,    // First retry delay
+  maxDelayMs: 60000,    // Backoff cap
+  multiplier: 2,        // Delay growth per consecutive failure
+  jitter: 0.3,          // +/- fraction of the delay, spreads out reconnect storms
+  maxAttempts: 10       // Consecutive failures before the circuit opens (0 = retry forever)
+};
+
+// Stale data detection defaults - widgets can override both in their `config`
+export const staleConfig = {
+  staleAfterSeconds: 30,  // Dim the widget and show a badge when its data is older than this (0 = off)
+  hideAfterSeconds: 0     // Hide metrics not updated for this long (0 = never hide)
+};
+
+// Browser notification and alarm sound behaviour (see utils/notifier.js)
+export const notificationConfig = {
+  disconnectGraceSeconds: 15,  // Only notify when a stream stays down this long - logs reconnect routinely
+  soundCooldownSeconds: 5,     // Minimum gap between alarm sounds
+  snoozeMinutes: [15, 60, 240] // Snooze choices offered in the alerts dialog
+};
+
+// Alert rule evaluation (see utils/alerts.js)
+export const alertConfig = {
+  resolvedHoldSeconds: 300 // A resolved rule goes back to ok after staying clear this long
+};
+
+// Layout undo/redo (see utils/undo-manager.js)
+export const undoConfig = {
+  maxSteps: 50 // Steps kept per dashboard, in memory and across reloads
+};
+
+// Metric history retention and downsampling (see data/history.js)
+export const historyConfig = {
+  maxPoints: 3600,          // Points kept per series
+  retentionSeconds: 3600,   // Drop points older than this
+  resolutionSeconds: 1      // Samples within the same interval are merged into one point
+};
+
+// Log stream widget buffer (see widgets/log-widget.js) and log-derived metrics
+export const logConfig = {
+  scrollback: 2000,          // Lines kept per widget unless its config sets `scrollback`
+  scrollbackOptions: [500, 1000, 2000, 5000, 10000], // Choices offered in the settings editor
+  exportRangeMinutes: [5, 15, 60], // Time ranges offered when exporting, besides the whole buffer
+  metricWindowsMinutes: [1, 5], // Rolling windows of the log-derived metrics (see utils/log-metrics.js)
+  metricBucketSeconds: 5,       // Resolution the windows are counted at
+  metricIntervalSeconds: 5      // How often the log-derived metrics are published
+};
 
 // Widget system state
 export const widgets = new Map(); // widgetId -> widget instance
 export const widgetConfig = {}; // Persistent widget configuration
 
 // Widget registry - defines available widget types and their configurations
+// `configSchema` lists the widget-specific `config` fields and their types ('string', 'number',
+// 'boolean', 'object' or 'array'); `target` names the field selecting the metric a single-metric
+// widget shows. Fields shared by every widget are in utils/config-schema.js.
+// `settings` lists the config fields the settings editor offers (see SETTINGS_FIELDS in
+// utils/config-schema.js).
 export const widgetRegistry = {
   // Telemetry widgets
   'telemetry-gauge': {
@@ -32,7 +111,9 @@ export const widgetRegistry = {
     title: 'Gauge Metrics',
     description: 'Display all gauge-type telemetry metrics',
     category: 'telemetry',
-    defaultSize: { width: 6, height: 4 }
+    defaultSize: { width: 6, height: 4 },
+    configSchema: { fields: { key: 'string', selector: 'string' } },
+    settings: ['key', 'selector', 'decimals', 'unit', 'thresholds', 'colors']
   },
   'telemetry-counter': {
     type: 'telemetry',
@@ -40,7 +121,9 @@ export const widgetRegistry = {
     title: 'Counter Metrics',
     description: 'Display all counter-type telemetry metrics',
     category: 'telemetry',
-    defaultSize: { width: 6, height: 4 }
+    defaultSize: { width: 6, height: 4 },
+    configSchema: { fields: { key: 'string', selector: 'string' } },
+    settings: ['key', 'selector', 'decimals', 'unit', 'thresholds', 'colors']
   },
   'telemetry-histogram': {
     type: 'telemetry',
@@ -48,7 +131,9 @@ export const widgetRegistry = {
     title: 'Histogram Metrics',
     description: 'Display all histogram-type telemetry metrics',
     category: 'telemetry',
-    defaultSize: { width: 8, height: 4 }
+    defaultSize: { width: 8, height: 4 },
+    configSchema: { fields: { key: 'string', selector: 'string', labels: 'object', metricType: 'string' } },
+    settings: ['key', 'selector', 'decimals', 'unit', 'thresholds', 'colors']
   },
   'telemetry-metric': {
     type: 'telemetry',
@@ -57,7 +142,12 @@ export const widgetRegistry = {
     description: 'Display a single telemetry metric',
     category: 'telemetry',
     defaultSize: { width: 4, height: 3 },
-    dynamic: true // These are created dynamically from metrics
+    dynamic: true, // These are created dynamically from metrics
+    configSchema: {
+      target: 'key', // Config field naming the metric shown
+      fields: { key: 'string', selector: 'string', labels: 'object', metricType: 'string', sparkline: 'boolean', chartMinutes: 'number', chartExpanded: 'boolean' }
+    },
+    settings: ['key', 'selector', 'decimals', 'unit', 'sparkline', 'chartMinutes', 'thresholds', 'colors']
   },
 
   // Balance widgets
@@ -67,7 +157,9 @@ export const widgetRegistry = {
     title: 'Asset Balances',
     description: 'Display all asset balances',
     category: 'balance',
-    defaultSize: { width: 8, height: 6 }
+    defaultSize: { width: 8, height: 6 },
+    configSchema: { fields: {} },
+    settings: []
   },
   'balance-orders': {
     type: 'balance',
@@ -75,7 +167,9 @@ export const widgetRegistry = {
     title: 'Open Orders',
     description: 'Display all open trading orders',
     category: 'balance',
-    defaultSize: { width: 10, height: 6 }
+    defaultSize: { width: 10, height: 6 },
+    configSchema: { fields: { symbol: 'string' } },
+    settings: ['symbol']
   },
   'balance-single': {
     type: 'balance',
@@ -84,7 +178,9 @@ export const widgetRegistry = {
     description: 'Display a single asset balance',
     category: 'balance',
     defaultSize: { width: 6, height: 4 },
-    dynamic: true // These are created dynamically from assets
+    dynamic: true, // These are created dynamically from assets
+    configSchema: { target: 'asset', fields: { asset: 'string', wallets: 'array' } },
+    settings: ['asset']
   },
   'balance-orders-single': {
     type: 'balance',
@@ -93,7 +189,9 @@ export const widgetRegistry = {
     description: 'Display orders for a specific symbol',
     category: 'balance',
     defaultSize: { width: 8, height: 4 },
-    dynamic: true // These are created dynamically from order symbols
+    dynamic: true, // These are created dynamically from order symbols
+    configSchema: { target: 'symbol', fields: { symbol: 'string', orders: 'array' } },
+    settings: ['symbol']
   },
 
   // System widgets
@@ -103,7 +201,9 @@ export const widgetRegistry = {
     title: 'CPU Metrics',
     description: 'Display CPU usage and core information',
     category: 'system',
-    defaultSize: { width: 6, height: 4 }
+    defaultSize: { width: 6, height: 4 },
+    configSchema: { fields: {} },
+    settings: ['thresholds', 'colors']
   },
   'system-memory': {
     type: 'system',
@@ -111,7 +211,9 @@ export const widgetRegistry = {
     title: 'Memory Metrics',
     description: 'Display memory and swap usage',
     category: 'system',
-    defaultSize: { width: 6, height: 4 }
+    defaultSize: { width: 6, height: 4 },
+    configSchema: { fields: {} },
+    settings: ['thresholds', 'colors']
   },
   'system-metric': {
     type: 'system',
@@ -120,7 +222,9 @@ export const widgetRegistry = {
     description: 'Display a single system metric',
     category: 'system',
     defaultSize: { width: 4, height: 3 },
-    dynamic: true // These are created dynamically from system metrics
+    dynamic: true, // These are created dynamically from system metrics
+    configSchema: { target: 'systemKey', fields: { systemKey: 'string' } },
+    settings: ['systemKey', 'decimals', 'unit', 'thresholds', 'colors']
   },
 
   // Log widgets
@@ -130,7 +234,23 @@ export const widgetRegistry = {
     title: 'Log Stream',
     description: 'Display real-time log messages',
     category: 'log',
-    defaultSize: { width: 12, height: 8 }
+    defaultSize: { width: 12, height: 8 },
+    staleAfterSeconds: 300, // Logs are bursty - only flag long silences
+    configSchema: { fields: { filter: 'object', scrollback: 'number' } }, // filter: { levels, section, id, search, regex } - see utils/log-filter.js
+    settings: ['scrollback']
+  },
+
+  // Layout widgets
+  'container': {
+    type: 'layout',
+    subtype: 'container', // Holds child widgets, stored nested in its `children`
+    title: 'Container',
+    description: 'Titled panel that groups widgets and moves them together',
+    category: 'layout',
+    defaultSize: { width: 10, height: 6 },
+    minSize: { width: 4, height: 3 }, // Smallest resize - groups of small widgets get small containers
+    configSchema: { fields: { title: 'string', collapsed: 'boolean' } },
+    settings: ['title']
   }
 };
 
@@ -1,16 +1,34 @@
 // Main entry point for the DioDashboard widget system
 
-import { streams } from './data/state.js';
 import { Canvas } from './components/canvas.js';
 import { WidgetMenu } from './components/widget-menu.js';
 import { ContextMenu } from './components/context-menu.js';
-import { connectStream } from './utils/websocket.js';
+import { ConnectionDialog } from './components/connection-dialog.js';
+import { ConnectionStatus } from './components/connection-status.js';
+import { AlertPanel } from './components/alert-panel.js';
+import { LayoutDialog } from './components/layout-dialog.js';
+import { WidgetSettingsDialog } from './components/widget-settings-dialog.js';
+import { MetricPicker } from './components/metric-picker.js';
+import { DashboardTabs } from './components/dashboard-tabs.js';
+import { syncSourceConnections, reconnectSource } from './utils/websocket.js';
+import { logMetrics } from './utils/log-metrics.js';
+import { notifier } from './utils/notifier.js';
 import { storageManager } from './utils/storage.js';
+import { undoManager } from './utils/undo-manager.js';
+import { connectionProfiles } from './utils/connection-profiles.js';
+import { escapeHtml } from './utils/formatting.js';
 import { widgetRegistry } from './data/state.js';
 
 let canvas;
 let widgetMenu;
 let contextMenu;
+let connectionDialog;
+let connectionStatus;
+let alertPanel;
+let layoutDialog;
+let widgetSettingsDialog;
+let metricPicker;
+let dashboardTabs;
 
 window.onload = () => {
   try {
@@ -28,8 +46,10 @@ window.onload = () => {
     // Initialize widget menu
     widgetMenu = new WidgetMenu(canvas);
 
-    // Initialize context menu
+    // Initialize context menu and the widget settings and metric dialogs it opens
     contextMenu = new ContextMenu(canvas);
+    widgetSettingsDialog = new WidgetSettingsDialog(canvas);
+    metricPicker = new MetricPicker(canvas);
 
     // Setup add widget button
     if (addWidgetBtn) {
@@ -42,7 +62,8 @@ window.onload = () => {
     const clearAllBtn = document.getElementById('clear-all-btn');
     if (clearAllBtn) {
       clearAllBtn.addEventListener('click', () => {
-        if (confirm('Clear all widgets from the dashboard? This cannot be undone.')) {
+        if (confirm('Clear all widgets from the dashboard? Press Ctrl+Z to undo.')) {
+          undoManager.record({ type: 'layout', label: 'Clear all', before: storageManager.getWidgets(), after: [] });
           // Clear storage first
           storageManager.clearAll();
           // Then clear canvas UI
@@ -51,6 +72,30 @@ window.onload = () => {
       });
     }
 
+    // Setup connection profile controls
+    connectionDialog = new ConnectionDialog();
+    connectionStatus = new ConnectionStatus(document.getElementById('connection-status-btn'));
+    setupConnectionControls();
+
+    // Setup alert rules dialog
+    alertPanel = new AlertPanel(document.getElementById('alerts-btn'));
+
+    // Setup layout import/export
+    const layoutBtn = document.getElementById('layout-btn');
+    layoutDialog = new LayoutDialog(layoutBtn);
+    if (layoutBtn) {
+      layoutBtn.addEventListener('click', () => {
+        layoutDialog.open();
+      });
+    }
+    // Rebuild the canvas from an imported layout or one restored by undo/redo
+    document.addEventListener('layoutImported', reloadDashboard);
+    document.addEventListener('layoutRestored', reloadDashboard);
+
+    // Setup dashboard tabs
+    dashboardTabs = new DashboardTabs(document.getElementById('dashboard-tabs'));
+    document.addEventListener('dashboardChange', reloadDashboard);
+
     // Setup canvas context menu
     canvas.element.addEventListener('contextmenu', (e) => {
       // Only show context menu if clicking on empty canvas
@@ -63,15 +108,17 @@ window.onload = () => {
     // Load saved configuration
     loadSavedConfiguration();
 
-    // Connect to WebSocket streams
+    // Count log entries into log-derived metrics and watch them for errors before the first ones arrive
+    logMetrics.start();
+    notifier.start();
+
+    // Connect to WebSocket streams for the active profile and any kept-connected nodes
     if ('WebSocket' in window) {
-      streams.forEach(streamName => {
-        try {
-          connectStream(streamName);
-        } catch (error) {
-          console.error(`Error initializing stream ${streamName}:`, error);
-        }
-      });
+      try {
+        syncSourceConnections();
+      } catch (error) {
+        console.error('Error initializing streams:', error);
+      }
     } else {
       console.error('WebSockets not supported in this browser');
     }
@@ -81,12 +128,62 @@ window.onload = () => {
   }
 };
 
-async function loadSavedConfiguration() {
+function setupConnectionControls() {
+  const profileSelect = document.getElementById('profile-select');
+  const connectionsBtn = document.getElementById('connections-btn');
+
+  const renderProfileOptions = () => {
+    if (!profileSelect) return;
+    const activeId = connectionProfiles.getActiveProfile().id;
+    profileSelect.innerHTML = connectionProfiles.getProfiles().map(profile =>
+      `<option value="${escapeHtml(profile.id)}" ${profile.id === activeId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`
+    ).join('');
+  };
+
+  renderProfileOptions();
+
+  if (profileSelect) {
+    profileSelect.addEventListener('change', () => {
+      connectionProfiles.setActiveProfile(profileSelect.value);
+    });
+  }
+
+  if (connectionsBtn) {
+    connectionsBtn.addEventListener('click', () => {
+      connectionDialog.open();
+    });
+  }
+
+  // Keep the selector in sync and open/close node streams to match the profiles
+  connectionProfiles.onChange((profile, changeType, profileId) => {
+    renderProfileOptions();
+    if (changeType === 'endpoint') {
+      reconnectSource(profileId);
+    }
+    syncSourceConnections();
+  });
+}
+
+// Bumped on every load so a dashboard switch abandons a load that is still creating widgets
+let loadGeneration = 0;
+let currentLoad = Promise.resolve();
+
+function loadSavedConfiguration() {
+  const generation = ++loadGeneration;
+  // Start once the abandoned load has dropped its last widget, so the two never race for an id
+  currentLoad = currentLoad.then(() => loadDashboardWidgets(generation));
+  return currentLoad;
+}
+
+async function loadDashboardWidgets(generation) {
   try {
-    const config = storageManager.config;
-    if (config.widgets && config.widgets.length > 0) {
-      for (const widgetConfig of config.widgets) {
-        await createWidgetFromConfig(widgetConfig);
+    for (const widgetConfig of storageManager.getWidgets()) {
+      if (generation !== loadGeneration) return;
+
+      const widget = await createWidgetFromConfig(widgetConfig);
+      if (widget && generation !== loadGeneration) {
+        canvas.detachWidget(widget);
+        return;
       }
     }
   } catch (error) {
@@ -97,7 +194,13 @@ async function loadSavedConfiguration() {
 async function createWidgetFromConfig(config) {
   const { AutoLayout } = await import('./utils/auto-layout.js');
   const autoLayout = new AutoLayout(canvas);
-  await autoLayout.createAndPlaceWidget(config, true); // skipStorage=true when loading from saved config
+  return autoLayout.createAndPlaceWidget(config, true); // skipStorage=true when loading from saved config
+}
+
+// Tear down the current canvas and load the active dashboard's layout
+function reloadDashboard() {
+  canvas.clear();
+  loadSavedConfiguration();
 }
 
 
@@ -0,0 +1,303 @@
+// Alert engine - threshold and change rules over cached metrics, evaluated on every stream dispatch
+// Rules are persisted with the layout through StorageManager. State changes are broadcast as an
+// `alertStateChange` event on document.
+//
+// States: ok -> pending (condition met, waiting `forSeconds`) -> firing -> resolved -> pending ...
+// A firing rule only resolves once the value is back past the threshold by `hysteresis`, so a
+// metric hovering around the threshold doesn't flap. A resolved rule returns to ok once it has
+// stayed clear for `alertConfig.resolvedHoldSeconds`.
+//
+// Rule shape:
+//   { id, name, enabled, severity: 'warning'|'critical',
+//     stream: 'telemetry'|'balance'|'system', key, source (profile id, null = active profile),
+//     type: 'threshold'|'change', operator: '>'|'>='|'<'|'<=', threshold, forSeconds, hysteresis,
+//     windowSeconds (change rules: percent change of the value over this window) }
+
+import { telemetryData, balanceData, systemData, alertConfig } from '../data/state.js';
+import { metricHistory } from '../data/history.js';
+import { storageManager } from './storage.js';
+import { connectionProfiles } from './connection-profiles.js';
+
+export const ALERT_STREAMS = ['telemetry', 'balance', 'system'];
+export const ALERT_OPERATORS = ['>', '>=', '<', '<='];
+
+// Higher is worse - used to sort the alert list and pick a widget's border color
+const STATE_PRIORITY = { firing: 3, pending: 2, resolved: 1, ok: 0 };
+
+const STORES = {
+  telemetry: telemetryData,
+  balance: balanceData,
+  system: systemData
+};
+
+// Fill in defaults and clean up user-entered values
+export function normalizeRule(rule) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+
+  const type = rule.type === 'change' ? 'change' : 'threshold';
+  return {
+    id: rule.id || `alert_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+    name: String(rule.name || rule.key || 'Unnamed rule').trim(),
+    enabled: rule.enabled !== false,
+    severity: rule.severity === 'critical' ? 'critical' : 'warning',
+    stream: ALERT_STREAMS.includes(rule.stream) ? rule.stream : 'system',
+    key: String(rule.key || '').trim(),
+    source: rule.source || null,
+    type,
+    operator: ALERT_OPERATORS.includes(rule.operator) ? rule.operator : '>',
+    threshold: number(rule.threshold, 0),
+    forSeconds: Math.max(0, number(rule.forSeconds, 0)),
+    hysteresis: Math.max(0, number(rule.hysteresis, 0)),
+    windowSeconds: type === 'change' ? Math.max(1, number(rule.windowSeconds, 300)) : null
+  };
+}
+
+// Human readable condition, e.g. "cpu_usage > 85 for 60s" or "BTC change <= -5% over 300s"
+export function describeRule(rule) {
+  const condition = rule.type === 'change' ?
+    `${rule.key} change ${rule.operator} ${rule.threshold}% over ${rule.windowSeconds}s` :
+    `${rule.key} ${rule.operator} ${rule.threshold}`;
+  return rule.forSeconds > 0 ? `${condition} for ${rule.forSeconds}s` : condition;
+}
+
+function compare(value, operator, threshold) {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    default: return false;
+  }
+}
+
+export class AlertEngine {
+  constructor() {
+    this.rules = storageManager.getAlertRules().map(normalizeRule);
+    this.states = new Map(); // rule id -> { state, value, source, since, firedAt, resolvedAt, evaluatedAt }
+
+    connectionProfiles.onChange((profile, changeType) => {
+      if (changeType === 'active') this.resetActiveSourceRules();
+    });
+  }
+
+  getRules() {
+    return [...this.rules];
+  }
+
+  getRule(ruleId) {
+    return this.rules.find(rule => rule.id === ruleId) || null;
+  }
+
+  // Add a new rule or update an existing one (matched by id) - editing a rule resets its state
+  saveRule(rule) {
+    const normalized = normalizeRule(rule);
+    const index = this.rules.findIndex(r => r.id === normalized.id);
+    if (index !== -1) {
+      this.rules[index] = normalized;
+    } else {
+      this.rules.push(normalized);
+    }
+    this.save();
+    this.resetState(normalized);
+    return normalized;
+  }
+
+  deleteRule(ruleId) {
+    const rule = this.getRule(ruleId);
+    if (!rule) return;
+
+    const previous = this.getState(ruleId).state;
+    this.rules = this.rules.filter(r => r.id !== ruleId);
+    this.save();
+    this.states.delete(ruleId);
+    this.notify(rule, 'ok', previous);
+  }
+
+  save() {
+    storageManager.saveAlertRules(this.rules);
+  }
+
+  // Node a rule watches - rules without a source follow the active profile
+  getRuleSource(rule) {
+    return rule.source || connectionProfiles.getActiveProfile().id;
+  }
+
+  getState(ruleId) {
+    return this.states.get(ruleId) || { state: 'ok', value: null, source: null, since: null, firedAt: null, resolvedAt: null, evaluatedAt: null };
+  }
+
+  // Rules with their current state, worst first
+  getAlerts() {
+    return this.rules
+      .map(rule => ({ rule, ...this.getState(rule.id) }))
+      .sort((a, b) => STATE_PRIORITY[b.state] - STATE_PRIORITY[a.state]);
+  }
+
+  getFiringCount() {
+    return this.getAlerts().filter(alert => alert.state === 'firing').length;
+  }
+
+  resetState(rule) {
+    const previous = this.getState(rule.id).state;
+    this.states.delete(rule.id);
+    if (previous !== 'ok') {
+      this.notify(rule, 'ok', previous);
+    }
+  }
+
+  // Rules that follow the active profile start over when it changes
+  resetActiveSourceRules() {
+    this.rules.filter(rule => !rule.source).forEach(rule => this.resetState(rule));
+  }
+
+  // Cached key a rule watches on a node - telemetry rules may name a metric without its labels,
+  // which picks the first cached series of that name
+  resolveKey(rule, nodeData) {
+    if (nodeData[rule.key] || rule.stream !== 'telemetry') return rule.key;
+    return Object.values(nodeData).find(metric => metric.name === rule.key)?.key ?? rule.key;
+  }
+
+  // Current value a rule compares (null when the metric isn't cached)
+  getValue(rule, source) {
+    const nodeData = STORES[rule.stream][source] || {};
+    const memoryUsage = rule.stream === 'system' && rule.key === 'memory_usage';
+
+    if (rule.type === 'change') {
+      // Memory usage has no history of its own - against a fixed total it changes like memory_used
+      const key = memoryUsage ? 'memory_used' : this.resolveKey(rule, nodeData);
+      const stats = metricHistory.getStats(source, rule.stream, key, rule.windowSeconds);
+      if (!stats || stats.count < 2 || stats.first === 0) return null;
+      return ((stats.last - stats.first) / Math.abs(stats.first)) * 100;
+    }
+
+    // Derived system value - the memory widget shows usage as a percentage
+    if (memoryUsage) {
+      const used = nodeData.memory_used?.value;
+      const total = nodeData.memory_total?.value;
+      return typeof used === 'number' && total ? (used / total) * 100 : null;
+    }
+
+    const entry = nodeData[this.resolveKey(rule, nodeData)];
+    if (!entry) return null;
+
+    const value = rule.stream === 'balance' ? parseFloat(entry.total_balance) : entry.value;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  // The firing condition shifted by hysteresis - what a firing rule must clear to resolve
+  isCleared(rule, value) {
+    const below = rule.operator === '>' || rule.operator === '>=';
+    return below ? value < rule.threshold - rule.hysteresis : value > rule.threshold + rule.hysteresis;
+  }
+
+  // Evaluate every enabled rule for a stream/source - called on each widget dispatch
+  evaluate(streamName, source) {
+    const now = Date.now();
+
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.stream !== streamName || this.getRuleSource(rule) !== source) return;
+
+      try {
+        this.evaluateRule(rule, source, now);
+      } catch (error) {
+        console.error(`Error evaluating alert rule ${rule.name}:`, error);
+      }
+    });
+  }
+
+  evaluateRule(rule, source, now) {
+    const current = this.getState(rule.id);
+    const value = this.getValue(rule, source);
+    const next = { ...current, value, source, evaluatedAt: now };
+
+    // Missing data leaves the state as it is (stale data is flagged on the widgets)
+    if (value === null) {
+      this.states.set(rule.id, next);
+      return;
+    }
+
+    const conditionMet = compare(value, rule.operator, rule.threshold);
+
+    switch (current.state) {
+      case 'ok':
+        if (conditionMet) {
+          next.state = 'pending';
+          next.since = now;
+        }
+        break;
+      case 'resolved':
+        if (conditionMet) {
+          next.state = 'pending';
+          next.since = now;
+        } else if (now - current.since >= alertConfig.resolvedHoldSeconds * 1000) {
+          next.state = 'ok';
+          next.since = now;
+        }
+        break;
+      case 'pending':
+        if (!conditionMet) {
+          // Never fired - fall back without a resolve
+          next.state = current.firedAt ? 'resolved' : 'ok';
+          next.since = now;
+        }
+        break;
+      case 'firing':
+        if (this.isCleared(rule, value)) {
+          next.state = 'resolved';
+          next.since = now;
+          next.resolvedAt = now;
+        }
+        break;
+    }
+
+    if (next.state === 'pending' && now - next.since >= rule.forSeconds * 1000) {
+      next.state = 'firing';
+      next.since = now;
+      next.firedAt = now;
+    }
+
+    this.states.set(rule.id, next);
+    if (next.state !== current.state) {
+      this.notify(rule, next.state, current.state);
+    }
+  }
+
+  // Whether a rule watches a cached key - telemetry rules may name a metric without its labels
+  matchesKey(rule, key) {
+    return rule.key === key || (rule.stream === 'telemetry' && key.split('|')[0] === rule.key);
+  }
+
+  // Worst state of the enabled rules watching any of `metrics` ({ stream, key } - the cached keys
+  // a widget shows) on a node. Null when no rule applies.
+  getStateFor(metrics, source) {
+    let worst = null;
+    this.rules.forEach(rule => {
+      if (!rule.enabled || this.getRuleSource(rule) !== source) return;
+      const watched = metrics.some(({ stream, key }) => rule.stream === stream && this.matchesKey(rule, key));
+      if (!watched) return;
+
+      const state = this.getState(rule.id).state;
+      if (!worst || STATE_PRIORITY[state] > STATE_PRIORITY[worst.state] ||
+          (state === worst.state && rule.severity === 'critical')) {
+        worst = { state, severity: rule.severity };
+      }
+    });
+    return worst;
+  }
+
+  notify(rule, state, previousState) {
+    try {
+      document.dispatchEvent(new CustomEvent('alertStateChange', {
+        detail: { ...this.getState(rule.id), rule, state, previousState }
+      }));
+    } catch (error) {
+      console.error('Error dispatching alert state change:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const alertEngine = new AlertEngine();
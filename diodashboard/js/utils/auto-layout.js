@@ -1,6 +1,56 @@
 // Auto-layout utility for placing widgets on the canvas
 
 const GRID_SIZE = 20;
+export const COLLAPSED_HEIGHT = 2; // Grid units a collapsed container takes - just its title bar
+
+// Whether two grid rects ({ x, y, width, height }) overlap or sit closer than `margin` cells
+export function rectsCollide(a, b, margin = 0) {
+  return a.x < b.x + b.width + margin && b.x < a.x + a.width + margin &&
+         a.y < b.y + b.height + margin && b.y < a.y + a.height + margin;
+}
+
+// Rect of a widget instance or stored widget config - collapsed containers only take their title bar
+export function getWidgetRect(widget) {
+  const collapsed = widget.type === 'container' && widget.config?.collapsed === true;
+  return {
+    x: widget.position?.x || 0,
+    y: widget.position?.y || 0,
+    width: widget.size?.width || 1,
+    height: collapsed ? COLLAPSED_HEIGHT : widget.size?.height || 1
+  };
+}
+
+// Occupied cells of the canvas, as a list of rects - rows are unbounded, columns are capped at
+// the canvas width so new widgets don't land off screen
+export class OccupancyGrid {
+  constructor(columns, margin = 1) {
+    this.columns = Math.max(1, columns);
+    this.margin = margin;
+    this.rects = [];
+  }
+
+  occupy(rect) {
+    this.rects.push({ ...rect });
+  }
+
+  isFree(rect) {
+    return !this.rects.some(other => rectsCollide(rect, other, this.margin));
+  }
+
+  // Top-most, then left-most free spot for a widget of `size`
+  findFree(size) {
+    const maxX = Math.max(0, this.columns - size.width);
+    const bottom = this.rects.reduce((max, rect) => Math.max(max, rect.y + rect.height + this.margin), 0);
+
+    for (let y = 0; y <= bottom; y++) {
+      for (let x = 0; x <= maxX; x++) {
+        const rect = { x, y, width: size.width, height: size.height };
+        if (this.isFree(rect)) return { x, y };
+      }
+    }
+    return { x: 0, y: bottom };
+  }
+}
 
 export class AutoLayout {
   constructor(canvas) {
@@ -15,7 +65,6 @@ export class AutoLayout {
 
   async placeMetricWidgets(metricIds) {
     const widgetsToPlace = [];
-    const widgetConfigs = [];
 
     // Import metric discovery to get metric details
     const { metricDiscovery } = await import('./metric-discovery.js');
@@ -27,22 +76,61 @@ export class AutoLayout {
         const widgetConfig = await this.createWidgetConfigFromMetric(metric);
         if (widgetConfig) {
           widgetsToPlace.push(widgetConfig);
-          widgetConfigs.push(widgetConfig);
         }
       }
     }
 
+    return this.placeWidgetConfigs(widgetsToPlace);
+  }
+
+  // One single-metric widget per node showing every series that matches a label selector
+  // (see utils/selectors.js)
+  async placeSelectorWidgets(selector, sources) {
+    const widgetsToPlace = [];
+    for (const source of sources) {
+      widgetsToPlace.push({
+        id: `telemetry-metric_selector_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        type: 'telemetry-metric',
+        position: { x: 0, y: 0 }, // Will be set by layout algorithm
+        size: await this.getWidgetSizeForMetric({ widgetType: 'telemetry-metric' }),
+        config: { selector, metricName: selector, source }
+      });
+    }
+
+    return this.placeWidgetConfigs(widgetsToPlace);
+  }
+
+  // Lay out, create and save new widgets as one undo step
+  async placeWidgetConfigs(widgetsToPlace) {
     // Calculate positions using auto-layout algorithm
     const positions = this.calculateLayout(widgetsToPlace);
 
     // Create and place widgets
+    const placed = [];
     for (let i = 0; i < widgetsToPlace.length; i++) {
       const widgetConfig = widgetsToPlace[i];
       widgetConfig.position = positions[i];
-      await this.createAndPlaceWidget(widgetConfig);
+      const widget = await this.createAndPlaceWidget(widgetConfig);
+      if (widget) {
+        this.settleWidget(widget);
+        widgetConfig.position = { ...widget.position };
+        placed.push(widgetConfig);
+      }
     }
 
-    return widgetConfigs;
+    // One undo step for the whole batch
+    if (placed.length > 0) {
+      const { storageManager } = await import('./storage.js');
+      const { undoManager } = await import('./undo-manager.js');
+      const stored = storageManager.getWidgets();
+      undoManager.record({
+        type: 'add',
+        label: placed.length === 1 ? 'Add widget' : `Add ${placed.length} widgets`,
+        entries: placed.map(widget => ({ index: stored.findIndex(w => w.id === widget.id), widget }))
+      });
+    }
+
+    return widgetsToPlace;
   }
 
   async createWidgetConfigFromMetric(metric) {
@@ -56,6 +144,7 @@ export class AutoLayout {
         metricId: metric.id,
         metricKey: metric.key,
         metricName: metric.name,
+        source: metric.source, // Node the metric comes from
         // Additional config based on metric type
         ...(await this.getAdditionalConfigForMetric(metric))
       }
@@ -86,7 +175,7 @@ export class AutoLayout {
           asset: metric.key,
           wallets: metric.wallets
         };
-      case 'balance-orders':
+      case 'balance-orders-single':
         return {
           symbol: metric.key,
           orders: metric.orders
@@ -100,42 +189,167 @@ export class AutoLayout {
     }
   }
 
+  // Occupancy grid of the widgets on the canvas, optionally leaving some out. Children of
+  // collapsed containers are hidden and take no space.
+  createOccupancyGrid(excludeIds = []) {
+    const grid = new OccupancyGrid(Math.floor(this.canvas.element.clientWidth / GRID_SIZE), this.margin);
+    this.canvas.widgets?.forEach(widget => {
+      if (!excludeIds.includes(widget.id) && !this.canvas.isHiddenChild(widget)) grid.occupy(getWidgetRect(widget));
+    });
+    return grid;
+  }
+
+  // Free positions for new widgets, filled around the widgets already on the canvas
   calculateLayout(widgets) {
-    const positions = [];
-    const canvasWidth = Math.floor(this.canvas.element.clientWidth / GRID_SIZE);
-    const canvasHeight = Math.floor(this.canvas.element.clientHeight / GRID_SIZE);
-
-    // Simple row-based layout: left to right, top to bottom
-    let currentX = 0;
-    let currentY = 0;
-    let maxHeightInRow = 0;
-
-    for (const widget of widgets) {
-      const widgetWidth = widget.size.width;
-      const widgetHeight = widget.size.height;
-
-      // Check if widget fits in current row
-      if (currentX + widgetWidth > canvasWidth) {
-        // Move to next row
-        currentX = 0;
-        currentY += maxHeightInRow + this.margin;
-        maxHeightInRow = 0;
-      }
+    const grid = this.createOccupancyGrid();
+
+    return widgets.map(widget => {
+      const position = grid.findFree(widget.size);
+      grid.occupy({ ...position, ...widget.size });
+      return position;
+    });
+  }
 
-      // Check if widget fits in canvas height
-      if (currentY + widgetHeight > canvasHeight) {
-        // Wrap to next "page" (leave some space)
-        currentY = Math.max(currentY + widgetHeight + this.margin * 2, currentY + 4);
+  // New widgets are placed with their default size - once rendered they may be bigger, so move
+  // them again if they now overlap something
+  settleWidget(widget) {
+    widget.autoSize();
+    const children = this.canvas.getChildWidgets(widget.id);
+    const grid = this.createOccupancyGrid([widget.id, ...children.map(child => child.id)]);
+    if (grid.isFree(getWidgetRect(widget))) return;
+
+    this.moveWidgets([[widget, grid.findFree(widget.size)]]);
+  }
+
+  // Pack widgets upward, keeping their top-to-bottom, left-to-right order. Returns the moves
+  // made as [{ widget, before, after }].
+  compactLayout() {
+    // Container children move with their container
+    const widgets = [...this.canvas.widgets.values()]
+      .filter(widget => !widget.parentId)
+      .sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x);
+    const grid = new OccupancyGrid(Infinity, this.margin);
+    const targets = [];
+
+    widgets.forEach(widget => {
+      const rect = getWidgetRect(widget);
+      // Widgets overlapping one placed before them go below it first
+      let y = rect.y;
+      let blocker = grid.rects.find(other => rectsCollide({ ...rect, y }, other, this.margin));
+      while (blocker) {
+        y = blocker.y + blocker.height + this.margin;
+        blocker = grid.rects.find(other => rectsCollide({ ...rect, y }, other, this.margin));
       }
 
-      // Place widget
-      positions.push({ x: currentX, y: currentY });
+      // Slide up until blocked - never past a widget, so the order stays the same
+      while (y > 0 && grid.isFree({ ...rect, y: y - 1 })) y--;
 
-      // Update position for next widget
-      currentX += widgetWidth + this.margin;
-      maxHeightInRow = Math.max(maxHeightInRow, widgetHeight);
-    }
+      grid.occupy({ ...rect, y });
+      targets.push([widget, { x: rect.x, y }]);
+    });
+
+    return this.moveWidgets(targets);
+  }
 
+  // Move and save widgets - `targets` is a list of [widget, position]. Returns the moves made as
+  // [{ widget, before, after }], leaving out widgets that were already in place.
+  moveWidgets(targets) {
+    // Containers carry their children along, unless a child has a target of its own
+    const targeted = new Set(targets.map(([widget]) => widget));
+    targets = [...targets];
+    targets.forEach(([widget, position]) => {
+      this.canvas.getChildWidgets(widget.id).forEach(child => {
+        if (targeted.has(child)) return;
+        targets.push([child, {
+          x: child.position.x + position.x - widget.position.x,
+          y: child.position.y + position.y - widget.position.y
+        }]);
+      });
+    });
+
+    const moves = targets
+      .filter(([widget, position]) => widget.position.x !== position.x || widget.position.y !== position.y)
+      .map(([widget, position]) => ({ widget, before: { ...widget.position }, after: { ...position } }));
+
+    moves.forEach(({ widget, after }) => {
+      widget.setPosition(after);
+      widget.savePosition();
+    });
+    return moves;
+  }
+
+  // Line widgets up on their left (`edge` = 'left') or top ('top') edge
+  alignWidgets(widgets, edge) {
+    const axis = edge === 'left' ? 'x' : 'y';
+    const target = Math.min(...widgets.map(widget => widget.position[axis]));
+    return this.moveWidgets(widgets.map(widget => [widget, { ...widget.position, [axis]: target }]));
+  }
+
+  // Equal gaps between widgets along `axis` ('x' or 'y') - the first and last widget stay put
+  // unless they're too close for the widgets in between
+  distributeWidgets(widgets, axis) {
+    if (widgets.length < 3) return [];
+
+    const dimension = axis === 'x' ? 'width' : 'height';
+    const sorted = [...widgets].sort((a, b) => a.position[axis] - b.position[axis]);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const span = last.position[axis] + last.size[dimension] - first.position[axis];
+    const total = sorted.reduce((sum, widget) => sum + widget.size[dimension], 0);
+    const gap = Math.max(0, (span - total) / (sorted.length - 1));
+
+    let offset = first.position[axis];
+    return this.moveWidgets(sorted.map(widget => {
+      const position = { ...widget.position, [axis]: Math.round(offset) };
+      offset += widget.size[dimension] + gap;
+      return [widget, position];
+    }));
+  }
+
+  // Give widgets the size of `reference`, locked so it sticks. Returns the changes made as
+  // [{ widget, before, after }] with before/after = { position, size, sizeLocked }.
+  matchSize(widgets, reference) {
+    const snapshot = (widget) => ({ position: { ...widget.position }, size: { ...widget.size }, sizeLocked: widget.sizeLocked });
+
+    return widgets
+      .filter(widget => widget !== reference &&
+        (widget.size.width !== reference.size.width || widget.size.height !== reference.size.height || !widget.sizeLocked))
+      .map(widget => {
+        const before = snapshot(widget);
+        widget.setSizeLocked(true);
+        widget.setSize({ ...reference.size });
+        widget.saveSize();
+        return { widget, before, after: snapshot(widget) };
+      });
+  }
+
+  // Positions of the other widgets when `dragged` sits at `rect` - widgets it would overlap are
+  // pushed below it, and widgets they land on are pushed further (from their `origins`, so
+  // widgets move back when the dragged one moves away). Container children move with their
+  // container. Returns widget id -> position.
+  calculatePush(dragged, rect, origins) {
+    const grid = new OccupancyGrid(Infinity, this.margin);
+    grid.occupy(rect);
+
+    const positions = {};
+    [...this.canvas.widgets.values()]
+      .filter(widget => widget !== dragged && !widget.parentId && origins[widget.id])
+      .sort((a, b) => origins[a.id].y - origins[b.id].y || origins[a.id].x - origins[b.id].x)
+      .forEach(widget => {
+        const placed = { ...getWidgetRect(widget), ...origins[widget.id] };
+        let blocker = grid.rects.find(other => rectsCollide(placed, other, 0));
+        while (blocker) {
+          placed.y = blocker.y + blocker.height + this.margin;
+          blocker = grid.rects.find(other => rectsCollide(placed, other, 0));
+        }
+        grid.occupy(placed);
+        positions[widget.id] = { x: placed.x, y: placed.y };
+
+        const dy = placed.y - origins[widget.id].y;
+        this.canvas.getChildWidgets(widget.id).forEach(child => {
+          if (origins[child.id]) positions[child.id] = { x: origins[child.id].x, y: origins[child.id].y + dy };
+        });
+      });
     return positions;
   }
 
@@ -164,20 +378,32 @@ export class AutoLayout {
           const logModule = await import('../widgets/log-widget.js');
           WidgetClass = this.getLogWidgetClass(widgetConfig.type, logModule);
           break;
+        case 'layout':
+          const containerModule = await import('../widgets/container-widget.js');
+          WidgetClass = containerModule.ContainerWidget;
+          break;
         default:
           console.warn(`Unsupported widget type: ${type}`);
           return;
       }
 
       if (WidgetClass) {
+        const { storageManager } = await import('./storage.js');
         const widget = new WidgetClass(widgetConfig);
+        // Stored widgets may sit in a container - new ones start on the top level
+        widget.parentId = skipStorage ? storageManager.getWidgetLocation(widget.id)?.parentId || null : null;
         this.canvas.addWidget(widget);
 
         // Save to storage unless explicitly skipped (e.g., when loading from saved config)
         if (!skipStorage) {
-          const { storageManager } = await import('./storage.js');
           storageManager.addWidget(widgetConfig);
         }
+
+        // Containers bring their children along - they're stored inside the container's entry
+        for (const child of widgetConfig.children || []) {
+          await this.createAndPlaceWidget(child, true);
+        }
+        return widget;
       }
     } catch (error) {
       console.error(`Error creating widget ${widgetConfig.type}:`, error);
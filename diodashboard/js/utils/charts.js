@@ -0,0 +1,190 @@
+// Lightweight SVG chart rendering for widgets (no external chart library)
+// All functions return SVG markup strings so they can be embedded in widget templates
+
+import { formatTimestamp } from './formatting.js';
+import { quantileLabel } from './histogram.js';
+
+const DEFAULT_LINE_COLOR = '#67e8f9'; // cyan-300
+
+// Scale history points into SVG coordinates within the given plot area
+function scalePoints(points, area, minValue, maxValue) {
+  const firstTime = points[0].timestamp;
+  const lastTime = points[points.length - 1].timestamp;
+  const timeSpan = lastTime - firstTime || 1;
+  const valueSpan = maxValue - minValue || 1;
+
+  return points.map(point => ({
+    x: area.left + ((point.timestamp - firstTime) / timeSpan) * area.width,
+    y: area.top + area.height - ((point.value - minValue) / valueSpan) * area.height
+  }));
+}
+
+// Value range of a series. With `extremes`, downsampled points count with the min/max of the
+// samples merged into them - the same values metricHistory.getStats() reports.
+function getValueRange(points, extremes = false) {
+  let min = Infinity;
+  let max = -Infinity;
+  points.forEach(point => {
+    min = Math.min(min, extremes ? point.min ?? point.value : point.value);
+    max = Math.max(max, extremes ? point.max ?? point.value : point.value);
+  });
+
+  // Flat series - pad the range so the line sits in the middle
+  if (min === max) {
+    const pad = Math.abs(min) * 0.1 || 1;
+    return { min: min - pad, max: max + pad };
+  }
+  return { min, max };
+}
+
+function toPath(coords) {
+  return coords.map((c, i) => `${i === 0 ? 'M' : 'L'}${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+}
+
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Small inline trend line, returns empty string when there is not enough data
+export function renderSparkline(points, options = {}) {
+  if (!points || points.length < 2) return '';
+
+  const width = options.width || 160;
+  const height = options.height || 32;
+  const color = options.color || DEFAULT_LINE_COLOR;
+  const range = getValueRange(points);
+  const area = { left: 1, top: 2, width: width - 2, height: height - 4 };
+  const coords = scalePoints(points, area, range.min, range.max);
+  const last = coords[coords.length - 1];
+
+  return `
+    <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      <path d="${toPath(coords)}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" />
+      <circle cx="${last.x.toFixed(1)}" cy="${last.y.toFixed(1)}" r="2" fill="${color}" />
+    </svg>
+  `;
+}
+
+// Full line chart with min/max/avg annotations
+// `stats` comes from metricHistory.getStats(); `formatValue` formats axis labels
+export function renderLineChart(points, options = {}) {
+  const width = options.width || 320;
+  const height = options.height || 140;
+  const color = options.color || DEFAULT_LINE_COLOR;
+  const format = options.formatValue || (value => String(value));
+
+  if (!points || points.length < 2) {
+    return `<div class="text-xs text-slate-500 py-4">Collecting history...</div>`;
+  }
+
+  const stats = options.stats;
+  // Range over the merged samples too, so the min/max annotations line up with the plot
+  const range = getValueRange(points, true);
+  const area = { left: 4, top: 8, width: width - 8, height: height - 28 };
+  const coords = scalePoints(points, area, range.min, range.max);
+  const valueToY = value => {
+    const clamped = Math.min(range.max, Math.max(range.min, value));
+    return area.top + area.height - ((clamped - range.min) / (range.max - range.min)) * area.height;
+  };
+
+  // Shaded area under the line
+  const fillPath = `${toPath(coords)} L${coords[coords.length - 1].x.toFixed(1)},${area.top + area.height} L${coords[0].x.toFixed(1)},${area.top + area.height} Z`;
+
+  const annotations = stats ? [
+    { label: 'max', value: stats.max, color: '#f87171' },   // red-400
+    { label: 'avg', value: stats.avg, color: '#94a3b8' },   // slate-400
+    { label: 'min', value: stats.min, color: '#4ade80' }    // green-400
+  ].map(({ label, value, color: lineColor }) => {
+    const y = valueToY(value).toFixed(1);
+    return `
+      <line x1="${area.left}" x2="${area.left + area.width}" y1="${y}" y2="${y}" stroke="${lineColor}" stroke-width="1" stroke-dasharray="3,3" opacity="0.6" />
+      <text x="${area.left + area.width - 2}" y="${(parseFloat(y) - 2).toFixed(1)}" text-anchor="end" font-size="9" fill="${lineColor}">${label} ${escapeText(format(value))}</text>
+    `;
+  }).join('') : '';
+
+  const startLabel = formatTimestamp(points[0].timestamp);
+  const endLabel = formatTimestamp(points[points.length - 1].timestamp);
+
+  return `
+    <svg class="line-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <rect x="${area.left}" y="${area.top}" width="${area.width}" height="${area.height}" fill="#0f172a" stroke="#334155" stroke-width="1" rx="2" />
+      <path d="${fillPath}" fill="${color}" opacity="0.1" />
+      <path d="${toPath(coords)}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" />
+      ${annotations}
+      <text x="${area.left}" y="${height - 6}" font-size="9" fill="#64748b">${escapeText(startLabel)}</text>
+      <text x="${area.left + area.width}" y="${height - 6}" text-anchor="end" font-size="9" fill="#64748b">${escapeText(endLabel)}</text>
+    </svg>
+  `;
+}
+
+// Bucket bar chart for a normalized histogram with vertical quantile markers
+// `histogram` comes from normalizeHistogram(); `formatValue` formats bucket bounds
+export function renderHistogramChart(histogram, options = {}) {
+  const width = options.width || 320;
+  const height = options.height || 120;
+  const color = options.color || '#c084fc'; // purple-400
+  const format = options.formatValue || (value => String(value));
+  const showLabels = options.showLabels !== false;
+
+  const buckets = histogram?.buckets || [];
+  if (buckets.length === 0) {
+    return `<div class="text-xs text-slate-500 py-2">No bucket data</div>`;
+  }
+
+  // Cumulative counts -> per-bucket counts
+  const bars = buckets.map((bucket, i) => ({
+    le: bucket.le,
+    count: bucket.count - (i > 0 ? buckets[i - 1].count : 0)
+  }));
+  const maxCount = Math.max(...bars.map(bar => bar.count)) || 1;
+
+  const labelHeight = showLabels ? 16 : 0;
+  const area = { left: 2, top: 4, width: width - 4, height: height - 8 - labelHeight };
+  const slotWidth = area.width / bars.length;
+  const barWidth = Math.max(1, slotWidth - 2);
+
+  const barsSvg = bars.map((bar, i) => {
+    const barHeight = (bar.count / maxCount) * area.height;
+    const x = area.left + i * slotWidth + 1;
+    const y = area.top + area.height - barHeight;
+    const bound = bar.le === Infinity ? '+Inf' : format(bar.le);
+    return `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}" opacity="0.7"><title>le ${escapeText(bound)}: ${bar.count}</title></rect>`;
+  }).join('');
+
+  // Position a value on the bucket axis by interpolating within its bucket slot
+  const valueToX = value => {
+    let index = buckets.findIndex(bucket => value <= bucket.le);
+    if (index === -1) index = buckets.length - 1;
+    const upper = buckets[index].le;
+    const lower = index > 0 ? buckets[index - 1].le : Math.min(0, upper);
+    const fraction = upper === Infinity || upper === lower ? 0.5 : (value - lower) / (upper - lower);
+    return area.left + (index + Math.max(0, Math.min(1, fraction))) * slotWidth;
+  };
+
+  const markerColors = ['#4ade80', '#facc15', '#f87171']; // green-400, yellow-400, red-400
+  const markers = Object.entries(histogram.quantiles || {})
+    .sort(([a], [b]) => parseFloat(a) - parseFloat(b))
+    .map(([q, value], i) => {
+      const x = valueToX(value).toFixed(1);
+      const markerColor = markerColors[i % markerColors.length];
+      const label = quantileLabel(q);
+      return `
+        <line x1="${x}" x2="${x}" y1="${area.top}" y2="${area.top + area.height}" stroke="${markerColor}" stroke-width="1" stroke-dasharray="2,2" />
+        <text x="${x}" y="${area.top + 8 + i * 9}" font-size="8" fill="${markerColor}" text-anchor="middle">${label}</text>
+      `;
+    }).join('');
+
+  const labels = showLabels ? `
+    <text x="${area.left}" y="${height - 4}" font-size="9" fill="#64748b">${escapeText(format(buckets[0].le))}</text>
+    <text x="${area.left + area.width}" y="${height - 4}" font-size="9" fill="#64748b" text-anchor="end">${buckets[buckets.length - 1].le === Infinity ? '+Inf' : escapeText(format(buckets[buckets.length - 1].le))}</text>
+  ` : '';
+
+  return `
+    <svg class="histogram-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <line x1="${area.left}" x2="${area.left + area.width}" y1="${area.top + area.height}" y2="${area.top + area.height}" stroke="#334155" stroke-width="1" />
+      ${barsSvg}
+      ${markers}
+      ${labels}
+    </svg>
+  `;
+}
@@ -0,0 +1,221 @@
+// Stored config schema - versioned migrations and per-widget config validation
+// `migrateConfig` upgrades a stored config one version at a time. Widgets that can't be migrated
+// (unknown type, config that doesn't fit the widget's schema) are moved to `config.quarantine`
+// instead of failing the whole load, so nothing is lost and the rest of the layout still loads.
+
+import { widgetRegistry, logConfig } from '../data/state.js';
+
+export const CONFIG_VERSION = '1.2';
+export const DEFAULT_DASHBOARD_ID = 'main';
+
+// Config fields every widget type accepts (see widgetRegistry[type].configSchema for the rest)
+const COMMON_FIELDS = {
+  source: 'string',       // Connection profile id, unset = active profile
+  metricId: 'string',
+  metricKey: 'string',
+  metricName: 'string',
+  staleAfterSeconds: 'number',
+  hideAfterSeconds: 'number',
+  // Display overrides set in the settings editor
+  title: 'string',
+  decimals: 'number',
+  unit: 'string',
+  thresholds: 'object',   // { warning, critical, direction: 'above' | 'below' }
+  colors: 'object',       // { normal, warning, critical } - hex colors per threshold state
+  refreshSeconds: 'number' // Redraw at most this often (0 = on every update)
+};
+
+// Settings editor fields (see components/widget-settings-dialog.js), keyed by config field.
+// widgetRegistry[type].settings lists the ones a widget type supports; types showing stream data
+// also get the title and refresh fields.
+export const SETTINGS_FIELDS = {
+  title: { section: 'Display', label: 'Title', input: 'text', placeholder: 'No title' },
+  key: { section: 'Display', label: 'Metric key', input: 'text', stream: 'telemetry', placeholder: 'All metrics' },
+  selector: { section: 'Display', label: 'Label selector', input: 'text', placeholder: 'e.g. order_latency{exchange="kraken"}' },
+  asset: { section: 'Display', label: 'Asset', input: 'text', stream: 'balance', placeholder: 'First asset' },
+  symbol: { section: 'Display', label: 'Symbol', input: 'text', stream: 'orders', placeholder: 'All symbols' },
+  systemKey: { section: 'Display', label: 'System metric', input: 'text', stream: 'system', placeholder: 'First metric' },
+  decimals: { section: 'Display', label: 'Decimals', input: 'number', min: 0, max: 8, placeholder: 'Auto' },
+  unit: { section: 'Display', label: 'Unit', input: 'text', placeholder: 'Auto' },
+  sparkline: { section: 'Display', label: 'Show sparkline', input: 'checkbox', default: true },
+  chartMinutes: { section: 'Display', label: 'Chart window (min)', input: 'number', min: 1, max: 60, placeholder: '5' },
+  scrollback: {
+    section: 'Display',
+    label: 'Scrollback',
+    input: 'select',
+    default: logConfig.scrollback,
+    options: logConfig.scrollbackOptions.map(lines => [lines, `${lines.toLocaleString('en-US')} lines`])
+  },
+  thresholds: { section: 'Thresholds', input: 'thresholds' },
+  colors: { section: 'Colors', input: 'colors' },
+  refreshSeconds: {
+    section: 'Refresh',
+    label: 'Redraw',
+    input: 'select',
+    default: 0,
+    options: [[0, 'On every update'], [1, 'Every second'], [5, 'Every 5 seconds'], [10, 'Every 10 seconds'], [30, 'Every 30 seconds'], [60, 'Every minute']]
+  },
+  staleAfterSeconds: { section: 'Refresh', label: 'Stale after (s)', input: 'number', min: 0 },
+  hideAfterSeconds: { section: 'Refresh', label: 'Hide after (s)', input: 'number', min: 0 }
+};
+
+const STREAM_SETTINGS = ['refreshSeconds', 'staleAfterSeconds', 'hideAfterSeconds'];
+
+// Settings editor fields of a widget type, in display order
+export function getSettingsFields(type) {
+  const registryEntry = widgetRegistry[type];
+  if (!registryEntry) return [];
+
+  const settings = registryEntry.settings || [];
+  return registryEntry.type === 'layout' ? settings : ['title', ...settings, ...STREAM_SETTINGS];
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+export function createDashboardConfig(name, id = null, widgets = []) {
+  return {
+    id: id || `dashboard_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+    name: String(name).trim() || 'Untitled',
+    widgets
+  };
+}
+
+// Check a widget's `config` against its type's schema - returns a list of problems (empty = valid).
+// Null values count as unset; fields the schema doesn't know are kept as they are.
+export function validateWidgetConfig(type, config) {
+  const registryEntry = widgetRegistry[type];
+  if (!registryEntry) return [`unknown widget type "${type}"`];
+  if (!isPlainObject(config)) return ['config must be an object'];
+
+  const fields = { ...COMMON_FIELDS, ...(registryEntry.configSchema?.fields || {}) };
+  return Object.entries(config)
+    .filter(([field, value]) => fields[field] && value !== null && value !== undefined && !matchesType(value, fields[field]))
+    .map(([field]) => `config.${field} must be ${fields[field] === 'array' || fields[field] === 'object' ? 'an' : 'a'} ${fields[field]}`);
+}
+
+// Migration steps, oldest first. `config` upgrades the whole stored config, `widget` a single
+// widget entry (also used for widgets in imported layout files). Steps may throw to reject a widget.
+const MIGRATIONS = [
+  {
+    // One layout in `widgets` -> named dashboards
+    from: '1.0',
+    to: '1.1',
+    config: (config) => {
+      if (Array.isArray(config.dashboards) && config.dashboards.length > 0) return config;
+
+      const { widgets, ...rest } = config;
+      return {
+        ...rest,
+        dashboards: [createDashboardConfig('Main', DEFAULT_DASHBOARD_ID, Array.isArray(widgets) ? widgets : [])],
+        activeDashboardId: DEFAULT_DASHBOARD_ID
+      };
+    }
+  },
+  {
+    // Widgets used to fall back to `metricKey` for the metric they show - store it in the
+    // type's target field (key / asset / symbol / systemKey). The Open Orders group used it as
+    // its symbol filter.
+    from: '1.1',
+    to: '1.2',
+    widget: (widget) => {
+      if (!isPlainObject(widget)) throw new Error('not an object');
+
+      const target = widget.type === 'balance-orders' ? 'symbol' : widgetRegistry[widget.type]?.configSchema?.target;
+      const config = widget.config;
+      if (!target || !isPlainObject(config) || config[target] || !config.metricKey) return widget;
+      return { ...widget, config: { ...config, [target]: config.metricKey } };
+    }
+  }
+];
+
+// Versions are compared as dotted numbers
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function getPendingMigrations(version) {
+  return MIGRATIONS.filter(step => compareVersions(step.from, version || '1.0') >= 0);
+}
+
+export function isOutdated(version) {
+  return compareVersions(version || '1.0', CONFIG_VERSION) < 0;
+}
+
+// Upgrade one widget entry written by `version` - throws when it can't be migrated
+export function migrateWidget(widget, version) {
+  let migrated = widget;
+  getPendingMigrations(version).forEach(step => {
+    if (step.widget) migrated = step.widget(migrated);
+  });
+
+  const problems = isPlainObject(migrated) ? validateWidgetConfig(migrated.type, migrated.config || {}) : ['not an object'];
+  if (problems.length > 0) throw new Error(problems.join(', '));
+
+  // Container children are stored nested and migrate with their container
+  if (Array.isArray(migrated.children)) {
+    migrated = { ...migrated, children: migrated.children.map(child => migrateWidget(child, version)) };
+  }
+  return migrated;
+}
+
+// Upgrade a stored config to CONFIG_VERSION. Returns { config, quarantined } where `quarantined`
+// lists the widgets moved to `config.quarantine` by this run.
+export function migrateConfig(stored) {
+  if (!isPlainObject(stored)) throw new Error('config must be an object');
+  const fromVersion = stored.version || '1.0';
+
+  if (compareVersions(fromVersion, CONFIG_VERSION) > 0) {
+    console.warn(`Dashboard config version ${fromVersion} is newer than this app (${CONFIG_VERSION}), loading it as is`);
+    return { config: stored, quarantined: [] };
+  }
+
+  let config = stored;
+  getPendingMigrations(fromVersion).forEach(step => {
+    if (step.config) config = step.config(config);
+  });
+
+  const quarantined = [];
+  const now = new Date().toISOString();
+  let dashboards = (Array.isArray(config.dashboards) ? config.dashboards : []).map(dashboard => {
+    if (!isOutdated(fromVersion)) return dashboard;
+
+    const widgets = [];
+    (Array.isArray(dashboard.widgets) ? dashboard.widgets : []).forEach(widget => {
+      try {
+        widgets.push(migrateWidget(widget, fromVersion));
+      } catch (error) {
+        quarantined.push({ dashboardId: dashboard.id, version: fromVersion, reason: error.message, quarantinedAt: now, widget });
+      }
+    });
+    return { ...dashboard, widgets };
+  });
+  if (dashboards.length === 0) {
+    dashboards = [createDashboardConfig('Main', DEFAULT_DASHBOARD_ID)];
+  }
+
+  return {
+    config: {
+      ...config,
+      version: CONFIG_VERSION,
+      dashboards,
+      activeDashboardId: dashboards.some(d => d.id === config.activeDashboardId) ? config.activeDashboardId : dashboards[0].id,
+      quarantine: [...(Array.isArray(config.quarantine) ? config.quarantine : []), ...quarantined]
+    },
+    quarantined
+  };
+}
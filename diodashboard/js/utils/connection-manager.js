@@ -0,0 +1,191 @@
+// Connection manager - reconnect state machine and health stats per stream per source
+// Retries back off exponentially with jitter; after `maxAttempts` consecutive failures the
+// circuit opens and the stream stays down until a manual "reconnect now".
+// State changes are broadcast as a `connectionStateChange` event on document.
+//
+// States: idle -> connecting -> open -> (closed by us) closed
+//                      \-> waiting (backoff timer) -> connecting ... -> circuit-open
+
+import { reconnectConfig } from '../data/state.js';
+
+export class StreamConnection {
+  constructor(source, streamName) {
+    this.source = source;
+    this.streamName = streamName;
+    this.state = 'idle';
+    this.attempts = 0;          // Consecutive attempts since the last successful open
+    this.totalReconnects = 0;   // Retries scheduled over the lifetime of this stream
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.connectedAt = null;    // ms timestamps
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
+    this.messageCount = 0;
+    this.nextRetryAt = null;
+    this.retryTimer = null;
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.notify();
+  }
+
+  markConnecting() {
+    this.cancelRetry();
+    this.attempts++;
+    this.setState('connecting');
+  }
+
+  markOpen() {
+    this.attempts = 0;
+    this.connectedAt = Date.now();
+    this.setState('open');
+  }
+
+  markMessage() {
+    this.messageCount++;
+    this.lastMessageAt = Date.now();
+  }
+
+  // Errors are recorded but never schedule a retry on their own - the close/catch path does that
+  markError(message) {
+    this.lastError = message;
+    this.lastErrorAt = Date.now();
+    this.notify();
+  }
+
+  // Intentional disconnect - no retry
+  markClosed() {
+    this.cancelRetry();
+    if (this.state === 'open') {
+      this.disconnectedAt = Date.now();
+    }
+    this.connectedAt = null;
+    this.setState('closed');
+  }
+
+  // Backoff delay for the current attempt count: base * multiplier^(attempts-1), capped, +/- jitter
+  getRetryDelay() {
+    const { baseDelayMs, maxDelayMs, multiplier, jitter } = reconnectConfig;
+    const exponent = Math.max(0, this.attempts - 1);
+    const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(multiplier, exponent));
+    const spread = delay * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + spread));
+  }
+
+  // Schedule `reconnect` after the backoff delay. Returns the delay, or null when a retry is
+  // already pending (e.g. onerror followed by onclose) or the circuit just opened.
+  scheduleRetry(reconnect) {
+    if (this.retryTimer) return null;
+
+    if (this.state === 'open') {
+      this.disconnectedAt = Date.now();
+    }
+    this.connectedAt = null;
+
+    if (reconnectConfig.maxAttempts > 0 && this.attempts >= reconnectConfig.maxAttempts) {
+      this.nextRetryAt = null;
+      this.setState('circuit-open');
+      return null;
+    }
+
+    const delay = this.getRetryDelay();
+    this.nextRetryAt = Date.now() + delay;
+    this.totalReconnects++;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      reconnect();
+    }, delay);
+
+    this.setState('waiting');
+    return delay;
+  }
+
+  cancelRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+  }
+
+  // Manual "reconnect now" - start a fresh backoff streak
+  reset() {
+    this.cancelRetry();
+    this.attempts = 0;
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      source: this.source,
+      streamName: this.streamName,
+      state: this.state,
+      attempts: this.attempts,
+      maxAttempts: reconnectConfig.maxAttempts,
+      totalReconnects: this.totalReconnects,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      uptimeMs: this.state === 'open' && this.connectedAt ? now - this.connectedAt : 0,
+      downtimeMs: this.state !== 'open' && this.disconnectedAt ? now - this.disconnectedAt : 0,
+      lastMessageAt: this.lastMessageAt,
+      messageCount: this.messageCount,
+      nextRetryInMs: this.nextRetryAt ? Math.max(0, this.nextRetryAt - now) : null
+    };
+  }
+
+  notify() {
+    try {
+      document.dispatchEvent(new CustomEvent('connectionStateChange', {
+        detail: this.getStats()
+      }));
+    } catch (error) {
+      console.error('Error dispatching connection state change:', error);
+    }
+  }
+}
+
+export class ConnectionManager {
+  constructor() {
+    this.streams = new Map(); // `${source}/${streamName}` -> StreamConnection
+  }
+
+  get(source, streamName) {
+    const key = `${source}/${streamName}`;
+    let connection = this.streams.get(key);
+    if (!connection) {
+      connection = new StreamConnection(source, streamName);
+      this.streams.set(key, connection);
+    }
+    return connection;
+  }
+
+  remove(source, streamName) {
+    const key = `${source}/${streamName}`;
+    const connection = this.streams.get(key);
+    if (connection) {
+      connection.cancelRetry();
+      this.streams.delete(key);
+    }
+  }
+
+  // Stats for every stream, optionally for one source
+  getStats(source = null) {
+    return Array.from(this.streams.values())
+      .filter(connection => !source || connection.source === source)
+      .map(connection => connection.getStats());
+  }
+
+  // Overall health: 'open' when everything is connected, 'circuit-open' if any stream gave up,
+  // 'degraded' otherwise
+  getOverallState() {
+    const states = Array.from(this.streams.values()).map(connection => connection.state);
+    if (states.length === 0) return 'idle';
+    if (states.includes('circuit-open')) return 'circuit-open';
+    if (states.every(state => state === 'open' || state === 'closed')) return 'open';
+    return 'degraded';
+  }
+}
+
+// Singleton instance
+export const connectionManager = new ConnectionManager();
@@ -0,0 +1,219 @@
+// Connection profiles - which backend node(s) the dashboard streams from
+// Profiles are persisted through StorageManager and can be selected from the UI
+// or the URL query string (?profile=<id|name> and/or ?host=...&port=...&tls=1&path=...&token=...)
+// URL choices only apply to the current page session - a shared link never changes saved settings.
+// The profile id doubles as the data source id widgets use to pick a node.
+// The active profile is always connected; others stream too when `keepConnected` is set.
+// Auth tokens are kept in memory only unless the profile's `rememberToken` is set, since
+// localStorage is readable by any script on the page. Tokens are sent as a `?token=` query
+// parameter (browsers can't set WebSocket headers), so they can show up in server and proxy logs.
+
+import { defaultConnectionProfile } from '../data/state.js';
+import { storageManager } from './storage.js';
+
+const URL_PROFILE_ID = 'url';
+
+// Boolean from a checkbox, stored value or URL parameter ('1'/'0', 'true'/'false', 'on'/'off',
+// 'yes'/'no') - anything else gives `fallback`
+export function parseBoolean(value, fallback = false) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['1', 'true', 'on', 'yes'].includes(text)) return true;
+  if (['0', 'false', 'off', 'no'].includes(text)) return false;
+  return fallback;
+}
+
+// Fill in defaults and clean up user-entered values
+export function normalizeProfile(profile) {
+  const port = parseInt(profile.port, 10);
+  let pathPrefix = String(profile.pathPrefix || '').trim().replace(/\/+$/, '');
+  if (pathPrefix && !pathPrefix.startsWith('/')) {
+    pathPrefix = `/${pathPrefix}`;
+  }
+
+  return {
+    id: profile.id || `profile_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+    name: String(profile.name || profile.host || 'Unnamed').trim(),
+    host: String(profile.host || defaultConnectionProfile.host).trim(),
+    port: Number.isInteger(port) && port > 0 && port < 65536 ? port : defaultConnectionProfile.port,
+    tls: parseBoolean(profile.tls),
+    pathPrefix,
+    authToken: String(profile.authToken || '').trim(),
+    rememberToken: profile.rememberToken === true, // Persist the token in localStorage
+    keepConnected: profile.keepConnected === true
+  };
+}
+
+export class ConnectionProfileManager {
+  constructor() {
+    this.listeners = new Set();
+
+    const stored = storageManager.getConnectionSettings();
+    // Tokens saved before `rememberToken` existed stay remembered
+    this.profiles = Array.isArray(stored.profiles) && stored.profiles.length > 0 ?
+      stored.profiles.map(profile => normalizeProfile({ rememberToken: Boolean(profile.authToken), ...profile })) :
+      [normalizeProfile(defaultConnectionProfile)];
+    this.activeProfileId = this.getProfile(stored.activeProfileId) ? stored.activeProfileId : this.profiles[0].id;
+    // Saved active profile while a URL override is in effect - kept until the user switches
+    this.savedActiveProfileId = null;
+
+    this.applyUrlOverrides();
+  }
+
+  // Select a profile and/or override its endpoint from the page URL query string, for this
+  // session only. Endpoint parameters create a temporary "From URL" profile based on the selected
+  // one, e.g. ?profile=prod&tls=0 connects to prod without TLS.
+  applyUrlOverrides() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      let base = this.getActiveProfile();
+
+      const requested = params.get('profile');
+      if (requested) {
+        const match = this.profiles.find(p => p.id === requested || p.name.toLowerCase() === requested.toLowerCase());
+        if (match) {
+          base = match;
+        } else {
+          console.warn(`Connection profile "${requested}" not found`);
+        }
+      }
+
+      const overrides = ['host', 'port', 'tls', 'path', 'token'].some(name => params.has(name));
+      if (overrides) {
+        const profile = normalizeProfile({
+          ...base,
+          id: URL_PROFILE_ID,
+          name: 'From URL',
+          host: params.get('host') || base.host,
+          port: params.get('port') || base.port,
+          tls: params.has('tls') ? parseBoolean(params.get('tls'), true) : base.tls, // Bare ?tls turns it on
+          pathPrefix: params.has('path') ? params.get('path') : base.pathPrefix,
+          authToken: params.has('token') ? params.get('token') : base.authToken,
+          rememberToken: false,
+          keepConnected: false
+        });
+        this.profiles = this.profiles.filter(p => p.id !== URL_PROFILE_ID).concat(profile);
+        base = profile;
+      }
+
+      if (base.id !== this.activeProfileId) {
+        this.savedActiveProfileId = this.activeProfileId;
+        this.activeProfileId = base.id;
+      }
+    } catch (error) {
+      console.error('Error applying connection settings from URL:', error);
+    }
+  }
+
+  // The "From URL" profile and URL profile selection are never saved, nor are tokens the user
+  // didn't ask to remember
+  save() {
+    storageManager.saveConnectionSettings({
+      profiles: this.profiles
+        .filter(p => p.id !== URL_PROFILE_ID)
+        .map(p => (p.rememberToken ? p : { ...p, authToken: '' })),
+      activeProfileId: this.savedActiveProfileId || this.activeProfileId
+    });
+  }
+
+  getProfiles() {
+    return [...this.profiles];
+  }
+
+  getProfile(profileId) {
+    return this.profiles.find(p => p.id === profileId) || null;
+  }
+
+  getActiveProfile() {
+    return this.getProfile(this.activeProfileId) || this.profiles[0];
+  }
+
+  // Profiles that should have open streams (active profile first)
+  getConnectedProfiles() {
+    const active = this.getActiveProfile();
+    return [active, ...this.profiles.filter(p => p.id !== active.id && p.keepConnected)];
+  }
+
+  // Display name for a source id (falls back to the id for unknown sources)
+  getSourceName(source) {
+    const profile = this.getProfile(source);
+    return profile ? profile.name : source;
+  }
+
+  setActiveProfile(profileId) {
+    if (!this.getProfile(profileId) || profileId === this.activeProfileId) return;
+
+    this.activeProfileId = profileId;
+    // Choosing a profile replaces the one picked by the URL - unless it's the URL profile itself
+    if (profileId !== URL_PROFILE_ID) this.savedActiveProfileId = null;
+    this.save();
+    this.notifyListeners('active');
+  }
+
+  // Add a new profile or update an existing one (matched by id)
+  saveProfile(profile) {
+    const normalized = normalizeProfile(profile);
+    const index = this.profiles.findIndex(p => p.id === normalized.id);
+    const previous = index !== -1 ? this.profiles[index] : null;
+    const endpointChanged = !previous ||
+      ['host', 'port', 'tls', 'pathPrefix', 'authToken'].some(field => previous[field] !== normalized[field]);
+
+    if (index !== -1) {
+      this.profiles[index] = normalized;
+    } else {
+      this.profiles.push(normalized);
+    }
+    this.save();
+
+    // Editing an existing profile's endpoint changes where its streams connect
+    this.notifyListeners(previous && endpointChanged ? 'endpoint' : 'profiles', normalized.id);
+    return normalized;
+  }
+
+  deleteProfile(profileId) {
+    if (this.profiles.length <= 1) return false;
+
+    const wasActive = profileId === this.activeProfileId;
+    this.profiles = this.profiles.filter(p => p.id !== profileId);
+    if (wasActive) {
+      // Back to the saved profile when the one picked by the URL goes away
+      this.activeProfileId = this.getProfile(this.savedActiveProfileId) ? this.savedActiveProfileId : this.profiles[0].id;
+    }
+    if (wasActive || this.savedActiveProfileId === profileId) {
+      this.savedActiveProfileId = null;
+    }
+    this.save();
+
+    this.notifyListeners(wasActive ? 'active' : 'profiles', profileId);
+    return true;
+  }
+
+  // Build the WebSocket URL for a stream on a profile (defaults to the active profile)
+  getStreamUrl(streamName, profile = this.getActiveProfile()) {
+    const protocol = profile.tls ? 'wss:' : 'ws:';
+    const query = profile.authToken ? `?token=${encodeURIComponent(profile.authToken)}` : '';
+    return `${protocol}//${profile.host}:${profile.port}${profile.pathPrefix}/${streamName}${query}`;
+  }
+
+  // Register a callback for profile changes - called with (activeProfile, changeType, profileId) where
+  // changeType is 'active' when the active profile switched, 'endpoint' when profileId's endpoint
+  // was edited, otherwise 'profiles' (added, renamed, deleted or keepConnected toggled)
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(changeType, profileId = this.activeProfileId) {
+    const profile = this.getActiveProfile();
+    this.listeners.forEach(callback => {
+      try {
+        callback(profile, changeType, profileId);
+      } catch (error) {
+        console.error('Error in connection profile listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance
+export const connectionProfiles = new ConnectionProfileManager();
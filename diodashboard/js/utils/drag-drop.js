@@ -1,7 +1,14 @@
 // Drag and drop utility functions for widget management on canvas
 
+import { undoManager } from './undo-manager.js';
+import { storageManager } from './storage.js';
+import { AutoLayout, getWidgetRect } from './auto-layout.js';
+
 const GRID_SIZE = 20;
 
+// Elements inside a widget that should receive pointer input instead of starting a drag
+const NO_DRAG_SELECTOR = 'button, input, select, textarea, a, [data-no-drag]';
+
 export class DragDropManager {
   constructor(canvas) {
     this.canvas = canvas;
@@ -58,12 +65,12 @@ export class DragDropManager {
     element.style.cursor = 'grab';
 
     element.addEventListener('mousedown', (e) => {
-      if (e.target.classList.contains('widget-remove-btn')) return;
+      if (e.target.closest(NO_DRAG_SELECTOR)) return;
       this.startDrag(e, widget);
     });
 
     element.addEventListener('touchstart', (e) => {
-      if (e.target.classList.contains('widget-remove-btn')) return;
+      if (e.target.closest(NO_DRAG_SELECTOR)) return;
 
       // Don't start drag if canvas is currently in pinch-to-zoom gesture
       if (this.canvas.isZooming) return;
@@ -92,6 +99,32 @@ export class DragDropManager {
   startDrag(e, widget) {
     this.draggedWidget = widget;
     this.isDragging = true;
+    this.dragStartPosition = { ...widget.position };
+
+    // Dragging a widget that's part of a multi-selection moves the whole selection, and
+    // containers carry their children along
+    const selection = this.canvas.getSelectedWidgets();
+    this.isSelectionDrag = selection.length > 1 && selection.includes(widget);
+    const group = new Set(this.isSelectionDrag ? selection : [widget]);
+    [...group].forEach(member => this.canvas.getChildWidgets(member.id).forEach(child => group.add(child)));
+    group.delete(widget);
+
+    this.groupOrigins = null;
+    if (group.size > 0) {
+      this.groupOrigins = {};
+      group.forEach(other => {
+        this.groupOrigins[other.id] = { ...other.position };
+      });
+    }
+
+    // With "push widgets while dragging" on, other widgets make room below the dragged one
+    this.pushOrigins = null;
+    if (!this.isSelectionDrag && storageManager.getLayoutSettings().pushOnDrag === true) {
+      this.pushOrigins = {};
+      this.canvas.widgets.forEach(other => {
+        if (other !== widget && !group.has(other)) this.pushOrigins[other.id] = { ...other.position };
+      });
+    }
 
     // Calculate offset from pointer to widget top-left (in canvas coordinates)
     const coords = this.getCanvasCoordinates(e);
@@ -148,6 +181,59 @@ export class DragDropManager {
     // Update widget position in grid units
     this.draggedWidget.position.x = Math.round(newX / GRID_SIZE);
     this.draggedWidget.position.y = Math.round(newY / GRID_SIZE);
+
+    if (this.groupOrigins) {
+      this.moveGroup();
+    }
+    if (this.pushOrigins) {
+      this.pushWidgets();
+    }
+  }
+
+  // Move the rest of the selection by the same offset as the dragged widget
+  moveGroup() {
+    const start = this.dragStartPosition;
+    const members = Object.entries(this.groupOrigins)
+      .map(([widgetId, origin]) => ({ widget: this.canvas.getWidget(widgetId), origin }))
+      .filter(({ widget }) => widget);
+
+    // Stop at the canvas edge as soon as any member reaches it
+    const dx = Math.max(this.draggedWidget.position.x - start.x, -Math.min(start.x, ...members.map(({ origin }) => origin.x)));
+    const dy = Math.max(this.draggedWidget.position.y - start.y, -Math.min(start.y, ...members.map(({ origin }) => origin.y)));
+
+    this.draggedWidget.setPosition({ x: start.x + dx, y: start.y + dy });
+    members.forEach(({ widget, origin }) => {
+      widget.setPosition({ x: origin.x + dx, y: origin.y + dy });
+    });
+  }
+
+  // Move the other widgets out of the dragged widget's way (not saved until the drag ends)
+  pushWidgets() {
+    const dragged = this.draggedWidget;
+    const rect = getWidgetRect(dragged);
+    const positions = new AutoLayout(this.canvas).calculatePush(dragged, rect, this.pushOrigins);
+
+    Object.entries(positions).forEach(([widgetId, position]) => {
+      const widget = this.canvas.getWidget(widgetId);
+      if (widget && (widget.position.x !== position.x || widget.position.y !== position.y)) {
+        widget.setPosition(position);
+      }
+    });
+  }
+
+  // A widget dropped onto a container joins it, one dragged out of its container leaves it.
+  // Returns the undo command for the change, or null when the widget stayed where it was.
+  updateParent() {
+    const widget = this.draggedWidget;
+    if (this.canvas.isContainer(widget)) return null; // Containers don't nest
+
+    const before = widget.parentId || null;
+    const after = this.canvas.findContainerAt(widget)?.id || null;
+    if (after === before) return null;
+
+    storageManager.moveWidgetToContainer(widget.id, after);
+    this.canvas.setWidgetParent(widget, after);
+    return { type: 'reparent', widgetId: widget.id, before, after };
   }
 
   // End dragging
@@ -158,14 +244,41 @@ export class DragDropManager {
 
     // Remove dragging styles
     this.draggedWidget.element.classList.remove('dragging');
-    this.draggedWidget.element.style.zIndex = '';
+    this.draggedWidget.element.style.zIndex = this.draggedWidget.zIndex ?? '';
     this.draggedWidget.element.style.cursor = 'grab';
 
-    // Deselect the widget to prevent it from staying selected after drag
-    this.draggedWidget.element.classList.remove('selected');
+    // Deselect the widget to prevent it from staying selected after drag (a dragged
+    // multi-selection stays selected so it can be moved or aligned again)
+    if (!this.isSelectionDrag) {
+      this.draggedWidget.element.classList.remove('selected');
+    }
 
-    // Save position
+    // Save position (and those of pushed or grouped widgets) as one undo step
     this.draggedWidget.savePosition();
+    const moved = Object.entries({ ...this.pushOrigins, ...this.groupOrigins })
+      .map(([widgetId, before]) => ({ widget: this.canvas.getWidget(widgetId), before }))
+      .filter(({ widget, before }) => widget && (widget.position.x !== before.x || widget.position.y !== before.y));
+    moved.forEach(({ widget }) => widget.savePosition());
+
+    const label = this.isSelectionDrag ? 'Move widgets' : 'Move widget';
+    const wasMoved = this.draggedWidget.position.x !== this.dragStartPosition.x || this.draggedWidget.position.y !== this.dragStartPosition.y;
+    const move = moved.length > 0 ? {
+      type: 'arrange',
+      label,
+      moves: [
+        { widgetId: this.draggedWidget.id, before: this.dragStartPosition, after: { ...this.draggedWidget.position } },
+        ...moved.map(({ widget, before }) => ({ widgetId: widget.id, before, after: { ...widget.position } }))
+      ]
+    } : { type: 'move', label, widgetId: this.draggedWidget.id, before: this.dragStartPosition, after: { ...this.draggedWidget.position } };
+
+    const reparent = this.isSelectionDrag ? null : this.updateParent();
+    if (reparent) {
+      undoManager.record({ type: 'group', label, commands: [move, reparent] });
+    } else if (moved.length > 0 || wasMoved) {
+      undoManager.record(move);
+    }
+    this.pushOrigins = null;
+    this.groupOrigins = null;
 
     // Update canvas to fit all widgets after position change
     this.canvas.updateCanvasToFitWidgets();
@@ -176,13 +289,16 @@ export class DragDropManager {
     document.removeEventListener('touchmove', this.handleDrag.bind(this));
     document.removeEventListener('touchend', this.endDrag.bind(this));
 
-    // Set flag to prevent accidental selection on next click
-    this.justFinishedDrag = true;
+    // Set flag to prevent accidental selection on next click - a press without movement
+    // still selects (Shift+click adds to the selection)
+    if (wasMoved) {
+      this.justFinishedDrag = true;
 
-    // Clear the flag after a short delay to allow normal selection on subsequent interactions
-    setTimeout(() => {
-      this.justFinishedDrag = false;
-    }, 100);
+      // Clear the flag after a short delay to allow normal selection on subsequent interactions
+      setTimeout(() => {
+        this.justFinishedDrag = false;
+      }, 100);
+    }
 
     this.draggedWidget = null;
   }
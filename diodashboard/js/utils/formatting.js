@@ -1,5 +1,14 @@
 // Formatting utilities for displaying metrics and values
 
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export function formatTimestamp(timestamp) {
   if (!timestamp) return 'N/A';
   try {
@@ -10,6 +19,16 @@ export function formatTimestamp(timestamp) {
   }
 }
 
+// Compact duration for ages, uptimes and countdowns, e.g. 3s, 4m 12s, 2h 5m
+export function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60}m`;
+}
+
 export function formatTime(value) {
   if (value === null || value === undefined || value === 0) return '0 s';
 
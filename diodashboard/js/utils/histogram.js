@@ -0,0 +1,144 @@
+// Histogram utilities - normalizes bucket payloads and estimates quantiles client-side
+
+export const DEFAULT_QUANTILES = [0.5, 0.9, 0.99];
+
+function toNumber(value) {
+  if (value === '+Inf' || value === 'Inf' || value === 'inf' || value === Infinity) return Infinity;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Accept buckets as an array of {le|upper_bound, count|cumulative_count} or a map of bound -> count.
+// Counts are cumulative as in Prometheus, unless they can't be - they decrease, or they add up to
+// the payload's total `count` while the last bucket doesn't match it - and are then per-bucket.
+function normalizeBuckets(rawBuckets, total = null) {
+  let entries = [];
+
+  if (Array.isArray(rawBuckets)) {
+    entries = rawBuckets.map(bucket => {
+      if (Array.isArray(bucket)) return { le: toNumber(bucket[0]), count: toNumber(bucket[1]) };
+      if (!bucket || typeof bucket !== 'object') return null;
+      return {
+        le: toNumber(bucket.le ?? bucket.upper_bound ?? bucket.bound),
+        count: toNumber(bucket.count ?? bucket.cumulative_count ?? bucket.value)
+      };
+    });
+  } else if (rawBuckets && typeof rawBuckets === 'object') {
+    entries = Object.entries(rawBuckets).map(([le, count]) => ({ le: toNumber(le), count: toNumber(count) }));
+  }
+
+  const buckets = entries
+    .filter(bucket => bucket && bucket.le !== null && bucket.count !== null)
+    .sort((a, b) => a.le - b.le);
+
+  const last = buckets.length > 0 ? buckets[buckets.length - 1].count : null;
+  const decreasing = buckets.some((bucket, i) => i > 0 && bucket.count < buckets[i - 1].count);
+  const perBucket = decreasing || (total !== null && last !== total &&
+    buckets.reduce((sum, bucket) => sum + bucket.count, 0) === total);
+  if (perBucket) {
+    let running = 0;
+    buckets.forEach(bucket => {
+      running += bucket.count;
+      bucket.count = running;
+    });
+  }
+
+  return buckets;
+}
+
+// Accept explicit quantiles as an array of {quantile, value} or a map of quantile -> value
+function normalizeQuantiles(rawQuantiles) {
+  const quantiles = {};
+
+  if (Array.isArray(rawQuantiles)) {
+    rawQuantiles.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      const q = toNumber(item.quantile ?? item.q);
+      const value = toNumber(item.value);
+      if (q !== null && value !== null) quantiles[q] = value;
+    });
+  } else if (rawQuantiles && typeof rawQuantiles === 'object') {
+    Object.entries(rawQuantiles).forEach(([q, value]) => {
+      const quantile = toNumber(q);
+      const number = toNumber(value);
+      if (quantile !== null && number !== null) quantiles[quantile] = number;
+    });
+  }
+
+  return quantiles;
+}
+
+// Normalize a histogram payload into {buckets, sum, count, quantiles}
+// Returns null when the payload carries no usable distribution data
+export function normalizeHistogram(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const totalCount = toNumber(data.count ?? data.sample_count);
+  const buckets = normalizeBuckets(data.buckets, totalCount);
+  const explicitQuantiles = normalizeQuantiles(data.quantiles);
+  if (buckets.length === 0 && Object.keys(explicitQuantiles).length === 0) return null;
+
+  const lastCount = buckets.length > 0 ? buckets[buckets.length - 1].count : null;
+  const count = totalCount ?? lastCount ?? 0;
+  const sum = toNumber(data.sum ?? data.sample_sum);
+
+  const histogram = { buckets, sum, count, quantiles: {} };
+  DEFAULT_QUANTILES.forEach(q => {
+    const value = explicitQuantiles[q] !== undefined ? explicitQuantiles[q] : estimateQuantile(q, buckets);
+    if (value !== null) histogram.quantiles[q] = value;
+  });
+  // Keep any additional explicit quantiles the backend sent
+  Object.entries(explicitQuantiles).forEach(([q, value]) => {
+    if (histogram.quantiles[q] === undefined) histogram.quantiles[q] = value;
+  });
+
+  return histogram;
+}
+
+// Estimate a quantile from cumulative buckets using linear interpolation
+// (same approach as Prometheus histogram_quantile)
+export function estimateQuantile(q, buckets) {
+  if (!buckets || buckets.length === 0 || q < 0 || q > 1) return null;
+
+  const total = buckets[buckets.length - 1].count;
+  if (!total) return null;
+
+  const rank = q * total;
+  let index = buckets.findIndex(bucket => bucket.count >= rank);
+  if (index === -1) index = buckets.length - 1;
+
+  const bucket = buckets[index];
+  if (bucket.le === Infinity) {
+    // Falls in the overflow bucket - best estimate is the highest finite bound
+    return index > 0 ? buckets[index - 1].le : null;
+  }
+
+  const lowerBound = index > 0 ? buckets[index - 1].le : Math.min(0, bucket.le);
+  const lowerCount = index > 0 ? buckets[index - 1].count : 0;
+  const bucketCount = bucket.count - lowerCount;
+  if (bucketCount <= 0) return bucket.le;
+
+  return lowerBound + (bucket.le - lowerBound) * ((rank - lowerCount) / bucketCount);
+}
+
+// Multiply all values in a histogram (bounds, sum, quantiles) - used for unit conversion
+export function scaleHistogram(histogram, factor) {
+  if (!histogram || factor === 1) return histogram;
+
+  const quantiles = {};
+  Object.entries(histogram.quantiles).forEach(([q, value]) => {
+    quantiles[q] = value * factor;
+  });
+
+  return {
+    buckets: histogram.buckets.map(bucket => ({ le: bucket.le * factor, count: bucket.count })),
+    sum: histogram.sum !== null ? histogram.sum * factor : null,
+    count: histogram.count,
+    quantiles
+  };
+}
+
+// Label for a quantile key, e.g. 0.99 -> "p99"
+export function quantileLabel(q) {
+  return `p${String(Math.round(parseFloat(q) * 1000) / 10).replace(/\.0$/, '')}`;
+}
@@ -0,0 +1,75 @@
+// Log export - turns buffered log lines ({ seq, entry, receivedAt }) into NDJSON, plain text or CSV
+// for download. Plain text lines (non-JSON messages) are included in every format.
+
+import { getLogFields } from './log-filter.js';
+
+export const LOG_EXPORT_FORMATS = {
+  ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  text: { label: 'Plain text', extension: 'log', mimeType: 'text/plain' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['received_at', 'timestamp', 'level', 'section', 'id', 'message', 'raw'];
+
+// Lines received in the last `minutes` (null = all of them)
+export function filterLinesByAge(lines, minutes, now = Date.now()) {
+  if (!minutes) return lines;
+  const since = now - minutes * 60 * 1000;
+  return lines.filter(line => line.receivedAt >= since);
+}
+
+// One JSON object per line. Entries keep their own fields; plain text lines become
+// { message, nonJson: true }. Both get the time the dashboard received them.
+function toNdjson(lines) {
+  return lines.map(({ entry, receivedAt }) => {
+    const record = typeof entry === 'string'
+      ? { message: entry, nonJson: true }
+      : entry;
+    return `${JSON.stringify({ receivedAt: new Date(receivedAt).toISOString(), ...record })}\n`;
+  }).join('');
+}
+
+// The lines as they read in the widget
+function toText(lines) {
+  return lines.map(({ entry, receivedAt }) => {
+    const received = new Date(receivedAt).toISOString();
+    if (typeof entry === 'string') return `${received} ${entry}\n`;
+
+    const { timestamp, level, section, id, message } = getLogFields(entry);
+    return [
+      received,
+      timestamp,
+      level.padEnd(5),
+      `[${section}]`,
+      id !== null ? `#${id}` : null,
+      message
+    ].filter(part => part !== null).join(' ') + '\n';
+  }).join('');
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The display fields as columns, plus the whole entry as JSON in `raw` so no field is lost
+function toCsv(lines) {
+  const rows = lines.map(({ entry, receivedAt }) => {
+    const received = new Date(receivedAt).toISOString();
+    if (typeof entry === 'string') return [received, null, null, null, null, entry, entry];
+
+    const { timestamp, level, section, id, message } = getLogFields(entry);
+    return [received, timestamp, level, section, id, message, JSON.stringify(entry)];
+  });
+
+  return [CSV_COLUMNS, ...rows].map(row => `${row.map(csvCell).join(',')}\r\n`).join('');
+}
+
+export function exportLogLines(lines, format) {
+  switch (format) {
+    case 'ndjson': return toNdjson(lines);
+    case 'text': return toText(lines);
+    case 'csv': return toCsv(lines);
+    default: throw new Error(`Unknown log export format: ${format}`);
+  }
+}
@@ -0,0 +1,97 @@
+// Log entry filtering - level toggles, a section and free-text or regex search, shared by the log
+// widget's view and anything else that needs "the entries the user is looking at".
+// Filters are plain objects stored in the widget config: { levels, section, id, search, regex }
+
+import { escapeHtml } from './formatting.js';
+
+export const LOG_LEVELS = ['ERROR', 'WARN', 'INFO', 'DEBUG'];
+
+export const DEFAULT_LOG_FILTER = {
+  levels: LOG_LEVELS,
+  section: null, // null = all sections
+  id: null,      // Only entries with this id (e.g. one order), null = any
+  search: '',
+  regex: false   // Treat `search` as a regular expression
+};
+
+// Other level names the backend may send, mapped onto the four toggles
+const LEVEL_ALIASES = {
+  WARNING: 'WARN',
+  FATAL: 'ERROR',
+  CRITICAL: 'ERROR',
+  TRACE: 'DEBUG'
+};
+
+export function normalizeLevel(level) {
+  const name = String(level || 'INFO').toUpperCase();
+  return LEVEL_ALIASES[name] || name;
+}
+
+// Display fields of a log entry - plain string entries are just a message
+export function getLogFields(entry) {
+  if (typeof entry === 'string') {
+    return { timestamp: null, level: null, section: null, id: null, message: entry };
+  }
+
+  const { timestamp = null, level = 'INFO', section = 'unknown', id = null, message = '' } = entry || {};
+  return { timestamp, level: normalizeLevel(level), section: String(section), id, message: String(message) };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a filter for repeated use. Search is case-insensitive and looks at the message,
+// section and id; an invalid regex sets `error` and filters on levels and section only.
+export function compileLogFilter(filter = {}) {
+  const { levels, section, id, search, regex } = { ...DEFAULT_LOG_FILTER, ...filter };
+  const shownLevels = new Set(levels);
+
+  let pattern = null;
+  let error = null;
+  if (search) {
+    try {
+      pattern = new RegExp(regex ? search : escapeRegExp(search), 'gi');
+    } catch (e) {
+      error = e.message;
+    }
+  }
+
+  return {
+    error,
+
+    // Whether anything is filtered out at all
+    active: shownLevels.size < LOG_LEVELS.length || Boolean(section) || id !== null || Boolean(pattern),
+
+    matches(entry) {
+      const fields = getLogFields(entry);
+      // Levels without a toggle are always shown
+      if (LOG_LEVELS.includes(fields.level) && !shownLevels.has(fields.level)) return false;
+      if (section && fields.section !== section) return false;
+      if (id !== null && (fields.id === null || String(fields.id) !== String(id))) return false;
+      if (!pattern) return true;
+
+      return [fields.message, fields.section, fields.id].some(text => {
+        if (text === null || text === undefined) return false;
+        pattern.lastIndex = 0;
+        return pattern.test(String(text));
+      });
+    },
+
+    // Escaped HTML of `text` with the search matches wrapped in <mark>
+    highlight(text) {
+      const value = String(text ?? '');
+      if (!pattern) return escapeHtml(value);
+
+      let html = '';
+      let last = 0;
+      pattern.lastIndex = 0; // matchAll starts where the last test() stopped
+      for (const match of value.matchAll(pattern)) {
+        if (match[0] === '') continue; // Patterns like `a*` also match nothing
+        html += `${escapeHtml(value.slice(last, match.index))}<mark class="log-match">${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+      }
+      return html + escapeHtml(value.slice(last));
+    }
+  };
+}
@@ -0,0 +1,143 @@
+// Log-derived metrics - counts log entries by level and section over rolling windows and publishes
+// them as telemetry gauges of their node, so they can be discovered, charted and alerted on like
+// any other metric:
+//   log_entries{level="ERROR", window="1m"}                        - entries of a level, all sections
+//   log_section_entries{level="ERROR", section="orders", window="1m"} - entries of a level in one section
+// Counts are kept in fixed time buckets per node; published values are refreshed every tick so they
+// fall back to 0 once a section goes quiet.
+
+import { telemetryData, connections, getNodeData, logConfig } from '../data/state.js';
+import { metricHistory } from '../data/history.js';
+import { subscribeToStream, notifyTelemetryUpdate } from './websocket.js';
+import { LOG_LEVELS, getLogFields } from './log-filter.js';
+
+export class LogMetrics {
+  constructor() {
+    this.nodes = new Map(); // source -> { buckets: [{ start, counts: { level: { section: n } } }], sections: Set }
+    this.tickInterval = null;
+    this.entryCallback = (entry, source) => this.record(entry, source);
+  }
+
+  start() {
+    if (this.tickInterval) return;
+    subscribeToStream('log', this.entryCallback);
+    this.tickInterval = setInterval(() => this.publishAll(), logConfig.metricIntervalSeconds * 1000);
+  }
+
+  // Count one log entry - plain text lines count as INFO of section "unknown", like entries
+  // without those fields
+  record(entry, source, now = Date.now() / 1000) {
+    if (!source) return;
+
+    const fields = getLogFields(typeof entry === 'string' ? {} : entry);
+    let node = this.nodes.get(source);
+    if (!node) {
+      node = { buckets: [], sections: new Set() };
+      this.nodes.set(source, node);
+    }
+
+    const start = Math.floor(now / logConfig.metricBucketSeconds) * logConfig.metricBucketSeconds;
+    let bucket = node.buckets[node.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, counts: {} };
+      node.buckets.push(bucket);
+    }
+
+    const levelCounts = bucket.counts[fields.level] || (bucket.counts[fields.level] = {});
+    levelCounts[fields.section] = (levelCounts[fields.section] || 0) + 1;
+    node.sections.add(fields.section);
+  }
+
+  // Entries per level and section over the last `windowSeconds` - { level: { section: n } }
+  count(source, windowSeconds, now = Date.now() / 1000) {
+    const totals = {};
+    const since = now - windowSeconds;
+
+    (this.nodes.get(source)?.buckets || []).forEach(bucket => {
+      if (bucket.start + logConfig.metricBucketSeconds <= since) return;
+
+      Object.entries(bucket.counts).forEach(([level, sections]) => {
+        const levelTotals = totals[level] || (totals[level] = {});
+        Object.entries(sections).forEach(([section, count]) => {
+          levelTotals[section] = (levelTotals[section] || 0) + count;
+        });
+      });
+    });
+
+    return totals;
+  }
+
+  publishAll() {
+    this.nodes.forEach((node, source) => {
+      // The node was disconnected and its cached data dropped - start over if it comes back
+      if (!connections[source]) {
+        this.nodes.delete(source);
+        return;
+      }
+
+      try {
+        this.publish(source);
+        notifyTelemetryUpdate(source);
+      } catch (error) {
+        console.error(`Error publishing log metrics for ${source}:`, error);
+      }
+    });
+  }
+
+  // Write the current window counts into the node's telemetry - every level and every section
+  // seen so far is published, 0 when nothing arrived in the window
+  publish(source, now = Date.now() / 1000) {
+    const node = this.nodes.get(source);
+    const longest = Math.max(...logConfig.metricWindowsMinutes) * 60;
+    node.buckets = node.buckets.filter(bucket => bucket.start + logConfig.metricBucketSeconds > now - longest);
+
+    // Levels outside the four toggles (e.g. NOTICE) get series once they are logged
+    const levels = new Set(LOG_LEVELS);
+    node.buckets.forEach(bucket => Object.keys(bucket.counts).forEach(level => levels.add(level)));
+
+    const nodeTelemetry = getNodeData(telemetryData, source);
+    logConfig.metricWindowsMinutes.forEach(minutes => {
+      const window = `${minutes}m`;
+      const totals = this.count(source, minutes * 60, now);
+
+      levels.forEach(level => {
+        const sections = totals[level] || {};
+        const levelTotal = Object.values(sections).reduce((sum, count) => sum + count, 0);
+        this.setMetric(nodeTelemetry, source, 'log_entries', { level, window }, levelTotal, now);
+
+        node.sections.forEach(section => {
+          const value = sections[section] || 0;
+          // Levels a section never logged would only add empty series
+          if (value > 0 || nodeTelemetry[this.metricKey('log_section_entries', { level, section, window })]) {
+            this.setMetric(nodeTelemetry, source, 'log_section_entries', { level, section, window }, value, now);
+          }
+        });
+      });
+    });
+  }
+
+  // Same key format as parsed telemetry (`name|labelsJSON`)
+  metricKey(name, labels) {
+    return `${name}|${JSON.stringify(labels)}`;
+  }
+
+  setMetric(nodeTelemetry, source, name, labels, value, now) {
+    const key = this.metricKey(name, labels);
+    nodeTelemetry[key] = {
+      name,
+      labels,
+      value,
+      cached_rate: 0,
+      last_updated: now,
+      metric_type: { type: 'gauge', value },
+      histogram: null,
+      key,
+      source,
+      derived: 'log' // Computed in the browser - see MetricDiscovery's log-derived subsection
+    };
+    metricHistory.record(source, 'telemetry', key, value, now);
+  }
+}
+
+// Singleton instance
+export const logMetrics = new LogMetrics();
@@ -1,7 +1,10 @@
-// Metric discovery utility - reads from data state and groups metrics by subsections
+// Metric discovery utility - reads from data state and groups metrics by node and subsections
+// Metric ids are prefixed with their source so the same metric on two nodes stays distinct
 
-import { telemetryData, balanceData, systemData, openOrdersData } from '../data/state.js';
+import { telemetryData, balanceData, systemData, openOrdersData, widgetRegistry } from '../data/state.js';
+import { connectionProfiles } from './connection-profiles.js';
 import { formatValue, formatTimestamp } from './formatting.js';
+import { isSelector, parseSelector, matchesSelector } from './selectors.js';
 
 export class MetricDiscovery {
   constructor() {
@@ -34,17 +37,42 @@ export class MetricDiscovery {
     return this.subsections;
   }
 
+  // Sources (connection profile ids) with data in a store, active profile first
+  getSources(store) {
+    const activeId = connectionProfiles.getActiveProfile().id;
+    return Object.keys(store).sort((a, b) => (b === activeId) - (a === activeId));
+  }
+
+  // Fields every discovered metric carries to identify its node
+  sourceFields(source, id) {
+    return {
+      id: `${source}/${id}`,
+      source,
+      sourceName: connectionProfiles.getSourceName(source)
+    };
+  }
+
   discoverTelemetryMetrics() {
     const metrics = [];
 
-    Object.entries(telemetryData).forEach(([key, metric]) => {
+    this.getSources(telemetryData).forEach(source => {
+      metrics.push(...this.discoverNodeTelemetryMetrics(source, telemetryData[source]));
+    });
+
+    return metrics;
+  }
+
+  discoverNodeTelemetryMetrics(source, nodeTelemetry) {
+    const metrics = [];
+
+    Object.entries(nodeTelemetry).forEach(([key, metric]) => {
       const metricType = metric.metric_type?.type || 'gauge';
       const labelsStr = Object.keys(metric.labels).length > 0 ?
         Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') : '';
 
       // Create individual metric entries for each telemetry metric
       metrics.push({
-        id: key,
+        ...this.sourceFields(source, key),
         key: key,
         name: metric.name,
         labels: metric.labels,
@@ -53,7 +81,7 @@ export class MetricDiscovery {
         type: metricType,
         lastUpdated: metric.last_updated,
         cachedRate: metric.cached_rate,
-        subsection: this.getTelemetrySubsection(metricType),
+        subsection: metric.derived === 'log' ? 'log-derived' : this.getTelemetrySubsection(metricType),
         widgetType: 'telemetry-metric', // All individual telemetry metrics use this widget type
         displayValue: formatValue(metric.value, metric.name, metric),
         displayTime: formatTimestamp(metric.last_updated)
@@ -65,13 +93,24 @@ export class MetricDiscovery {
 
   discoverBalanceMetrics() {
     const metrics = [];
+    const sources = new Set([...this.getSources(balanceData), ...this.getSources(openOrdersData)]);
+
+    sources.forEach(source => {
+      metrics.push(...this.discoverNodeBalanceMetrics(source, balanceData[source] || {}, openOrdersData[source] || []));
+    });
+
+    return metrics;
+  }
+
+  discoverNodeBalanceMetrics(source, nodeBalances, nodeOrders) {
+    const metrics = [];
 
     // Asset balances
-    Object.entries(balanceData).forEach(([asset, balance]) => {
+    Object.entries(nodeBalances).forEach(([asset, balance]) => {
       const wallets = Array.isArray(balance.wallets) ? balance.wallets : [];
 
       metrics.push({
-        id: `balance-${asset}`,
+        ...this.sourceFields(source, `balance-${asset}`),
         key: asset,
         name: asset,
         value: balance.total_balance,
@@ -84,10 +123,10 @@ export class MetricDiscovery {
     });
 
     // Open orders (if any)
-    if (openOrdersData && openOrdersData.length > 0) {
+    if (nodeOrders && nodeOrders.length > 0) {
       // Group orders by symbol for display
       const ordersBySymbol = {};
-      openOrdersData.forEach((order, index) => {
+      nodeOrders.forEach((order, index) => {
         const symbol = order.symbol || 'N/A';
         if (!ordersBySymbol[symbol]) {
           ordersBySymbol[symbol] = [];
@@ -97,7 +136,7 @@ export class MetricDiscovery {
 
       Object.entries(ordersBySymbol).forEach(([symbol, orders]) => {
         metrics.push({
-          id: `orders-${symbol}`,
+          ...this.sourceFields(source, `orders-${symbol}`),
           key: symbol,
           name: `${symbol} Orders`,
           value: orders.length,
@@ -116,7 +155,17 @@ export class MetricDiscovery {
   discoverSystemMetrics() {
     const metrics = [];
 
-    Object.entries(systemData).forEach(([key, metric]) => {
+    this.getSources(systemData).forEach(source => {
+      metrics.push(...this.discoverNodeSystemMetrics(source, systemData[source]));
+    });
+
+    return metrics;
+  }
+
+  discoverNodeSystemMetrics(source, nodeSystem) {
+    const metrics = [];
+
+    Object.entries(nodeSystem).forEach(([key, metric]) => {
       if (key === 'timestamp' || key === 'type') return;
 
       // Skip arrays (handled separately) and complex objects
@@ -126,7 +175,7 @@ export class MetricDiscovery {
 
       // Create individual metric entries for each system metric
       metrics.push({
-        id: `system-${key}`,
+        ...this.sourceFields(source, `system-${key}`),
         key: key,
         name: key.replace(/_/g, ' '),
         value: metric.value,
@@ -138,30 +187,30 @@ export class MetricDiscovery {
     });
 
     // Add CPU and Memory as separate subsections if data available
-    if (systemData.cpu_usage) {
+    if (nodeSystem.cpu_usage) {
       metrics.push({
-        id: 'system-cpu-usage',
+        ...this.sourceFields(source, 'system-cpu-usage'),
         key: 'cpu_usage',
         name: 'CPU Usage',
-        value: systemData.cpu_usage.value,
+        value: nodeSystem.cpu_usage.value,
         subsection: 'cpu',
         widgetType: 'system-cpu',
-        displayValue: `${systemData.cpu_usage.value.toFixed(1)}%`,
-        displayTime: formatTimestamp(systemData.cpu_usage.last_updated)
+        displayValue: `${nodeSystem.cpu_usage.value.toFixed(1)}%`,
+        displayTime: formatTimestamp(nodeSystem.cpu_usage.last_updated)
       });
     }
 
-    if (systemData.memory_used && systemData.memory_total) {
-      const usagePercent = (systemData.memory_used.value / systemData.memory_total.value) * 100;
+    if (nodeSystem.memory_used && nodeSystem.memory_total) {
+      const usagePercent = (nodeSystem.memory_used.value / nodeSystem.memory_total.value) * 100;
       metrics.push({
-        id: 'system-memory-usage',
+        ...this.sourceFields(source, 'system-memory-usage'),
         key: 'memory_usage',
         name: 'Memory Usage',
         value: usagePercent,
         subsection: 'memory',
         widgetType: 'system-memory',
         displayValue: `${usagePercent.toFixed(1)}%`,
-        displayTime: formatTimestamp(systemData.memory_used.last_updated)
+        displayTime: formatTimestamp(nodeSystem.memory_used.last_updated)
       });
     }
 
@@ -169,9 +218,9 @@ export class MetricDiscovery {
   }
 
   discoverLogMetrics() {
-    // Log is a single stream widget
-    return [{
-      id: 'log-stream',
+    // Log is a single stream widget per connected node
+    return connectionProfiles.getConnectedProfiles().map(profile => ({
+      ...this.sourceFields(profile.id, 'log-stream'),
       key: 'log',
       name: 'Log Stream',
       value: 'Streaming logs',
@@ -179,7 +228,7 @@ export class MetricDiscovery {
       widgetType: 'log-stream',
       displayValue: 'Real-time logs',
       displayTime: 'Live'
-    }];
+    }));
   }
 
   getTelemetrySubsection(metricType) {
@@ -201,59 +250,59 @@ export class MetricDiscovery {
     }
   }
 
-  groupTelemetrySubsections() {
-    const groups = {
-      gauges: { title: 'Gauge Metrics', metrics: [] },
-      counters: { title: 'Counter Metrics', metrics: [] },
-      histograms: { title: 'Histogram Metrics', metrics: [] }
-    };
-
-    this.discoveredMetrics.telemetry.forEach(metric => {
-      if (groups[metric.subsection]) {
-        groups[metric.subsection].metrics.push(metric);
-      }
+  // Split a category's metrics into subsections per node - `groups` maps subsection key -> title.
+  // Subsection titles carry the node name once more than one node has metrics.
+  groupByNode(metrics, groups) {
+    const sources = [...new Set(metrics.map(metric => metric.source))];
+    const multiNode = sources.length > 1;
+    const subsections = [];
+
+    sources.forEach(source => {
+      const nodeMetrics = metrics.filter(metric => metric.source === source);
+      Object.entries(groups).forEach(([subsectionKey, title]) => {
+        const groupMetrics = nodeMetrics.filter(metric => metric.subsection === subsectionKey);
+        if (groupMetrics.length === 0) return;
+
+        subsections.push({
+          id: `${source}-${subsectionKey}`,
+          title: multiNode ? `${groupMetrics[0].sourceName} · ${title}` : title,
+          source,
+          metrics: groupMetrics
+        });
+      });
     });
 
-    return Object.values(groups).filter(group => group.metrics.length > 0);
+    return subsections;
   }
 
-  groupBalanceSubsections() {
-    const groups = {
-      assets: { title: 'Asset Balances', metrics: [] },
-      orders: { title: 'Open Orders', metrics: [] }
-    };
-
-    this.discoveredMetrics.balance.forEach(metric => {
-      if (groups[metric.subsection]) {
-        groups[metric.subsection].metrics.push(metric);
-      }
+  groupTelemetrySubsections() {
+    return this.groupByNode(this.discoveredMetrics.telemetry, {
+      gauges: 'Gauge Metrics',
+      counters: 'Counter Metrics',
+      histograms: 'Histogram Metrics',
+      'log-derived': 'Log-Derived Metrics'
     });
+  }
 
-    return Object.values(groups).filter(group => group.metrics.length > 0);
+  groupBalanceSubsections() {
+    return this.groupByNode(this.discoveredMetrics.balance, {
+      assets: 'Asset Balances',
+      orders: 'Open Orders'
+    });
   }
 
   groupSystemSubsections() {
-    const groups = {
-      cpu: { title: 'CPU Metrics', metrics: [] },
-      memory: { title: 'Memory Metrics', metrics: [] },
-      system: { title: 'System Metrics', metrics: [] }
-    };
-
-    this.discoveredMetrics.system.forEach(metric => {
-      if (groups[metric.subsection]) {
-        groups[metric.subsection].metrics.push(metric);
-      }
+    return this.groupByNode(this.discoveredMetrics.system, {
+      cpu: 'CPU Metrics',
+      memory: 'Memory Metrics',
+      system: 'System Metrics'
     });
-
-    return Object.values(groups).filter(group => group.metrics.length > 0);
   }
 
   groupLogSubsections() {
-    return [{
-      title: 'Log Stream',
-      metrics: this.discoveredMetrics.log,
-      icon: ''
-    }];
+    return this.groupByNode(this.discoveredMetrics.log, {
+      logs: 'Log Stream'
+    }).map(subsection => ({ ...subsection, icon: '' }));
   }
 
   // Get all subsections across all categories
@@ -267,7 +316,7 @@ export class MetricDiscovery {
   // Get metrics for a specific subsection
   getMetricsForSubsection(category, subsectionId) {
     const categorySubsections = this.subsections[category] || [];
-    const subsection = categorySubsections.find(sub => sub.title.toLowerCase().replace(/\s+/g, '-') === subsectionId);
+    const subsection = categorySubsections.find(sub => sub.id === subsectionId);
     return subsection ? subsection.metrics : [];
   }
 
@@ -284,6 +333,67 @@ export class MetricDiscovery {
   refreshMetrics() {
     this.discoverAllMetrics();
   }
+
+  // Discover one category (telemetry / balance / system / log) without regrouping subsections
+  discoverCategory(category) {
+    switch (category) {
+      case 'telemetry': return this.discoverTelemetryMetrics();
+      case 'balance': return this.discoverBalanceMetrics();
+      case 'system': return this.discoverSystemMetrics();
+      case 'log': return this.discoverLogMetrics();
+      default: return [];
+    }
+  }
+
+  // Lowercase text a search query is matched against
+  getSearchText(metric) {
+    return [metric.key, metric.name, metric.labelsStr, metric.subsection, metric.sourceName]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+  }
+
+  // Discovered metrics matching every word of `query` (all of them for an empty query), or the
+  // telemetry series matching it when it's a label selector (see utils/selectors.js).
+  // `widgetType` and `source` narrow the search to the metrics one kind of widget can show.
+  searchMetrics(query, { widgetType = null, source = null } = {}) {
+    const selector = isSelector(query) ? parseSelector(query) : null;
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const metrics = widgetType
+      ? this.discoverCategory(widgetRegistry[widgetType]?.type)
+      : Object.values(this.discoveredMetrics).flat();
+
+    return metrics.filter(metric =>
+      (!widgetType || metric.widgetType === widgetType) &&
+      (!source || metric.source === source) &&
+      (selector
+        ? metric.labels !== undefined && matchesSelector(selector, metric)
+        : words.every(word => this.getSearchText(metric).includes(word)))
+    );
+  }
+
+  // Closest available metric to a key that disappeared - same metric name with other labels
+  // first, then the most shared words. Null when nothing is close.
+  suggestReplacement(key, { widgetType, source = null }) {
+    const name = String(key).split('|')[0];
+    const words = new Set(name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+
+    let best = null;
+    let bestScore = 0;
+    this.searchMetrics('', { widgetType, source }).forEach(metric => {
+      if (metric.key === key) return;
+
+      const metricName = String(metric.key).split('|')[0];
+      const shared = metricName.toLowerCase().split(/[^a-z0-9]+/).filter(word => words.has(word)).length;
+      const score = (metricName === name ? 100 : 0) + shared;
+      if (score > bestScore) {
+        best = metric;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,267 @@
+// Notifier - surfaces alerts outside the dashboard through the Notification API and an alarm sound
+// Three kinds of alerts are raised: alert rules going to `firing`, ERROR entries arriving on the log
+// stream of a connected node and streams that stay disconnected. Each can be muted or snoozed per rule (log errors and
+// disconnects use the built-in rule ids below), and do-not-disturb silences everything.
+// Settings are persisted through StorageManager.
+
+import { notificationConfig } from '../data/state.js';
+import { storageManager } from './storage.js';
+import { connectionProfiles } from './connection-profiles.js';
+import { describeRule } from './alerts.js';
+import { subscribeToStream } from './websocket.js';
+
+export const LOG_ERROR_RULE = 'log-errors';
+export const DISCONNECT_RULE = 'stream-disconnects';
+
+// Built-in rules listed in the alerts dialog next to the user's alert rules
+export const BUILTIN_RULES = [
+  { id: LOG_ERROR_RULE, name: 'Log errors', description: 'ERROR entries arriving on a log stream' },
+  { id: DISCONNECT_RULE, name: 'Stream disconnects', description: `Streams down for more than ${notificationConfig.disconnectGraceSeconds}s` }
+];
+
+export class Notifier {
+  constructor() {
+    const stored = storageManager.getNotificationSettings();
+    this.settings = {
+      desktop: stored.desktop === true,
+      sound: stored.sound !== false,
+      doNotDisturb: stored.doNotDisturb === true,
+      muted: { ...stored.muted },             // rule id -> true
+      snoozedUntil: { ...stored.snoozedUntil } // rule id -> ms timestamp
+    };
+    this.audioContext = null;
+    this.lastSoundAt = 0;
+    this.disconnectTimers = new Map(); // `${source}/${streamName}` -> timeout
+    this.logCallback = (entry, source) => this.handleLogEntry(entry, source);
+    this.logSubscribed = false;
+
+    document.addEventListener('alertStateChange', (e) => this.handleAlertStateChange(e.detail));
+  }
+
+  // Watch the log streams of every node, whether or not a log widget shows them
+  start() {
+    if (this.logSubscribed) return;
+    subscribeToStream('log', this.logCallback);
+    this.logSubscribed = true;
+  }
+
+  save() {
+    storageManager.saveNotificationSettings(this.settings);
+    this.notifyListeners();
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  // Desktop notifications need the browser's permission - call from a user gesture
+  async setDesktopEnabled(enabled) {
+    if (enabled && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+      try {
+        await Notification.requestPermission();
+      } catch (error) {
+        console.error('Error requesting notification permission:', error);
+      }
+    }
+    this.settings.desktop = enabled && this.getPermission() === 'granted';
+    this.save();
+  }
+
+  // 'granted', 'denied', 'default' or 'unsupported'
+  getPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+  }
+
+  setSoundEnabled(enabled) {
+    this.settings.sound = enabled;
+    if (enabled) this.getAudioContext(); // Unlock audio while we're inside a user gesture
+    this.save();
+  }
+
+  setDoNotDisturb(enabled) {
+    this.settings.doNotDisturb = enabled;
+    this.save();
+  }
+
+  setMuted(ruleId, muted) {
+    if (muted) {
+      this.settings.muted[ruleId] = true;
+    } else {
+      delete this.settings.muted[ruleId];
+    }
+    this.save();
+  }
+
+  isMuted(ruleId) {
+    return this.settings.muted[ruleId] === true;
+  }
+
+  // Snooze a rule for some minutes (0 clears the snooze)
+  snooze(ruleId, minutes) {
+    if (minutes > 0) {
+      this.settings.snoozedUntil[ruleId] = Date.now() + minutes * 60000;
+    } else {
+      delete this.settings.snoozedUntil[ruleId];
+    }
+    this.save();
+  }
+
+  // ms timestamp the rule is snoozed until, or null
+  getSnoozedUntil(ruleId) {
+    const until = this.settings.snoozedUntil[ruleId];
+    if (!until) return null;
+    if (until <= Date.now()) {
+      delete this.settings.snoozedUntil[ruleId];
+      return null;
+    }
+    return until;
+  }
+
+  isSilenced(ruleId) {
+    return this.settings.doNotDisturb || this.isMuted(ruleId) || this.getSnoozedUntil(ruleId) !== null;
+  }
+
+  // Forget settings of a deleted rule
+  forgetRule(ruleId) {
+    delete this.settings.muted[ruleId];
+    delete this.settings.snoozedUntil[ruleId];
+    this.save();
+  }
+
+  // Raise a notification unless the rule is silenced - returns whether it was shown
+  notify({ ruleId, title, body, severity = 'warning' }) {
+    if (this.isSilenced(ruleId)) return false;
+
+    if (this.settings.desktop && this.getPermission() === 'granted') {
+      try {
+        const notification = new Notification(title, { body, tag: ruleId, icon: 'favicon.png' });
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+        };
+      } catch (error) {
+        console.error('Error showing notification:', error);
+      }
+    }
+
+    if (this.settings.sound) {
+      this.playAlarm(severity);
+    }
+
+    try {
+      document.dispatchEvent(new CustomEvent('alertNotification', {
+        detail: { ruleId, title, body, severity }
+      }));
+    } catch (error) {
+      console.error('Error dispatching alert notification:', error);
+    }
+    return true;
+  }
+
+  handleAlertStateChange({ rule, state, previousState, value }) {
+    if (state !== 'firing' || previousState === 'firing') return;
+
+    const node = connectionProfiles.getSourceName(rule.source || connectionProfiles.getActiveProfile().id);
+    this.notify({
+      ruleId: rule.id,
+      title: `${rule.severity === 'critical' ? 'Critical' : 'Alert'}: ${rule.name}`,
+      body: `${describeRule(rule)} (value ${typeof value === 'number' ? Number(value.toFixed(4)) : 'n/a'}) on ${node}`,
+      severity: rule.severity
+    });
+  }
+
+  // Called for every entry of the log stream
+  handleLogEntry(entry, source) {
+    if (!entry || typeof entry !== 'object' || String(entry.level || '').toUpperCase() !== 'ERROR') return;
+
+    this.notify({
+      ruleId: LOG_ERROR_RULE,
+      title: `Log error on ${connectionProfiles.getSourceName(source)}`,
+      body: [entry.section, entry.message].filter(Boolean).join(': '),
+      severity: 'warning'
+    });
+  }
+
+  // Called on every stream status change - only streams that stay down past the grace period notify
+  handleStreamStatus(streamName, status, source) {
+    if (!source) return;
+    const key = `${source}/${streamName}`;
+
+    if (status === 'connected') {
+      clearTimeout(this.disconnectTimers.get(key));
+      this.disconnectTimers.delete(key);
+      return;
+    }
+
+    if ((status === 'disconnected' || status === 'error') && !this.disconnectTimers.has(key)) {
+      this.disconnectTimers.set(key, setTimeout(() => {
+        this.disconnectTimers.delete(key);
+        // The node may have been closed on purpose in the meantime
+        if (!connectionProfiles.getConnectedProfiles().some(profile => profile.id === source)) return;
+
+        this.notify({
+          ruleId: DISCONNECT_RULE,
+          title: `Stream disconnected: ${streamName}`,
+          body: `${connectionProfiles.getSourceName(source)} has been unreachable for ${notificationConfig.disconnectGraceSeconds}s`,
+          severity: 'critical'
+        });
+      }, notificationConfig.disconnectGraceSeconds * 1000));
+    }
+  }
+
+  getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!this.audioContext) {
+      this.audioContext = new AudioContextClass();
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(() => {});
+    }
+    return this.audioContext;
+  }
+
+  // Short beep - three higher beeps for critical alerts
+  playAlarm(severity = 'warning') {
+    const now = Date.now();
+    if (now - this.lastSoundAt < notificationConfig.soundCooldownSeconds * 1000) return;
+    this.lastSoundAt = now;
+
+    try {
+      const context = this.getAudioContext();
+      if (!context) return;
+
+      const critical = severity === 'critical';
+      const beeps = critical ? 3 : 1;
+      for (let i = 0; i < beeps; i++) {
+        const start = context.currentTime + i * 0.3;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = critical ? 880 : 660;
+        gain.gain.setValueAtTime(0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.25);
+      }
+    } catch (error) {
+      console.error('Error playing alarm sound:', error);
+    }
+  }
+
+  notifyListeners() {
+    try {
+      document.dispatchEvent(new CustomEvent('notificationSettingsChange', {
+        detail: this.getSettings()
+      }));
+    } catch (error) {
+      console.error('Error dispatching notification settings change:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const notifier = new Notifier();
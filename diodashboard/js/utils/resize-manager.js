@@ -0,0 +1,146 @@
+// Resize handles for widgets on the canvas - corners and edges, snapped to the grid
+// A manually resized widget gets its size locked so content updates don't auto-size it back.
+
+import { widgetRegistry } from '../data/state.js';
+import { undoManager } from './undo-manager.js';
+
+const GRID_SIZE = 20;
+
+// Handle name -> which edges it moves
+const HANDLES = {
+  n: { top: true },
+  s: { bottom: true },
+  e: { right: true },
+  w: { left: true },
+  ne: { top: true, right: true },
+  nw: { top: true, left: true },
+  se: { bottom: true, right: true },
+  sw: { bottom: true, left: true }
+};
+
+// Smallest size a widget can be resized to (grid units) - the type's minSize, or its default size
+export function getMinSize(type) {
+  return { ...(widgetRegistry[type]?.minSize || widgetRegistry[type]?.defaultSize || { width: 2, height: 2 }) };
+}
+
+export class ResizeManager {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.resizing = null; // { widget, edges, startX, startY, position, size, min, sizeLocked }
+
+    this.handleMove = this.handleMove.bind(this);
+    this.endResize = this.endResize.bind(this);
+  }
+
+  isResizing() {
+    return this.resizing !== null;
+  }
+
+  makeWidgetResizable(widget) {
+    const element = widget.element;
+
+    Object.keys(HANDLES).forEach(name => {
+      const handle = document.createElement('div');
+      handle.className = `widget-resize-handle ${name}`;
+      handle.setAttribute('data-no-drag', '');
+      element.appendChild(handle);
+
+      handle.addEventListener('mousedown', (e) => this.startResize(e, widget, name));
+      handle.addEventListener('touchstart', (e) => {
+        if (e.touches.length > 1 || this.canvas.isZooming) return;
+        this.startResize(e, widget, name);
+      }, { passive: false });
+    });
+  }
+
+  startResize(e, widget, handleName) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const coords = this.canvas.dragDropManager.getCanvasCoordinates(e);
+    // Auto-sized widgets can be smaller than the minimum - they don't jump up to it when grabbed
+    const min = getMinSize(widget.type);
+    this.resizing = {
+      widget,
+      edges: HANDLES[handleName],
+      startX: coords.canvasX,
+      startY: coords.canvasY,
+      position: { ...widget.position },
+      size: { width: widget.size.width, height: widget.size.height },
+      min: { width: Math.min(min.width, widget.size.width), height: Math.min(min.height, widget.size.height) },
+      sizeLocked: widget.sizeLocked
+    };
+
+    widget.element.classList.add('resizing');
+
+    document.addEventListener('mousemove', this.handleMove);
+    document.addEventListener('mouseup', this.endResize);
+    document.addEventListener('touchmove', this.handleMove, { passive: false });
+    document.addEventListener('touchend', this.endResize);
+  }
+
+  handleMove(e) {
+    if (!this.resizing) return;
+    e.preventDefault();
+
+    const { widget, edges, startX, startY, position, size, min } = this.resizing;
+    const coords = this.canvas.dragDropManager.getCanvasCoordinates(e);
+    const dx = Math.round((coords.canvasX - startX) / GRID_SIZE);
+    const dy = Math.round((coords.canvasY - startY) / GRID_SIZE);
+
+    let { x, y } = position;
+    let { width, height } = size;
+
+    if (edges.right) {
+      width = Math.max(min.width, size.width + dx);
+    }
+    if (edges.bottom) {
+      height = Math.max(min.height, size.height + dy);
+    }
+    // Left/top edges move the widget - keep the opposite edge in place and stay on the canvas
+    if (edges.left) {
+      const right = position.x + size.width;
+      x = Math.max(0, Math.min(position.x + dx, right - min.width));
+      width = right - x;
+    }
+    if (edges.top) {
+      const bottom = position.y + size.height;
+      y = Math.max(0, Math.min(position.y + dy, bottom - min.height));
+      height = bottom - y;
+    }
+
+    widget.setPosition({ x, y });
+    widget.setSize({ width, height });
+  }
+
+  endResize() {
+    if (!this.resizing) return;
+
+    const { widget, position, size, sizeLocked } = this.resizing;
+    this.resizing = null;
+
+    document.removeEventListener('mousemove', this.handleMove);
+    document.removeEventListener('mouseup', this.endResize);
+    document.removeEventListener('touchmove', this.handleMove);
+    document.removeEventListener('touchend', this.endResize);
+
+    widget.element.classList.remove('resizing');
+
+    const changed = widget.size.width !== size.width || widget.size.height !== size.height ||
+      widget.position.x !== position.x || widget.position.y !== position.y;
+    if (!changed) return;
+
+    widget.setSizeLocked(true);
+    widget.savePosition();
+    widget.saveSize();
+    undoManager.record({
+      type: 'resize',
+      label: 'Resize widget',
+      widgetId: widget.id,
+      before: { position, size, sizeLocked },
+      after: { position: { ...widget.position }, size: { ...widget.size }, sizeLocked: true }
+    });
+
+    this.canvas.updateCanvasToFitWidgets();
+  }
+}
@@ -0,0 +1,134 @@
+// Label-based metric selectors - `order_latency{exchange="kraken", side=~"buy|sell"}` picks every
+// telemetry series of that name whose labels match, so widgets keep working when label values change.
+// Matchers: = (equal), != (not equal), =~ (regex), !~ (not regex). Regexes must match the whole value,
+// and a missing label counts as an empty value. The metric name is optional: `{exchange="kraken"}`.
+
+const NAME_PATTERN = /^[A-Za-z_:][\w:.-]*/;
+const LABEL_PATTERN = /^[A-Za-z_][\w.-]*/;
+const OPERATORS = ['=~', '!~', '!=', '='];
+
+// Parse a selector expression into { name, matchers: [{ label, op, value, regex }] } - throws on
+// malformed input with a message pointing at the problem
+export function parseSelector(expression) {
+  const text = String(expression ?? '').trim();
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const fail = (message) => {
+    throw new Error(`${message} at position ${pos + 1}`);
+  };
+  // Single- or double-quoted string with backslash escapes
+  const readQuoted = () => {
+    const quote = text[pos];
+    if (quote !== '"' && quote !== "'") fail('Expected a quoted value');
+    pos++;
+
+    let value = '';
+    while (text[pos] !== quote) {
+      if (pos >= text.length) fail('Unterminated string');
+      if (text[pos] === '\\' && pos + 1 < text.length) pos++;
+      value += text[pos++];
+    }
+    pos++;
+    return value;
+  };
+
+  const nameMatch = text.match(NAME_PATTERN);
+  const name = nameMatch ? nameMatch[0] : null;
+  pos = name ? name.length : 0;
+  skipSpaces();
+
+  const matchers = [];
+  if (text[pos] === '{') {
+    pos++;
+    skipSpaces();
+
+    while (text[pos] !== '}') {
+      if (pos >= text.length) fail('Missing closing "}"');
+
+      const labelMatch = text.slice(pos).match(LABEL_PATTERN);
+      if (!labelMatch) fail('Expected a label name');
+      const label = labelMatch[0];
+      pos += label.length;
+      skipSpaces();
+
+      const op = OPERATORS.find(candidate => text.startsWith(candidate, pos));
+      if (!op) fail(`Expected =, !=, =~ or !~ after "${label}"`);
+      pos += op.length;
+      skipSpaces();
+
+      const value = readQuoted();
+      matchers.push(createMatcher(label, op, value));
+      skipSpaces();
+
+      if (text[pos] === ',') {
+        pos++;
+        skipSpaces();
+      } else if (text[pos] !== '}') {
+        fail('Expected "," or "}"');
+      }
+    }
+    pos++;
+    skipSpaces();
+  }
+
+  if (pos < text.length) fail(`Unexpected "${text[pos]}"`);
+  if (!name && matchers.length === 0) throw new Error('Selector needs a metric name or at least one label matcher');
+
+  return { name, matchers };
+}
+
+function createMatcher(label, op, value) {
+  const matcher = { label, op, value, regex: null };
+  if (op === '=~' || op === '!~') {
+    try {
+      matcher.regex = new RegExp(`^(?:${value})$`);
+    } catch (error) {
+      throw new Error(`Invalid regex for "${label}": ${error.message}`);
+    }
+  }
+  return matcher;
+}
+
+// Whether search text is meant as a selector rather than plain words - it has a label block
+// and parses
+export function isSelector(text) {
+  if (!/\{.*\}\s*$/s.test(String(text ?? ''))) return false;
+  try {
+    parseSelector(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether a metric ({ name, labels }) matches a parsed selector
+export function matchesSelector(selector, metric) {
+  if (selector.name && metric.name !== selector.name) return false;
+
+  return selector.matchers.every(({ label, op, value, regex }) => {
+    const actual = label === '__name__' ? metric.name : metric.labels?.[label];
+    const text = actual === undefined || actual === null ? '' : String(actual);
+
+    switch (op) {
+      case '=': return text === value;
+      case '!=': return text !== value;
+      case '=~': return regex.test(text);
+      case '!~': return !regex.test(text);
+      default: return false;
+    }
+  });
+}
+
+// Series of one node's telemetry (key -> metric) matching a selector, sorted by key so their
+// order doesn't change between updates. `selector` is an expression or a parsed selector.
+export function selectMetrics(selector, nodeTelemetry) {
+  const parsed = typeof selector === 'string' ? parseSelector(selector) : selector;
+
+  return Object.keys(nodeTelemetry || {})
+    .sort()
+    .map(key => nodeTelemetry[key])
+    .filter(metric => metric && matchesSelector(parsed, metric));
+}
@@ -1,17 +1,188 @@
 // localStorage configuration management for widget persistence
 
+import { widgetRegistry } from '../data/state.js';
+import {
+  CONFIG_VERSION, DEFAULT_DASHBOARD_ID, createDashboardConfig, migrateConfig, migrateWidget, isOutdated, validateWidgetConfig
+} from './config-schema.js';
+
 const STORAGE_KEY = 'diodashboard_config';
+const HISTORY_KEY = 'diodashboard_history';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const generateWidgetId = (type) => `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Validate one widget entry of an imported layout against the widget registry.
+// Returns { widget, errors, warnings } - widget is null when the entry can't be used.
+// `knownSources` lists the connection profile ids configured here; entries written by an older
+// `version` are migrated first (see config-schema.js).
+export function validateWidgetEntry(entry, index, knownSources = [], version = CONFIG_VERSION) {
+  const label = `Widget ${index + 1}${isPlainObject(entry) && entry.type ? ` (${entry.type})` : ''}`;
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(entry)) {
+    return { widget: null, errors: [`${label}: not an object`], warnings };
+  }
+
+  const registryEntry = widgetRegistry[entry.type];
+  if (!registryEntry) {
+    return { widget: null, errors: [`${label}: unknown widget type "${entry.type}"`], warnings };
+  }
+
+  if (entry.config !== undefined && !isPlainObject(entry.config)) {
+    return { widget: null, errors: [`${label}: config must be an object`], warnings };
+  }
+
+  if (isOutdated(version)) {
+    try {
+      entry = migrateWidget(entry, version);
+    } catch (error) {
+      return { widget: null, errors: [`${label}: could not migrate from version ${version} (${error.message})`], warnings };
+    }
+  }
+  const config = { ...(entry.config || {}) };
+
+  let id = typeof entry.id === 'string' && entry.id.trim() ? entry.id : null;
+  if (!id) {
+    id = generateWidgetId(entry.type);
+    warnings.push(`${label}: missing id, generated one`);
+  }
+
+  const x = Number(entry.position?.x);
+  const y = Number(entry.position?.y);
+  let position = { x: Math.max(0, Math.round(x)), y: Math.max(0, Math.round(y)) };
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    position = { x: 0, y: 0 };
+    warnings.push(`${label}: missing or invalid position, placed at the top left`);
+  }
+
+  const width = Number(entry.size?.width);
+  const height = Number(entry.size?.height);
+  let size = { width: Math.round(width), height: Math.round(height) };
+  if (!(width > 0) || !(height > 0) || !Number.isFinite(width) || !Number.isFinite(height)) {
+    size = { ...registryEntry.defaultSize };
+    warnings.push(`${label}: missing or invalid size, using the default`);
+  }
+
+  if (typeof config.source === 'string' && config.source && !knownSources.includes(config.source)) {
+    warnings.push(`${label}: node "${config.source}" is not configured here`);
+  }
+
+  validateWidgetConfig(entry.type, config).forEach(problem => errors.push(`${label}: ${problem}`));
+
+  const target = registryEntry.configSchema?.target;
+  if (target && !config[target]) {
+    warnings.push(`${label}: no ${target} set, will show the first available metric`);
+  }
+
+  if (errors.length > 0) {
+    return { widget: null, errors, warnings };
+  }
+  const widget = { id, type: entry.type, position, size, config };
+  if (typeof entry.zIndex === 'number' && Number.isFinite(entry.zIndex)) {
+    widget.zIndex = Math.round(entry.zIndex);
+  }
+  if (entry.sizeLocked === true) {
+    widget.sizeLocked = true;
+  }
+
+  // Containers hold their children nested - invalid children are dropped, the container is kept
+  if (registryEntry.subtype === 'container') {
+    widget.children = [];
+    (Array.isArray(entry.children) ? entry.children : []).forEach((child, childIndex) => {
+      if (widgetRegistry[child?.type]?.subtype === 'container') {
+        warnings.push(`${label}: containers can't be nested, child ${childIndex + 1} skipped`);
+        return;
+      }
+      const result = validateWidgetEntry(child, childIndex, knownSources, version);
+      errors.push(...result.errors.map(error => `${label} › ${error}`));
+      warnings.push(...result.warnings.map(warning => `${label} › ${warning}`));
+      if (result.widget) widget.children.push(result.widget);
+    });
+  }
+  return { widget, errors, warnings };
+}
+
+// Validate a whole layout ({ version, widgets, alerts? }). Invalid widget entries are dropped and
+// reported; `errors` only blocks the import when the layout itself is unusable (see `valid`).
+export function validateLayout(layout, knownSources = []) {
+  if (!isPlainObject(layout)) {
+    return { valid: false, widgets: [], alertRules: [], errors: ['Layout must be a JSON object'], warnings: [] };
+  }
+  if (!layout.version) {
+    return { valid: false, widgets: [], alertRules: [], errors: ['Missing "version"'], warnings: [] };
+  }
+  if (!Array.isArray(layout.widgets)) {
+    return { valid: false, widgets: [], alertRules: [], errors: ['"widgets" must be an array'], warnings: [] };
+  }
+
+  const widgets = [];
+  const errors = [];
+  const warnings = [];
+  const seenIds = new Set();
+
+  layout.widgets.forEach((entry, index) => {
+    const result = validateWidgetEntry(entry, index, knownSources, layout.version);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    if (!result.widget) return;
+
+    [result.widget, ...(result.widget.children || [])].forEach(widget => {
+      if (seenIds.has(widget.id)) {
+        widget.id = generateWidgetId(widget.type);
+        warnings.push(`Widget ${index + 1} (${widget.type}): duplicate id, generated a new one`);
+      }
+      seenIds.add(widget.id);
+    });
+    widgets.push(result.widget);
+  });
+
+  const rules = layout.alerts?.rules;
+  const alertRules = Array.isArray(rules) ? rules.filter(isPlainObject) : [];
+  if (rules !== undefined && !Array.isArray(rules)) {
+    warnings.push('"alerts.rules" is not an array, alert rules ignored');
+  }
+
+  return { valid: true, widgets, alertRules, errors, warnings };
+}
+
+// Helpers for widget lists where containers hold nested `children`
+function flattenWidgets(widgets) {
+  return widgets.flatMap(widget => [widget, ...(Array.isArray(widget.children) ? widget.children : [])]);
+}
+
+function mapWidgets(widgets, fn) {
+  return widgets.map(widget => {
+    const mapped = fn(widget);
+    return Array.isArray(mapped.children) ? { ...mapped, children: mapped.children.map(fn) } : mapped;
+  });
+}
+
+function filterWidgets(widgets, fn) {
+  return widgets.filter(fn).map(widget =>
+    Array.isArray(widget.children) ? { ...widget, children: widget.children.filter(fn) } : widget);
+}
 
 export class StorageManager {
   constructor() {
     this.config = this.loadConfig();
   }
 
+  // Load the stored config, upgrading it to the current schema version (see config-schema.js)
   loadConfig() {
     try {
       const stored = localStorage.getItem(STORAGE_KEY);
       if (stored) {
-        return JSON.parse(stored);
+        const parsed = JSON.parse(stored);
+        const { config, quarantined } = migrateConfig(parsed);
+
+        quarantined.forEach(({ widget, reason }) => {
+          console.warn(`Quarantined widget ${widget?.id || '(no id)'} (${widget?.type || 'unknown type'}): ${reason}`);
+        });
+        if (config.version !== parsed.version) {
+          localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+        }
+        return config;
       }
     } catch (error) {
       console.error('Error loading dashboard configuration:', error);
@@ -19,8 +190,9 @@ export class StorageManager {
 
     // Default configuration
     return {
-      version: '1.0',
-      widgets: []
+      version: CONFIG_VERSION,
+      dashboards: [createDashboardConfig('Main', DEFAULT_DASHBOARD_ID)],
+      activeDashboardId: DEFAULT_DASHBOARD_ID
     };
   }
 
@@ -33,55 +205,304 @@ export class StorageManager {
     }
   }
 
+  // Dashboards - each holds its own widget layout; widget methods below work on the active one
+
+  getDashboards() {
+    return [...this.config.dashboards];
+  }
+
+  getDashboard(dashboardId) {
+    return this.config.dashboards.find(d => d.id === dashboardId) || null;
+  }
+
+  getActiveDashboard() {
+    return this.getDashboard(this.config.activeDashboardId) || this.config.dashboards[0];
+  }
+
+  setActiveDashboard(dashboardId) {
+    if (!this.getDashboard(dashboardId)) return false;
+    this.saveConfig({ ...this.config, activeDashboardId: dashboardId });
+    return true;
+  }
+
+  createDashboard(name) {
+    const dashboard = createDashboardConfig(name || `Dashboard ${this.config.dashboards.length + 1}`);
+    this.saveConfig({ ...this.config, dashboards: [...this.config.dashboards, dashboard] });
+    return dashboard;
+  }
+
+  renameDashboard(dashboardId, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return;
+    this.saveDashboard(dashboardId, { name: trimmed });
+  }
+
+  // Copy a dashboard with fresh widget ids, inserted after the original
+  duplicateDashboard(dashboardId) {
+    const original = this.getDashboard(dashboardId);
+    if (!original) return null;
+
+    const copy = createDashboardConfig(`${original.name} copy`, null,
+      mapWidgets(JSON.parse(JSON.stringify(original.widgets)), widget => ({ ...widget, id: generateWidgetId(widget.type) })));
+    const dashboards = [...this.config.dashboards];
+    dashboards.splice(dashboards.indexOf(original) + 1, 0, copy);
+    this.saveConfig({ ...this.config, dashboards });
+    return copy;
+  }
+
+  // The last dashboard can't be deleted; deleting the active one activates its neighbour
+  deleteDashboard(dashboardId) {
+    const index = this.config.dashboards.findIndex(d => d.id === dashboardId);
+    if (index === -1 || this.config.dashboards.length <= 1) return false;
+
+    const dashboards = this.config.dashboards.filter(d => d.id !== dashboardId);
+    const activeDashboardId = this.config.activeDashboardId === dashboardId ?
+      dashboards[Math.min(index, dashboards.length - 1)].id :
+      this.config.activeDashboardId;
+    this.saveConfig({ ...this.config, dashboards, activeDashboardId });
+    return true;
+  }
+
+  saveDashboard(dashboardId, updates) {
+    this.saveConfig({
+      ...this.config,
+      dashboards: this.config.dashboards.map(d => d.id === dashboardId ? { ...d, ...updates } : d)
+    });
+  }
+
+  // Replace the active dashboard's widget list
+  saveWidgets(widgets) {
+    this.saveDashboard(this.getActiveDashboard().id, { widgets });
+  }
+
   addWidget(widgetConfig) {
-    const config = { ...this.config };
-    config.widgets.push(widgetConfig);
-    this.saveConfig(config);
+    this.saveWidgets([...this.getWidgets(), widgetConfig]);
   }
 
+  // Widget methods below also find the children of containers, which are stored nested in the
+  // container's `children` list (with canvas positions like any other widget)
+
   updateWidget(widgetId, updates) {
-    const config = { ...this.config };
-    const widgetIndex = config.widgets.findIndex(w => w.id === widgetId);
-    if (widgetIndex !== -1) {
-      config.widgets[widgetIndex] = { ...config.widgets[widgetIndex], ...updates };
-      this.saveConfig(config);
-    }
+    if (!this.getWidgetById(widgetId)) return;
+    this.saveWidgets(mapWidgets(this.getWidgets(), widget => widget.id === widgetId ? { ...widget, ...updates } : widget));
   }
 
   removeWidget(widgetId) {
-    const config = { ...this.config };
-    config.widgets = config.widgets.filter(w => w.id !== widgetId);
-    this.saveConfig(config);
+    this.saveWidgets(filterWidgets(this.getWidgets(), widget => widget.id !== widgetId));
   }
 
   getWidgets() {
-    return this.config.widgets || [];
+    return this.getActiveDashboard().widgets || [];
   }
 
   getWidgetById(widgetId) {
-    return this.config.widgets.find(w => w.id === widgetId);
+    return flattenWidgets(this.getWidgets()).find(w => w.id === widgetId);
+  }
+
+  // Where a widget is stored - { parentId, index }, parentId is null for top-level widgets
+  getWidgetLocation(widgetId) {
+    const index = this.getWidgets().findIndex(w => w.id === widgetId);
+    if (index !== -1) return { parentId: null, index };
+
+    for (const container of this.getWidgets()) {
+      const childIndex = (container.children || []).findIndex(w => w.id === widgetId);
+      if (childIndex !== -1) return { parentId: container.id, index: childIndex };
+    }
+    return null;
   }
 
+  // Insert a widget at `index` of the top level or of a container's children
+  insertWidget(widgetConfig, index, parentId = null) {
+    const insert = (list) => {
+      const updated = [...list];
+      updated.splice(Math.min(Math.max(0, index), updated.length), 0, widgetConfig);
+      return updated;
+    };
+
+    if (parentId && this.getWidgets().some(w => w.id === parentId)) {
+      this.saveWidgets(this.getWidgets().map(w => w.id === parentId ? { ...w, children: insert(w.children || []) } : w));
+    } else {
+      this.saveWidgets(insert(this.getWidgets()));
+    }
+  }
+
+  // Move a widget's entry into a container (appended to its children), or to the top level
+  moveWidgetToContainer(widgetId, containerId) {
+    const entry = this.getWidgetById(widgetId);
+    if (!entry) return;
+
+    this.removeWidget(widgetId);
+    const parentId = containerId && this.getWidgetById(containerId) ? containerId : null;
+    const siblings = parentId ? this.getWidgetById(parentId).children || [] : this.getWidgets();
+    this.insertWidget(entry, siblings.length, parentId);
+  }
+
+  // Only the active dashboard's layout is cleared - other dashboards, connection profiles,
+  // alert rules and notification settings are kept
   clearAll() {
-    this.saveConfig({ version: '1.0', widgets: [] });
+    this.saveWidgets([]);
+  }
+
+  getConnectionSettings() {
+    return this.config.connection || {};
+  }
+
+  saveConnectionSettings(settings) {
+    this.saveConfig({ ...this.config, connection: settings });
+  }
+
+  getAlertRules() {
+    return Array.isArray(this.config.alerts?.rules) ? this.config.alerts.rules : [];
+  }
+
+  saveAlertRules(rules) {
+    this.saveConfig({ ...this.config, alerts: { ...this.config.alerts, rules } });
+  }
+
+  // Canvas layout behaviour, e.g. { pushOnDrag }
+  getLayoutSettings() {
+    return this.config.layout || {};
+  }
+
+  saveLayoutSettings(settings) {
+    this.saveConfig({ ...this.config, layout: settings });
+  }
+
+  getNotificationSettings() {
+    return this.config.notifications || {};
+  }
+
+  saveNotificationSettings(settings) {
+    this.saveConfig({ ...this.config, notifications: settings });
+  }
+
+  // Undo/redo stacks per dashboard (see utils/undo-manager.js) - kept under their own key so
+  // config exports and imports don't carry them
+  getUndoHistory() {
+    try {
+      const stored = localStorage.getItem(HISTORY_KEY);
+      const history = stored ? JSON.parse(stored) : {};
+      return isPlainObject(history) ? history : {};
+    } catch (error) {
+      console.error('Error loading undo history:', error);
+      return {};
+    }
+  }
+
+  saveUndoHistory(history) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+      console.error('Error saving undo history:', error);
+    }
   }
 
   exportConfig() {
     return JSON.stringify(this.config, null, 2);
   }
 
+  // Import a full configuration (all dashboards) - it is migrated like a stored config and
+  // invalid widget entries are dropped
   importConfig(jsonString) {
     try {
-      const config = JSON.parse(jsonString);
-      if (config.version && Array.isArray(config.widgets)) {
-        this.saveConfig(config);
-        return true;
+      const parsed = JSON.parse(jsonString);
+      if (!parsed.version) {
+        console.error('Invalid configuration: missing "version"');
+        return false;
       }
+
+      const { config, quarantined } = migrateConfig(parsed);
+      quarantined.forEach(({ widget, reason }) => console.warn(`Quarantined on import (${widget?.type || 'unknown type'}): ${reason}`));
+
+      const dashboards = config.dashboards.map(dashboard => {
+        const result = validateLayout({ version: config.version, widgets: dashboard.widgets }, this.getKnownSources());
+        result.errors.forEach(error => console.warn(`Skipped on import (${dashboard.name}): ${error}`));
+        return { ...createDashboardConfig(dashboard.name, dashboard.id), widgets: result.widgets };
+      });
+      this.saveConfig({ ...config, dashboards });
+      return true;
     } catch (error) {
       console.error('Error importing configuration:', error);
     }
     return false;
   }
+
+  // Widgets a migration couldn't upgrade - kept with their dashboard id, version and reason
+  getQuarantinedWidgets() {
+    return Array.isArray(this.config.quarantine) ? [...this.config.quarantine] : [];
+  }
+
+  clearQuarantine() {
+    const { quarantine, ...config } = this.config;
+    this.saveConfig(config);
+  }
+
+  discardQuarantinedWidget(index) {
+    const quarantine = this.getQuarantinedWidgets().filter((entry, i) => i !== index);
+    if (quarantine.length === 0) {
+      this.clearQuarantine();
+    } else {
+      this.saveConfig({ ...this.config, quarantine });
+    }
+  }
+
+  // Retry a quarantined widget (e.g. once an update added its type) and merge it into the active
+  // dashboard. Returns the problems when it still can't be loaded - it then stays in quarantine.
+  restoreQuarantinedWidget(index) {
+    const entry = this.getQuarantinedWidgets()[index];
+    if (!entry) return ['Not in quarantine'];
+
+    const result = validateWidgetEntry(entry.widget, index, this.getKnownSources(), entry.version || CONFIG_VERSION);
+    if (!result.widget) return result.errors;
+
+    this.discardQuarantinedWidget(index);
+    this.importLayout([result.widget], 'merge');
+    return [];
+  }
+
+  // Connection profile ids configured in this browser
+  getKnownSources() {
+    const profiles = this.config.connection?.profiles;
+    return Array.isArray(profiles) ? profiles.map(profile => profile.id) : [];
+  }
+
+  // Shareable layout of the active dashboard - widgets and alert rules, without connection
+  // profiles (they hold auth tokens)
+  exportLayout() {
+    return JSON.stringify({
+      version: CONFIG_VERSION,
+      exportedAt: new Date().toISOString(),
+      dashboard: this.getActiveDashboard().name,
+      widgets: this.getWidgets(),
+      alerts: { rules: this.getAlertRules() }
+    }, null, 2);
+  }
+
+  // Apply validated widgets (see validateLayout) to the active dashboard. 'replace' swaps the
+  // layout; 'merge' appends them below the current widgets with fresh ids where they clash.
+  importLayout(widgets, mode = 'merge') {
+    if (mode === 'replace') {
+      this.saveWidgets(widgets.map(widget => ({ ...widget })));
+      return;
+    }
+
+    const current = this.getWidgets();
+    const existingIds = new Set(flattenWidgets(current).map(widget => widget.id));
+    const offsetY = current.reduce((bottom, widget) =>
+      Math.max(bottom, (widget.position?.y || 0) + (widget.size?.height || 0)), 0);
+    const minY = widgets.reduce((top, widget) => Math.min(top, widget.position.y), Infinity);
+
+    // Container children move along with their container
+    const merged = mapWidgets(widgets, widget => ({
+      ...widget,
+      id: existingIds.has(widget.id) ? generateWidgetId(widget.type) : widget.id,
+      position: current.length > 0 ?
+        { x: widget.position.x, y: widget.position.y - minY + offsetY + 1 } :
+        { ...widget.position }
+    }));
+
+    this.saveWidgets([...current, ...merged]);
+  }
 }
 
 // Singleton instance
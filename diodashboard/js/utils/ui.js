@@ -1,6 +1,23 @@
 // UI utility functions for managing sections and subsections
 
 import { sectionState } from '../data/state.js';
+import { notifier } from './notifier.js';
+import { connectionProfiles } from './connection-profiles.js';
+
+// Last reported status of every stream of every node - source -> streamName -> { status, message }
+const streamStatuses = {};
+
+// Worst first - a stream badge shows the worst status among its nodes
+const STATUS_ORDER = ['error', 'disconnected', 'connecting', 'connected'];
+
+export function getStreamStatus(source, streamName) {
+  return streamStatuses[source]?.[streamName] || { status: 'disconnected', message: '' };
+}
+
+// Forget a node's statuses once it is disconnected for good
+export function clearStreamStatuses(source) {
+  delete streamStatuses[source];
+}
 
 export function toggleSection(streamName) {
   const content = document.getElementById(`content-${streamName}`);
@@ -135,17 +152,53 @@ export function createStreamSection(streamName) {
   }
 }
 
-export function updateStatus(streamName, status, message = '') {
+export function updateStatus(streamName, status, message = '', source = null) {
+  try {
+    // Streams that stay disconnected raise a notification
+    notifier.handleStreamStatus(streamName, status, source);
+
+    const nodeId = source || connectionProfiles.getActiveProfile().id;
+    if (!streamStatuses[nodeId]) streamStatuses[nodeId] = {};
+    streamStatuses[nodeId][streamName] = { status, message };
+
+    renderStreamStatus(streamName);
+  } catch (error) {
+    console.error(`updateStatus: Error updating status for stream ${streamName}:`, error);
+  }
+}
+
+// Stream badge - one node's status, or with several nodes the worst one and how many are connected
+// (each node's status is listed in the tooltip)
+export function renderStreamStatus(streamName) {
   try {
     const statusEl = document.getElementById(`status-${streamName}`);
     if (!statusEl) {
       return;
     }
 
+    const nodes = Object.keys(streamStatuses)
+      .filter(nodeId => streamStatuses[nodeId][streamName])
+      .map(nodeId => ({ nodeId, ...streamStatuses[nodeId][streamName] }));
+    if (nodes.length === 0) {
+      nodes.push({ nodeId: null, status: 'disconnected', message: '' });
+    }
+
+    const worst = nodes.reduce((a, b) => (STATUS_ORDER.indexOf(b.status) < STATUS_ORDER.indexOf(a.status) ? b : a));
+    const status = worst.status;
+    const describe = ({ status: nodeStatus, message }) => message || nodeStatus.charAt(0).toUpperCase() + nodeStatus.slice(1);
+
     // Remove existing status classes and add new ones
     statusEl.className = 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium';
 
-    let statusText = message || status.charAt(0).toUpperCase() + status.slice(1);
+    let statusText = describe(worst);
+    if (nodes.length > 1) {
+      const connected = nodes.filter(node => node.status === 'connected').length;
+      statusText = connected === nodes.length ? `Connected (${connected} nodes)` : `${statusText} (${connected}/${nodes.length} connected)`;
+    }
+    statusEl.title = nodes
+      .filter(node => node.nodeId)
+      .map(node => `${connectionProfiles.getSourceName(node.nodeId)}: ${describe(node)}`)
+      .join('\n');
 
     switch (status) {
       case 'connecting':
@@ -165,7 +218,47 @@ export function updateStatus(streamName, status, message = '') {
 
     statusEl.textContent = statusText;
   } catch (error) {
-    console.error(`updateStatus: Error updating status for stream ${streamName}:`, error);
+    console.error(`renderStreamStatus: Error rendering status for stream ${streamName}:`, error);
+  }
+}
+
+
+// Offer text as a file download
+export function downloadTextFile(filename, text, mimeType = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Copy text to the clipboard - falls back to execCommand where the async API is unavailable
+export async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  if (!copied) {
+    throw new Error('Clipboard not available');
   }
 }
 
+// Read text from the clipboard (needs permission and a secure context)
+export async function readClipboardText() {
+  if (!navigator.clipboard?.readText) {
+    throw new Error('Reading the clipboard is not supported by this browser');
+  }
+  return navigator.clipboard.readText();
+}
@@ -0,0 +1,218 @@
+// Undo/redo for layout operations - add, remove, move, resize, z-order, config edits and
+// whole-layout changes (clear all, imports) are recorded as commands holding plain data, so the
+// last `undoConfig.maxSteps` steps of each dashboard survive a reload.
+//
+// Command shapes:
+//   { type: 'add' | 'remove', label, entries: [{ index, parentId, widget }] }   widget = stored widget config
+//   { type: 'reparent', label, widgetId, before, after }   container id (null = top level)
+//   { type: 'move' | 'zorder' | 'config', label, widgetId, before, after }
+//   { type: 'resize', label, widgetId, before: { position, size, sizeLocked }, after }
+//   { type: 'arrange', label, moves: [{ widgetId, before, after }] }   positions of several widgets
+//   { type: 'layout', label, before: [widgets], after: [widgets] }
+//   { type: 'group', label, commands: [commands] }   several commands undone as one step
+
+import { undoConfig } from '../data/state.js';
+import { storageManager } from './storage.js';
+
+// Stored widget fields each single-widget command changes, from its before/after value
+const WIDGET_UPDATES = {
+  move: (position) => ({ position }),
+  resize: ({ position, size, sizeLocked }) => ({ position, size, sizeLocked }),
+  zorder: (zIndex) => ({ zIndex }),
+  config: (config) => ({ config })
+};
+
+const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+export class UndoManager {
+  constructor() {
+    this.canvas = null;
+    this.history = storageManager.getUndoHistory(); // dashboard id -> { undo: [], redo: [] }
+    this.applying = false; // Changes made while undoing/redoing aren't recorded
+    this.queue = Promise.resolve();
+  }
+
+  setCanvas(canvas) {
+    this.canvas = canvas;
+  }
+
+  // Stacks of the active dashboard
+  getStacks() {
+    const dashboardId = storageManager.getActiveDashboard().id;
+    if (!this.history[dashboardId]) {
+      this.history[dashboardId] = { undo: [], redo: [] };
+    }
+    return this.history[dashboardId];
+  }
+
+  canUndo() {
+    return this.getStacks().undo.length > 0;
+  }
+
+  canRedo() {
+    return this.getStacks().redo.length > 0;
+  }
+
+  record(command) {
+    if (this.applying) return;
+
+    const stacks = this.getStacks();
+    stacks.undo.push(copy({ ...command, at: Date.now() }));
+    if (stacks.undo.length > undoConfig.maxSteps) {
+      stacks.undo.splice(0, stacks.undo.length - undoConfig.maxSteps);
+    }
+    stacks.redo = [];
+    this.save();
+  }
+
+  // Convenience for single-widget changes - skipped when nothing changed
+  recordWidgetChange(type, widgetId, before, after, label) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    this.record({ type, label, widgetId, before, after });
+  }
+
+  undo() {
+    return this.step('undo', 'redo');
+  }
+
+  redo() {
+    return this.step('redo', 'undo');
+  }
+
+  // Apply the top command of one stack and move it onto the other. A command that fails stays
+  // where it was, so the rest of the history is kept. Steps are queued so holding Ctrl+Z doesn't
+  // interleave widget re-creation.
+  step(from, to) {
+    this.queue = this.queue.then(async () => {
+      const stacks = this.getStacks();
+      const command = stacks[from][stacks[from].length - 1];
+      if (!command) return null;
+
+      this.applying = true;
+      try {
+        await this.apply(command, from === 'undo');
+        stacks[from].pop();
+        stacks[to].push(command);
+        return command;
+      } catch (error) {
+        console.error(`Error applying ${from} of "${command.label}":`, error);
+        return null;
+      } finally {
+        this.applying = false;
+        this.save();
+      }
+    });
+    return this.queue;
+  }
+
+  async apply(command, reverse) {
+    switch (command.type) {
+      case 'add':
+        return reverse ? this.removeEntries(command.entries) : this.addEntries(command.entries);
+      case 'remove':
+        return reverse ? this.addEntries(command.entries) : this.removeEntries(command.entries);
+      case 'layout':
+        return this.restoreLayout(reverse ? command.before : command.after);
+      case 'group':
+        for (const part of reverse ? [...command.commands].reverse() : command.commands) {
+          await this.apply(part, reverse);
+        }
+        return;
+      case 'reparent':
+        return this.setParent(command.widgetId, reverse ? command.before : command.after);
+      case 'arrange':
+        for (const move of command.moves) {
+          await this.updateWidget(move.widgetId, { position: reverse ? move.before : move.after });
+        }
+        return;
+      default:
+        if (!WIDGET_UPDATES[command.type]) throw new Error(`Unknown command type "${command.type}"`);
+        return this.updateWidget(command.widgetId, WIDGET_UPDATES[command.type](reverse ? command.before : command.after));
+    }
+  }
+
+  async addEntries(entries) {
+    [...entries].sort((a, b) => a.index - b.index).forEach(({ index, parentId, widget }) => {
+      if (storageManager.getWidgetById(widget.id)) return;
+      storageManager.insertWidget(copy(widget), index, parentId);
+    });
+
+    for (const { widget } of entries) {
+      await this.createWidget(storageManager.getWidgetById(widget.id));
+    }
+  }
+
+  removeEntries(entries) {
+    const ids = new Set(entries.map(entry => entry.widget.id));
+    ids.forEach(id => storageManager.removeWidget(id));
+
+    ids.forEach(id => {
+      const widget = this.canvas?.getWidget(id);
+      if (widget) this.canvas.detachWidget(widget);
+    });
+    this.canvas?.updateCanvasToFitWidgets();
+  }
+
+  // Whole-layout changes rebuild the canvas through main.js
+  restoreLayout(widgets) {
+    storageManager.saveWidgets(copy(widgets));
+    document.dispatchEvent(new CustomEvent('layoutRestored'));
+  }
+
+  async updateWidget(widgetId, updates) {
+    if (!storageManager.getWidgetById(widgetId)) return;
+    storageManager.updateWidget(widgetId, copy(updates));
+
+    const widget = this.canvas?.getWidget(widgetId);
+    if (!widget) return;
+
+    // Widgets read their config once - recreate it with the restored one
+    if ('config' in updates) {
+      await this.canvas.reloadWidget(widgetId);
+      return;
+    }
+
+    if ('zIndex' in updates) {
+      widget.setZIndex(updates.zIndex);
+    }
+    if ('position' in updates) {
+      widget.setPosition(updates.position);
+    }
+    if ('sizeLocked' in updates) {
+      if (updates.sizeLocked) {
+        widget.setSizeLocked(true);
+        widget.setSize(updates.size);
+      } else {
+        widget.fitToContent();
+      }
+    } else if ('size' in updates) {
+      widget.setSize(updates.size);
+    }
+    this.canvas.updateCanvasToFitWidgets();
+  }
+
+  setParent(widgetId, parentId) {
+    storageManager.moveWidgetToContainer(widgetId, parentId);
+
+    const widget = this.canvas?.getWidget(widgetId);
+    if (widget) this.canvas.setWidgetParent(widget, parentId);
+  }
+
+  async createWidget(config) {
+    if (!config || !this.canvas) return;
+    const { AutoLayout } = await import('./auto-layout.js');
+    await new AutoLayout(this.canvas).createAndPlaceWidget(config, true);
+  }
+
+  // Persist the stacks, dropping those of deleted dashboards
+  save() {
+    const dashboardIds = new Set(storageManager.getDashboards().map(dashboard => dashboard.id));
+    Object.keys(this.history).forEach(dashboardId => {
+      if (!dashboardIds.has(dashboardId)) delete this.history[dashboardId];
+    });
+    storageManager.saveUndoHistory(this.history);
+  }
+}
+
+// Singleton instance
+export const undoManager = new UndoManager();
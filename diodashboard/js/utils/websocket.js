@@ -1,7 +1,12 @@
 // WebSocket connection management
+// One socket per stream per source (connection profile id), so several nodes can stream at once
 
-import { protocol, hostname, port, connections, widgets } from '../data/state.js';
-import { updateStatus } from './ui.js';
+import { connections, streams, getNodeData, readNodeData } from '../data/state.js';
+import { connectionProfiles } from './connection-profiles.js';
+import { connectionManager } from './connection-manager.js';
+import { metricHistory } from '../data/history.js';
+import { alertEngine } from './alerts.js';
+import { updateStatus, clearStreamStatuses, renderStreamStatus } from './ui.js';
 import { parseTelemetryMessage } from '../views/telemetry.js';
 import { parseBalanceMessage } from '../views/balance.js';
 import { parseSystemMessage } from '../views/system.js';
@@ -28,11 +33,15 @@ export function unsubscribeFromStream(streamName, callback) {
   }
 }
 
-function notifyWidgets(streamName, data) {
+// Callbacks receive (data, source) - widgets ignore updates from nodes they don't show.
+// Alert rules for the stream are evaluated first so widgets render with current alert states.
+function notifyWidgets(streamName, data, source) {
+  alertEngine.evaluate(streamName, source);
+
   if (widgetSubscribers[streamName]) {
     widgetSubscribers[streamName].forEach(callback => {
       try {
-        callback(data);
+        callback(data, source);
       } catch (error) {
         console.error(`Error in widget callback for ${streamName}:`, error);
       }
@@ -40,15 +49,38 @@ function notifyWidgets(streamName, data) {
   }
 }
 
-export function connectStream(streamName) {
+// Let telemetry widgets know about values derived in the browser (see utils/log-metrics.js)
+export function notifyTelemetryUpdate(source) {
+  notifyWidgets('telemetry', { type: 'update', data: readNodeData(telemetryData, source) }, source);
+}
+
+// Notify widgets of the current cached data for one source (without creating empty node stores)
+function notifyStructuredStreams(source) {
+  notifyWidgets('telemetry', { type: 'update', data: telemetryData[source] || {} }, source);
+  notifyWidgets('balance', { type: 'update', data: { balances: balanceData[source] || {}, orders: openOrdersData[source] || [] } }, source);
+  notifyWidgets('system', { type: 'update', data: systemData[source] || {} }, source);
+}
+
+export function connectStream(streamName, source = connectionProfiles.getActiveProfile().id) {
+  // Nothing to connect to - say so instead of leaving the stream "connecting"
+  const profile = connectionProfiles.getProfile(source);
+  if (!profile) {
+    console.warn(`${streamName}: No connection profile for source "${source}"`);
+    updateStatus(streamName, 'error', 'No connection profile', source);
+    return;
+  }
+
+  const connection = connectionManager.get(source, streamName);
   try {
-    updateStatus(streamName, 'connecting', 'Connecting...');
+    updateStatus(streamName, 'connecting', 'Connecting...', source);
 
-    const ws = new WebSocket(`${protocol}//${hostname}:${port}/${streamName}`);
+    connection.markConnecting();
+    const ws = new WebSocket(connectionProfiles.getStreamUrl(streamName, profile));
 
     ws.onopen = () => {
       try {
-        updateStatus(streamName, 'connected', 'Connected');
+        connection.markOpen();
+        updateStatus(streamName, 'connected', 'Connected', source);
 
         if (streamName === 'log') {
           // Logs stream: use addMessage
@@ -79,6 +111,7 @@ export function connectStream(streamName) {
 
     ws.onmessage = (event) => {
       try {
+        connection.markMessage();
         const msg = event.data;
 
         // Validate message data
@@ -97,18 +130,18 @@ export function connectStream(streamName) {
             // Fallback for non-JSON messages
             logData = msg;
           }
-          notifyWidgets('log', logData);
+          notifyWidgets('log', logData, source);
         } else {
           // Structured data streams: parse and notify widgets
           if (streamName === 'telemetry') {
-            parseTelemetryMessage(msg);
-            notifyWidgets('telemetry', { type: 'update', data: telemetryData });
+            parseTelemetryMessage(msg, source);
+            notifyWidgets('telemetry', { type: 'update', data: getNodeData(telemetryData, source) }, source);
           } else if (streamName === 'balance') {
-            parseBalanceMessage(msg);
-            notifyWidgets('balance', { type: 'update', data: { balances: balanceData, orders: openOrdersData } });
+            parseBalanceMessage(msg, source);
+            notifyWidgets('balance', { type: 'update', data: { balances: getNodeData(balanceData, source), orders: getNodeData(openOrdersData, source) } }, source);
           } else if (streamName === 'system') {
-            parseSystemMessage(msg);
-            notifyWidgets('system', { type: 'update', data: systemData });
+            parseSystemMessage(msg, source);
+            notifyWidgets('system', { type: 'update', data: getNodeData(systemData, source) }, source);
           }
         }
       } catch (error) {
@@ -124,7 +157,8 @@ export function connectStream(streamName) {
     ws.onerror = (err) => {
       try {
         console.error(`${streamName}: WebSocket error`, err);
-        updateStatus(streamName, 'error', 'Error');
+        connection.markError('WebSocket error');
+        updateStatus(streamName, 'error', 'Error', source);
         if (streamName === 'log') {
           addMessage(streamName, 'WebSocket error occurred');
         } else {
@@ -140,7 +174,10 @@ export function connectStream(streamName) {
 
     ws.onclose = (event) => {
       try {
-        updateStatus(streamName, 'disconnected', 'Disconnected');
+        // Closed on purpose (e.g. switching profiles) - don't reconnect to the old endpoint
+        if (ws.intentionalClose) return;
+
+        updateStatus(streamName, 'disconnected', 'Disconnected', source);
 
         // Provide more informative messages based on the stream and close reason
         let closeMessage = `Connection closed (${event.code})`;
@@ -151,6 +188,9 @@ export function connectStream(streamName) {
         } else if (event.code === 1000) {
           closeMessage = 'Connection closed normally - will reconnect';
         }
+        if (event.code !== 1000) {
+          connection.markError(closeMessage);
+        }
 
         if (streamName === 'log') {
           addMessage(streamName, closeMessage);
@@ -161,17 +201,21 @@ export function connectStream(streamName) {
           }
         }
 
-        // Auto-reconnect after 5 seconds
-        setTimeout(() => connectStream(streamName), 5000);
+        // Auto-reconnect with backoff
+        scheduleReconnect(streamName, source);
       } catch (error) {
         console.error(`${streamName}: Error in onclose handler:`, error);
       }
     };
 
-    connections[streamName] = ws;
+    if (!connections[source]) {
+      connections[source] = {};
+    }
+    connections[source][streamName] = ws;
   } catch (error) {
     console.error(`${streamName}: Error creating WebSocket connection:`, error);
-    updateStatus(streamName, 'error', 'Failed to connect');
+    connection.markError(error.message);
+    updateStatus(streamName, 'error', 'Failed to connect', source);
     if (streamName === 'log') {
       addMessage(streamName, `Failed to create connection: ${error.message}`);
     } else {
@@ -181,7 +225,89 @@ export function connectStream(streamName) {
       }
     }
     // Retry connection after error
-    setTimeout(() => connectStream(streamName), 5000);
+    scheduleReconnect(streamName, source);
+  }
+}
+
+// Retry with exponential backoff; a no-op when a retry is already pending or the circuit is open
+function scheduleReconnect(streamName, source) {
+  const connection = connectionManager.get(source, streamName);
+  connection.scheduleRetry(() => connectStream(streamName, source));
+
+  if (connection.state === 'circuit-open') {
+    console.warn(`${streamName}: Giving up after ${connection.attempts} attempts - use reconnect to retry`);
   }
 }
 
+export function disconnectStream(streamName, source = connectionProfiles.getActiveProfile().id) {
+  connectionManager.get(source, streamName).markClosed();
+
+  const ws = connections[source]?.[streamName];
+  if (ws) {
+    ws.intentionalClose = true;
+    ws.close();
+    delete connections[source][streamName];
+  }
+}
+
+// Open every stream for one source
+export function connectSource(source) {
+  streams.forEach(streamName => {
+    try {
+      connectStream(streamName, source);
+    } catch (error) {
+      console.error(`Error connecting stream ${streamName} for ${source}:`, error);
+    }
+  });
+}
+
+// Close every stream for one source and drop its cached data so widgets don't show stale values
+export function disconnectSource(source) {
+  streams.forEach(streamName => {
+    disconnectStream(streamName, source);
+    connectionManager.remove(source, streamName);
+  });
+  delete connections[source];
+  resetCachedData(source);
+  clearStreamStatuses(source);
+  streams.forEach(streamName => renderStreamStatus(streamName));
+  notifyStructuredStreams(source);
+}
+
+// Drop cached data for one source
+function resetCachedData(source) {
+  [telemetryData, balanceData, systemData, openOrdersData].forEach(store => {
+    delete store[source];
+  });
+  metricHistory.clear(source);
+}
+
+// Manual "reconnect now" - skips any pending backoff and closes an open circuit
+export function reconnectStreamNow(streamName, source = connectionProfiles.getActiveProfile().id) {
+  connectionManager.get(source, streamName).reset();
+  disconnectStream(streamName, source);
+  connectStream(streamName, source);
+}
+
+// Reconnect an open source, e.g. after its endpoint changed
+export function reconnectSource(source) {
+  if (!connections[source]) return;
+  disconnectSource(source);
+  connectSource(source);
+}
+
+// Open streams for every profile that should be connected and close the rest
+export function syncSourceConnections() {
+  const wanted = connectionProfiles.getConnectedProfiles().map(profile => profile.id);
+
+  Object.keys(connections)
+    .filter(source => !wanted.includes(source))
+    .forEach(source => disconnectSource(source));
+
+  wanted
+    .filter(source => !connections[source])
+    .forEach(source => connectSource(source));
+
+  // Widgets without an explicit source follow the active profile
+  notifyStructuredStreams(connectionProfiles.getActiveProfile().id);
+}
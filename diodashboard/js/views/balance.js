@@ -1,20 +1,24 @@
 // Balance view - handles parsing and rendering balance and order data
 
-import { balanceData, openOrdersData, sectionState } from '../data/state.js';
+import { balanceData, openOrdersData, sectionState, getNodeData, readNodeData } from '../data/state.js';
+import { metricHistory } from '../data/history.js';
 import { formatValue, formatTimestamp } from '../utils/formatting.js';
 import { restoreSubsectionState } from '../utils/ui.js';
 
-export function parseBalanceMessage(msg) {
+export function parseBalanceMessage(msg, source) {
   try {
     const data = JSON.parse(msg);
     if (!data || typeof data !== 'object') return;
 
+    const nodeBalances = getNodeData(balanceData, source);
+    const nodeOrders = getNodeData(openOrdersData, source);
+
     const { balances = [], open_orders = [], timestamp } = data;
     const last_updated = timestamp;
 
     // Store all open orders with all their fields
     // Open orders are refreshed each update (not cached) since they change frequently
-    openOrdersData.length = 0; // Clear existing orders
+    nodeOrders.length = 0; // Clear existing orders
     open_orders.forEach(order => {
       if (order) {
         // Debug: log order fields if quantity/price are missing (only log if truly missing)
@@ -25,7 +29,7 @@ export function parseBalanceMessage(msg) {
         if (!order.limit_price && !order.price && !order.limit) {
           console.warn('Order missing price field. Available fields:', Object.keys(order));
         }
-        openOrdersData.push({ ...order });
+        nodeOrders.push({ ...order, last_updated });
       }
     });
 
@@ -35,10 +39,12 @@ export function parseBalanceMessage(msg) {
       if (!balance || !balance.asset) return;
 
       // Store all fields from the balance object
-      balanceData[balance.asset] = {
+      nodeBalances[balance.asset] = {
         ...balance,  // Copy all properties from the balance object (including wallets array)
         last_updated  // Add timestamp
       };
+
+      metricHistory.record(source, 'balance', balance.asset, parseFloat(balance.total_balance), last_updated);
     });
   } catch (error) {
     console.error('Error parsing balance message:', error);
@@ -52,10 +58,13 @@ export function parseBalanceMessage(msg) {
   }
 }
 
-export function updateBalanceTable(changedAssets = new Set()) {
+export function updateBalanceTable(changedAssets = new Set(), source) {
   const container = document.getElementById('table-balance');
   if (!container) return;
 
+  const nodeBalances = readNodeData(balanceData, source);
+  const nodeOrders = readNodeData(openOrdersData, source);
+
   // Save current subsection states before updating
   ['balance-assets', 'balance-orders'].forEach(subsectionId => {
     const content = document.getElementById(`content-${subsectionId}`);
@@ -65,8 +74,8 @@ export function updateBalanceTable(changedAssets = new Set()) {
     }
   });
 
-  const balances = Object.values(balanceData);
-  if (balances.length === 0 && openOrdersData.length === 0) {
+  const balances = Object.values(nodeBalances);
+  if (balances.length === 0 && nodeOrders.length === 0) {
     container.innerHTML = '<div class="py-12 text-center"><div class="text-slate-400 text-lg mb-2">Waiting for balance data...</div><div class="text-slate-500 text-sm">Asset balances and open orders will appear here</div></div>';
     return;
   }
@@ -170,7 +179,7 @@ export function updateBalanceTable(changedAssets = new Set()) {
   }
 
   // Build open orders cards
-  if (openOrdersData.length > 0) {
+  if (nodeOrders.length > 0) {
     html += '<div class="mt-8">';
     html += '<div class="flex items-center space-x-2 mb-4 cursor-pointer hover:text-slate-100 transition-colors" onclick="window.toggleSubsection(\'balance-orders\')">';
     html += '<svg class="w-4 h-4 text-slate-400 transition-transform transform" id="icon-balance-orders" style="transform: rotate(0deg);">';
@@ -180,7 +189,7 @@ export function updateBalanceTable(changedAssets = new Set()) {
     html += '</div>';
     html += '<div class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4" id="content-balance-orders">';
 
-    openOrdersData.forEach(order => {
+    nodeOrders.forEach(order => {
       html += `
         <div class="bg-slate-800 border border-slate-700 rounded-lg p-4 shadow-lg card-glow">
           <div class="flex items-center justify-between mb-3">
@@ -241,7 +250,7 @@ export function updateBalanceTable(changedAssets = new Set()) {
   if (balances.length > 0) {
     restoreSubsectionState('balance-assets');
   }
-  if (openOrdersData.length > 0) {
+  if (nodeOrders.length > 0) {
     restoreSubsectionState('balance-orders');
   }
 }
@@ -1,14 +1,17 @@
 // System view - handles parsing and rendering system metrics
 
-import { systemData, sectionState } from '../data/state.js';
+import { systemData, sectionState, getNodeData, readNodeData } from '../data/state.js';
+import { metricHistory } from '../data/history.js';
 import { formatValue, formatMemory, formatTimestamp } from '../utils/formatting.js';
 import { restoreSubsectionState } from '../utils/ui.js';
 
-export function parseSystemMessage(msg) {
+export function parseSystemMessage(msg, source) {
   try {
     const data = JSON.parse(msg);
     if (!data || typeof data !== 'object') return;
 
+    const nodeSystem = getNodeData(systemData, source);
+
     const { timestamp } = data;
     const last_updated = timestamp;
 
@@ -20,7 +23,7 @@ export function parseSystemMessage(msg) {
 
       // Handle arrays (like core_usages) - store them as-is
       if (Array.isArray(value)) {
-        systemData[key] = {
+        nodeSystem[key] = {
           name: key,
           value: value,
           last_updated
@@ -31,11 +34,13 @@ export function parseSystemMessage(msg) {
       // Skip complex objects (but allow arrays)
       if (typeof value === 'object' && value !== null) return;
 
-      systemData[key] = {
+      nodeSystem[key] = {
         name: key,
         value,
         last_updated
       };
+
+      metricHistory.record(source, 'system', key, value, last_updated);
     });
   } catch (error) {
     console.error('Error parsing system message:', error);
@@ -49,10 +54,12 @@ export function parseSystemMessage(msg) {
   }
 }
 
-export function updateSystemTable(changedMetrics = new Set()) {
+export function updateSystemTable(changedMetrics = new Set(), source) {
   const container = document.getElementById('table-system');
   if (!container) return;
 
+  const nodeSystem = readNodeData(systemData, source);
+
   // Save current subsection states before updating
   ['system-cpu', 'system-memory', 'system-other'].forEach(subsectionId => {
     const content = document.getElementById(`content-${subsectionId}`);
@@ -62,7 +69,7 @@ export function updateSystemTable(changedMetrics = new Set()) {
     }
   });
 
-  if (Object.keys(systemData).length === 0) {
+  if (Object.keys(nodeSystem).length === 0) {
     container.innerHTML = '<div class="py-12 text-center"><div class="text-slate-400 text-lg mb-2">Waiting for system data...</div><div class="text-slate-500 text-sm">System metrics will appear here once received</div></div>';
     return;
   }
@@ -72,7 +79,7 @@ export function updateSystemTable(changedMetrics = new Set()) {
   const memoryMetrics = {};
   const otherMetrics = {};
 
-  Object.entries(systemData).forEach(([key, metric]) => {
+  Object.entries(nodeSystem).forEach(([key, metric]) => {
     if (key.includes('cpu') || key.includes('core') || key === 'cpu_usage' || key === 'cpu_cores' || key === 'cpu_vendor' || key === 'cpu_model' || key === 'core_usages' || key === 'load_avg') {
       cpuMetrics[key] = metric;
     } else if (key.includes('memory') || key.includes('mem') || key.includes('swap')) {
@@ -1,10 +1,12 @@
 // Telemetry view - handles parsing and rendering telemetry metrics
 
-import { telemetryData, sectionState } from '../data/state.js';
+import { telemetryData, sectionState, getNodeData, readNodeData } from '../data/state.js';
+import { metricHistory } from '../data/history.js';
+import { normalizeHistogram, scaleHistogram } from '../utils/histogram.js';
 import { formatValue, formatTime, formatTimestamp, getMetricType } from '../utils/formatting.js';
 import { restoreSubsectionState } from '../utils/ui.js';
 
-export function parseTelemetryMessage(msg) {
+export function parseTelemetryMessage(msg, source) {
   try {
     const data = JSON.parse(msg);
 
@@ -26,6 +28,7 @@ export function parseTelemetryMessage(msg) {
 
     // Cache metrics: only add/update metrics, never remove existing ones
     // This ensures metrics persist and show last known values between updates
+    const nodeTelemetry = getNodeData(telemetryData, source);
     metrics.forEach(item => {
       if (!item || typeof item !== 'object') return;
 
@@ -35,36 +38,49 @@ export function parseTelemetryMessage(msg) {
       const { type, value } = metric_type;
       // Accept gauge, counter, and histogram types
       if (type !== 'gauge' && type !== 'counter' && type !== 'histogram') {
-        // Skip histogram types that don't have a simple value
-        if (type === 'histogram' && metric_type.data === 'histogram_data_not_serialized') {
-          return;
-        }
         return;
       }
 
+      // Histograms carry bucket/sum/count data either in `data` or directly on metric_type.
+      // Unserialized histograms (`data: 'histogram_data_not_serialized'`) keep only their scalar value
+      let histogram = null;
+      if (type === 'histogram') {
+        const payload = metric_type.data && typeof metric_type.data === 'object' ? metric_type.data : metric_type;
+        histogram = normalizeHistogram(payload);
+      }
+
       // Create composite key from name and labels
       const labelsStr = JSON.stringify(labels);
       const key = `${name}|${labelsStr}`;
 
-      // Convert memory metric values from KB to bytes for frontend formatting
+      // Histograms without a scalar value are represented by their mean
       let processedValue = value !== undefined ? value : null;
-      if (processedValue !== null && typeof processedValue === 'number') {
-        const metricType = getMetricType(metric_type, name);
-        if (metricType === 'memory') {
+      if (processedValue === null && histogram && histogram.count > 0 && histogram.sum !== null) {
+        processedValue = histogram.sum / histogram.count;
+      }
+
+      // Convert memory metric values from KB to bytes for frontend formatting
+      if (getMetricType(metric_type, name) === 'memory') {
+        if (processedValue !== null && typeof processedValue === 'number') {
           // Convert from KB to bytes (telemetry backend sends in KB, frontend expects bytes)
           processedValue = processedValue * 1024;
         }
+        histogram = scaleHistogram(histogram, 1024);
       }
 
-      telemetryData[key] = {
+      nodeTelemetry[key] = {
         name,
         labels,
         value: processedValue,
         cached_rate,
         last_updated,
         metric_type,  // Store the full metric_type object so we can access type later
-        key
+        histogram,    // Normalized {buckets, sum, count, quantiles} for histogram metrics
+        key,
+        source
       };
+
+      metricHistory.record(source, 'telemetry', key, processedValue, last_updated);
     });
   } catch (error) {
     console.error('Error parsing telemetry message:', error);
@@ -78,10 +94,12 @@ export function parseTelemetryMessage(msg) {
   }
 }
 
-export function updateTelemetryTable(changedKeys = new Set()) {
+export function updateTelemetryTable(changedKeys = new Set(), source) {
   const container = document.getElementById('table-telemetry');
   if (!container) return;
 
+  const nodeTelemetry = readNodeData(telemetryData, source);
+
   // Save current subsection states before updating
   ['gauge', 'counter', 'histogram'].forEach(type => {
     const content = document.getElementById(`content-telemetry-${type}`);
@@ -91,7 +109,8 @@ export function updateTelemetryTable(changedKeys = new Set()) {
     }
   });
 
-  const metrics = Object.values(telemetryData);
+  // Log-derived metrics (see utils/log-metrics.js) aren't telemetry the node sent
+  const metrics = Object.values(nodeTelemetry).filter(metric => !metric.derived);
   if (metrics.length === 0) {
     container.innerHTML = '<div class="py-12 text-center"><div class="text-slate-400 text-lg mb-2">Waiting for telemetry data...</div><div class="text-slate-500 text-sm">Metrics will appear here once received</div></div>';
     return;
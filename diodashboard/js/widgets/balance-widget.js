@@ -1,9 +1,10 @@
 // Balance-specific widgets
 
 import { BaseWidget } from './base-widget.js';
-import { balanceData, openOrdersData } from '../data/state.js';
-import { formatValue, formatTimestamp } from '../utils/formatting.js';
+import { balanceData, openOrdersData, readNodeData } from '../data/state.js';
+import { formatValue, formatTimestamp, escapeHtml } from '../utils/formatting.js';
 import { subscribeToStream, unsubscribeFromStream } from '../utils/websocket.js';
+import { connectionProfiles } from '../utils/connection-profiles.js';
 
 export class BalanceAssetsWidget extends BaseWidget {
   constructor(config) {
@@ -25,7 +26,9 @@ export class BalanceAssetsWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    const balances = Object.values(balanceData);
+    const nodeBalances = readNodeData(balanceData, this.getSource());
+
+    const balances = this.filterExpired(Object.values(nodeBalances));
     if (balances.length === 0) {
       content.innerHTML = '<div class="text-slate-400 text-sm">No asset balances available</div>';
       return;
@@ -61,12 +64,22 @@ export class BalanceAssetsWidget extends BaseWidget {
     `;
   }
 
+  getLastUpdated() {
+    return this.getNewestTimestamp(Object.values(readNodeData(balanceData, this.getSource())));
+  }
+
+  getAlertMetrics() {
+    return Object.keys(readNodeData(balanceData, this.getSource())).map(asset => ({ stream: 'balance', key: asset }));
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('balance', this.updateCallback);
   }
 
@@ -84,7 +97,7 @@ export class BalanceOrdersWidget extends BaseWidget {
     this.type = 'balance-orders';
     this.updateCallback = null;
     // Use the configured symbol
-    this.targetSymbol = config.config?.symbol || config.config?.metricKey || null;
+    this.targetSymbol = config.config?.symbol || null;
   }
 
   createElement() {
@@ -100,21 +113,23 @@ export class BalanceOrdersWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    if (openOrdersData.length === 0) {
+    const nodeOrders = readNodeData(openOrdersData, this.getSource());
+
+    if (nodeOrders.length === 0) {
       content.innerHTML = '<div class="text-slate-400 text-sm">No open orders</div>';
       return;
     }
 
     // If we have a specific target symbol, filter orders by that symbol
-    let ordersToShow = openOrdersData;
+    let ordersToShow = this.filterExpired(nodeOrders);
     if (this.targetSymbol) {
-      ordersToShow = openOrdersData.filter(order =>
+      ordersToShow = ordersToShow.filter(order =>
         order.symbol === this.targetSymbol
       );
     }
 
     if (ordersToShow.length === 0) {
-      content.innerHTML = `<div class="text-slate-400 text-sm">No orders for ${this.targetSymbol || 'selected symbol'}</div>`;
+      content.innerHTML = `<div class="text-slate-400 text-sm">No orders for ${escapeHtml(this.targetSymbol || 'selected symbol')}</div>`;
       return;
     }
 
@@ -149,8 +164,25 @@ export class BalanceOrdersWidget extends BaseWidget {
     `;
   }
 
+  getLastUpdated() {
+    const orders = readNodeData(openOrdersData, this.getSource());
+    return this.getNewestTimestamp(this.targetSymbol ? orders.filter(order => order.symbol === this.targetSymbol) : orders);
+  }
+
+  // Orders have no numeric value for alert rules to watch
+  getAlertMetrics() {
+    return [];
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
+  }
+
+  subscribeToUpdates() {
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
+    subscribeToStream('balance', this.updateCallback);
   }
 
   startUpdates() {
@@ -160,6 +192,9 @@ export class BalanceOrdersWidget extends BaseWidget {
   }
 
   destroy() {
+    if (this.updateCallback) {
+      unsubscribeFromStream('balance', this.updateCallback);
+    }
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
     }
@@ -173,7 +208,7 @@ export class BalanceSingleWidget extends BaseWidget {
     this.type = 'balance-single';
     this.updateCallback = null;
     // Use the configured asset key
-    this.targetAsset = config.config?.asset || config.config?.metricKey || null;
+    this.targetAsset = config.config?.asset || null;
   }
 
   createElement() {
@@ -189,9 +224,21 @@ export class BalanceSingleWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
+    const nodeBalances = readNodeData(balanceData, this.getSource());
+
+    // The node reports balances but not ours - don't silently show another asset
+    if (this.targetAsset && !nodeBalances[this.targetAsset] && Object.keys(nodeBalances).length > 0) {
+      this.renderMetricNotFound(content, this.targetAsset);
+      return;
+    }
+
     // If we have a specific target asset, show that one
-    if (this.targetAsset && balanceData[this.targetAsset]) {
-      const balance = balanceData[this.targetAsset];
+    if (this.targetAsset && nodeBalances[this.targetAsset]) {
+      const balance = nodeBalances[this.targetAsset];
+      if (this.isExpired(balance.last_updated)) {
+        this.renderExpired(content, balance.last_updated);
+        return;
+      }
       const wallets = Array.isArray(balance.wallets) ? balance.wallets : [];
 
       content.innerHTML = `
@@ -224,7 +271,7 @@ export class BalanceSingleWidget extends BaseWidget {
       this.autoSize();
     } else {
       // Fallback: show first available asset
-      const balances = Object.values(balanceData);
+      const balances = this.filterExpired(Object.values(nodeBalances));
       if (balances.length === 0) {
         content.innerHTML = '<div class="text-slate-400 text-sm">No asset balances available</div>';
         return;
@@ -281,12 +328,26 @@ export class BalanceSingleWidget extends BaseWidget {
     return 'Unknown';
   }
 
+  getLastUpdated() {
+    const nodeBalances = readNodeData(balanceData, this.getSource());
+    const balance = nodeBalances[this.targetAsset] || Object.values(nodeBalances)[0];
+    return balance ? balance.last_updated : null;
+  }
+
+  getAlertMetrics() {
+    // Without a target asset the first balance is shown
+    const asset = this.targetAsset || Object.keys(readNodeData(balanceData, this.getSource()))[0];
+    return asset ? [{ stream: 'balance', key: asset }] : [];
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('balance', this.updateCallback);
   }
 
@@ -305,7 +366,7 @@ export class BalanceOrdersSingleWidget extends BaseWidget {
     this.type = 'balance-orders-single';
     this.updateCallback = null;
     // Use the configured symbol
-    this.targetSymbol = config.config?.symbol || config.config?.metricKey || null;
+    this.targetSymbol = config.config?.symbol || null;
   }
 
   createElement() {
@@ -321,23 +382,32 @@ export class BalanceOrdersSingleWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
+    const nodeOrders = readNodeData(openOrdersData, this.getSource());
+
     if (!this.targetSymbol) {
       content.innerHTML = '<div class="text-slate-400 text-sm">No symbol configured</div>';
       return;
     }
 
-    if (openOrdersData.length === 0) {
+    // The widget's node is no longer configured - offer to point it at another one
+    if (this.source && !connectionProfiles.getProfile(this.source)) {
+      this.renderMetricNotFound(content, this.targetSymbol, `${this.targetSymbol}: unknown node ${this.source}`);
+      return;
+    }
+
+    if (nodeOrders.length === 0) {
       content.innerHTML = '<div class="text-slate-400 text-sm">No open orders</div>';
       return;
     }
 
     // Filter orders by the target symbol
-    const ordersToShow = openOrdersData.filter(order =>
+    const ordersToShow = this.filterExpired(nodeOrders).filter(order =>
       order.symbol === this.targetSymbol
     );
 
+    // Orders come and go - a symbol without any right now is normal
     if (ordersToShow.length === 0) {
-      content.innerHTML = `<div class="text-slate-400 text-sm">No orders for ${this.targetSymbol}</div>`;
+      content.innerHTML = `<div class="text-slate-400 text-sm">No open orders for ${escapeHtml(this.targetSymbol)}</div>`;
       return;
     }
 
@@ -346,7 +416,7 @@ export class BalanceOrdersSingleWidget extends BaseWidget {
 
     content.innerHTML = `
       <div class="text-center">
-        <div class="text-lg font-medium text-slate-200 mb-4">${this.targetSymbol} Orders</div>
+        <div class="text-lg font-medium text-slate-200 mb-4">${escapeHtml(this.targetSymbol)} Orders</div>
 
         <div class="grid grid-cols-2 gap-4 mb-4">
           <div class="text-center">
@@ -475,12 +545,24 @@ export class BalanceOrdersSingleWidget extends BaseWidget {
     `;
   }
 
+  getLastUpdated() {
+    const orders = readNodeData(openOrdersData, this.getSource());
+    return this.getNewestTimestamp(orders.filter(order => order.symbol === this.targetSymbol));
+  }
+
+  // Orders have no numeric value for alert rules to watch
+  getAlertMetrics() {
+    return [];
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('balance', this.updateCallback);
   }
 
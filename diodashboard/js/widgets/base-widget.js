@@ -1,10 +1,22 @@
 // Base widget class with common functionality for all dashboard widgets
 
 import { storageManager } from '../utils/storage.js';
-import { formatTimestamp } from '../utils/formatting.js';
+import { connectionProfiles } from '../utils/connection-profiles.js';
+import { formatTimestamp, formatDuration, escapeHtml } from '../utils/formatting.js';
+import { alertEngine } from '../utils/alerts.js';
+import { metricDiscovery } from '../utils/metric-discovery.js';
+import { undoManager } from '../utils/undo-manager.js';
+import { staleConfig, widgetRegistry } from '../data/state.js';
 
 const GRID_SIZE = 20; // 20px grid units
 
+// Value colors per threshold state when the widget config doesn't set its own
+const THRESHOLD_CLASSES = {
+  warning: 'text-yellow-400',
+  critical: 'text-red-400'
+};
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
 export class BaseWidget {
   constructor(config) {
     this.id = config.id || this.generateId();
@@ -12,14 +24,32 @@ export class BaseWidget {
     this.position = config.position || { x: 0, y: 0 }; // Grid units
     this.size = config.size || { width: 4, height: 3 }; // Grid units
     this.config = config.config || {};
+    this.zIndex = typeof config.zIndex === 'number' ? config.zIndex : null; // Set by bring to front / send to back
+    this.sizeLocked = config.sizeLocked === true; // Manually sized - auto-sizing leaves it alone
+    this.parentId = null; // Container holding this widget, set by AutoLayout
+    // Node (connection profile id) this widget shows; unset follows the active profile
+    this.source = this.config.source || null;
     this.element = null;
     this.isInitialized = false;
+    this.isDataExpired = false;
+    this.defaultThresholds = {}; // { warning, critical } used until the config sets thresholds
+    this.refreshTimer = null;
+    this.lastRefresh = 0;
   }
 
   generateId() {
     return `widget_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  getSource() {
+    return this.source || connectionProfiles.getActiveProfile().id;
+  }
+
+  // Stream callbacks get the source of each update - only react to our node
+  acceptsSource(source) {
+    return !source || source === this.getSource();
+  }
+
   createElement() {
     const element = document.createElement('div');
     element.className = 'widget';
@@ -27,6 +57,14 @@ export class BaseWidget {
     element.style.position = 'absolute';
     element.style.left = `${this.position.x * GRID_SIZE}px`;
     element.style.top = `${this.position.y * GRID_SIZE}px`;
+    if (this.zIndex !== null) {
+      element.style.zIndex = this.zIndex;
+    }
+    if (this.sizeLocked) {
+      element.classList.add('size-locked');
+      element.style.width = `${this.size.width * GRID_SIZE}px`;
+      element.style.height = `${this.size.height * GRID_SIZE}px`;
+    }
 
     // Add widget content container
     const content = document.createElement('div');
@@ -42,7 +80,16 @@ export class BaseWidget {
     content.appendChild(removeBtn);
     element.appendChild(content);
 
+    // Node label for widgets pinned to a specific source (outside content so re-renders keep it)
+    if (this.source) {
+      const sourceLabel = document.createElement('div');
+      sourceLabel.className = 'widget-source-label';
+      sourceLabel.textContent = connectionProfiles.getSourceName(this.source);
+      element.appendChild(sourceLabel);
+    }
+
     this.element = element;
+    this.renderTitle();
     this.setupEventListeners();
 
     return element;
@@ -59,6 +106,18 @@ export class BaseWidget {
 
     // Right-click context menu
     this.element.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+
+    // Buttons of the "metric not found" state - content is re-rendered, so delegate
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="rebind"], [data-action="pick-metric"]');
+      if (!button) return;
+
+      e.stopPropagation();
+      const metricId = button.getAttribute('data-metric-id');
+      document.dispatchEvent(new CustomEvent(metricId ? 'widgetRebind' : 'metricPickerOpen', {
+        detail: { widgetId: this.id, metricId }
+      }));
+    });
   }
 
 
@@ -85,6 +144,64 @@ export class BaseWidget {
     });
   }
 
+  setPosition(position) {
+    this.position = { ...position };
+    if (this.element) {
+      this.element.style.left = `${this.position.x * GRID_SIZE}px`;
+      this.element.style.top = `${this.position.y * GRID_SIZE}px`;
+    }
+  }
+
+  setSize(size) {
+    this.size = { ...size };
+    this.updateSize();
+  }
+
+  saveSize() {
+    storageManager.updateWidget(this.id, {
+      size: { ...this.size },
+      sizeLocked: this.sizeLocked
+    });
+  }
+
+  setSizeLocked(locked) {
+    this.sizeLocked = locked;
+    if (this.element) {
+      this.element.classList.toggle('size-locked', locked);
+    }
+  }
+
+  // Unlock the size and fit the widget to its content again
+  fitToContent() {
+    this.setSizeLocked(false);
+    if (this.element) {
+      this.element.style.width = '';
+      this.element.style.height = '';
+    }
+    this.autoSize();
+    this.updateSize();
+  }
+
+  // null restores the stylesheet default
+  setZIndex(zIndex) {
+    this.zIndex = zIndex ?? null;
+    if (this.element) {
+      this.element.style.zIndex = this.zIndex ?? '';
+    }
+  }
+
+  saveZIndex() {
+    storageManager.updateWidget(this.id, { zIndex: this.zIndex });
+  }
+
+  // Merge config changes and persist them as one undoable step
+  updateConfig(updates, label = 'Edit widget settings') {
+    const before = { ...this.config };
+    this.config = { ...this.config, ...updates };
+    storageManager.updateWidget(this.id, { config: { ...this.config } });
+    undoManager.recordWidgetChange('config', this.id, before, { ...this.config }, label);
+  }
+
   updateSize() {
     // Apply calculated size to DOM element
     if (this.element && this.size) {
@@ -100,12 +217,83 @@ export class BaseWidget {
     return this.type.charAt(0).toUpperCase() + this.type.slice(1);
   }
 
+  // Title set in the settings editor, shown in a header above the content
+  renderTitle() {
+    if (!this.element) return;
+
+    const title = typeof this.config.title === 'string' ? this.config.title.trim() : '';
+    let header = this.element.querySelector(':scope > .widget-header');
+    if (!title) {
+      header?.remove();
+      return;
+    }
+
+    if (!header) {
+      header = document.createElement('div');
+      header.className = 'widget-header';
+      header.innerHTML = '<span class="widget-title"></span>';
+      this.element.prepend(header);
+    }
+    header.querySelector('.widget-title').textContent = title;
+  }
+
+  // Decimals and unit overrides for a displayed value - `formatted` is the widget's own rendering
+  formatDisplayValue(value, formatted) {
+    const { decimals, unit } = this.config;
+    const hasDecimals = typeof decimals === 'number' && decimals >= 0;
+    if (typeof value !== 'number' || !Number.isFinite(value) || (!hasDecimals && !unit)) return formatted;
+
+    const number = hasDecimals ? value.toFixed(Math.min(Math.round(decimals), 8)) : String(Number(value.toFixed(2)));
+    return unit ? `${number} ${escapeHtml(unit)}` : number;
+  }
+
+  // 'normal', 'warning' or 'critical' - config thresholds win over the widget's defaults
+  getThresholdState(value) {
+    const { warning, critical, direction = 'above' } = { ...this.defaultThresholds, ...this.config.thresholds };
+    const crosses = (limit) => typeof limit === 'number' && (direction === 'below' ? value < limit : value > limit);
+
+    if (typeof value !== 'number') return 'normal';
+    if (crosses(critical)) return 'critical';
+    if (crosses(warning)) return 'warning';
+    return 'normal';
+  }
+
+  // Color of a displayed value as { className, style } for templates - a configured color for
+  // the value's threshold state, otherwise `normalClass` or the default warning/critical class
+  getValueColor(value, normalClass) {
+    const state = this.getThresholdState(value);
+    const color = this.config.colors?.[state];
+    if (typeof color === 'string' && HEX_COLOR.test(color)) {
+      return { className: '', style: `color: ${color};` };
+    }
+    return { className: THRESHOLD_CLASSES[state] || normalClass, style: '' };
+  }
+
   update(data) {
     // Override in subclasses
     console.log(`Widget ${this.id} received update:`, data);
   }
 
+  // Re-render for a stream update - throttled to one redraw per `refreshSeconds` when set
+  scheduleUpdate() {
+    const interval = (this.config.refreshSeconds || 0) * 1000;
+    if (interval <= 0) {
+      this.updateContent();
+      return;
+    }
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.lastRefresh = Date.now();
+      this.updateContent();
+    }, Math.max(0, this.lastRefresh + interval - Date.now()));
+  }
+
   destroy() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+    }
     if (this.element) {
       this.element.remove();
     }
@@ -134,16 +322,149 @@ export class BaseWidget {
     }
   }
 
-  // Auto-resize based on content (no constraints)
-  autoSize() {
+  // Newest `last_updated` (seconds) of the data this widget shows - override in subclasses
+  getLastUpdated() {
+    return null;
+  }
+
+  // Newest `last_updated` across a list of cache entries (null when none have one)
+  getNewestTimestamp(items) {
+    const timestamps = items
+      .map(item => item && item.last_updated)
+      .filter(timestamp => typeof timestamp === 'number' && Number.isFinite(timestamp));
+    return timestamps.length > 0 ? Math.max(...timestamps) : null;
+  }
+
+  // Per-widget config wins over the widget type's registry default and the global default
+  getStaleAfterSeconds() {
+    return this.config.staleAfterSeconds ?? widgetRegistry[this.type]?.staleAfterSeconds ?? staleConfig.staleAfterSeconds;
+  }
+
+  getHideAfterSeconds() {
+    return this.config.hideAfterSeconds ?? widgetRegistry[this.type]?.hideAfterSeconds ?? staleConfig.hideAfterSeconds;
+  }
+
+  // Seconds since a `last_updated` timestamp (null when unknown)
+  getAge(lastUpdated) {
+    if (typeof lastUpdated !== 'number' || !Number.isFinite(lastUpdated)) return null;
+    return Math.max(0, Date.now() / 1000 - lastUpdated);
+  }
+
+  // True when data has not been updated within hideAfterSeconds
+  isExpired(lastUpdated) {
+    const ttl = this.getHideAfterSeconds();
+    const age = this.getAge(lastUpdated);
+    return ttl > 0 && age !== null && age > ttl;
+  }
+
+  // Drop cache entries that have expired
+  filterExpired(items) {
+    return items.filter(item => !this.isExpired(item.last_updated));
+  }
+
+  // Placeholder shown instead of an expired metric
+  renderExpired(content, lastUpdated) {
+    const age = this.getAge(lastUpdated);
+    content.innerHTML = `
+      <div class="text-slate-500 text-sm text-center py-2">
+        No updates for ${formatDuration(age * 1000)}
+        <div class="text-xs text-slate-600 mt-1">Last: ${formatTimestamp(lastUpdated)}</div>
+      </div>
+    `;
+    this.ensureCloseButton();
+  }
+
+  // The configured metric is missing from data the node still reports (renamed, relabelled or
+  // gone) - offer the closest metric it does report and the metric picker
+  renderMetricNotFound(content, key, message = `${this.config.metricName || key} not found`) {
+    const suggestion = metricDiscovery.suggestReplacement(key, { widgetType: this.type, source: this.getSource() });
+
+    content.innerHTML = `
+      <div class="widget-metric-missing">
+        <div class="widget-metric-missing-title">${escapeHtml(message)}</div>
+        ${suggestion ? `
+          <button class="widget-metric-missing-btn" data-action="rebind" data-metric-id="${escapeHtml(suggestion.id)}">
+            Use ${escapeHtml(suggestion.name)}${suggestion.labelsStr ? ` (${escapeHtml(suggestion.labelsStr)})` : ''}
+          </button>
+        ` : ''}
+        <button class="widget-metric-missing-btn secondary" data-action="pick-metric">Choose metric...</button>
+      </div>
+    `;
+    this.ensureCloseButton();
+  }
+
+  // Dim the widget and show an age badge once its data is older than the stale threshold.
+  // Called by the canvas every second since stale data by definition triggers no updates.
+  updateStaleState() {
     if (!this.element) return;
 
+    const lastUpdated = this.getLastUpdated();
+    const age = this.getAge(lastUpdated);
+    const threshold = this.getStaleAfterSeconds();
+    const isStale = threshold > 0 && age !== null && age > threshold;
+
+    this.element.classList.toggle('widget-stale', isStale);
+
+    let badge = this.element.querySelector('.widget-stale-badge');
+    if (isStale) {
+      if (!badge) {
+        badge = document.createElement('div');
+        badge.className = 'widget-stale-badge';
+        this.element.appendChild(badge);
+      }
+      badge.textContent = `Stale · ${formatDuration(age * 1000)}`;
+      badge.title = `Last update: ${formatTimestamp(lastUpdated)}`;
+    } else if (badge) {
+      badge.remove();
+    }
+
+    // Re-render once the data crosses the hide TTL so it gets hidden without new messages
+    const expired = this.isExpired(lastUpdated);
+    if (expired !== this.isDataExpired) {
+      this.isDataExpired = expired;
+      if (expired && typeof this.updateContent === 'function') {
+        this.updateContent();
+      }
+    }
+  }
+
+  // State that isn't stored in the config (e.g. received log lines) - carried over to the new
+  // instance when the widget is recreated with a changed config (see Canvas.reloadWidget)
+  getReloadState() {
+    return null;
+  }
+
+  restoreReloadState(state) {}
+
+  // Metrics this widget shows ({ stream, key }), for matching alert rules. Widgets showing
+  // stream values override this with the keys they display.
+  getAlertMetrics() {
+    return [];
+  }
+
+  // Color the widget border by the worst state of the alert rules watching its metrics.
+  // Called by the canvas whenever an alert changes state.
+  updateAlertState() {
+    if (!this.element) return;
+
+    const alert = alertEngine.getStateFor(this.getAlertMetrics(), this.getSource());
+    const state = alert ? alert.state : 'ok';
+    this.element.classList.toggle('widget-alert-pending', state === 'pending');
+    this.element.classList.toggle('widget-alert-firing', state === 'firing');
+    this.element.classList.toggle('widget-alert-critical', state === 'firing' && alert.severity === 'critical');
+  }
+
+  // Auto-resize based on content (no constraints) - skipped while the size is locked
+  autoSize() {
+    if (!this.element || this.sizeLocked) return;
+
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    // Calculate content dimensions
+    // Calculate content dimensions (plus the title header when there is one)
+    const header = this.element.querySelector(':scope > .widget-header');
     const contentWidth = content.scrollWidth;
-    const contentHeight = content.scrollHeight;
+    const contentHeight = content.scrollHeight + (header ? header.offsetHeight : 0);
 
     // Convert to grid units (no min/max constraints)
     const gridWidth = Math.ceil(contentWidth / GRID_SIZE);
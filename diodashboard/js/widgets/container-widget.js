@@ -0,0 +1,99 @@
+// Container widget - a titled panel holding child widgets that move with it and hide when it's
+// collapsed to its title bar. Children stay regular widgets on the canvas (see Canvas.getChildWidgets).
+
+import { BaseWidget } from './base-widget.js';
+import { escapeHtml } from '../utils/formatting.js';
+import { COLLAPSED_HEIGHT } from '../utils/auto-layout.js';
+
+const GRID_SIZE = 20;
+
+export class ContainerWidget extends BaseWidget {
+  constructor(config) {
+    super(config);
+    this.type = 'container';
+    // Containers keep the size they're given - children aren't part of their content
+    this.sizeLocked = true;
+  }
+
+  createElement() {
+    super.createElement();
+    this.element.classList.add('widget-container');
+
+    this.updateContent();
+
+    return this.element;
+  }
+
+  getTitle() {
+    return this.config.title || 'Group';
+  }
+
+  // The container header already shows config.title
+  renderTitle() {}
+
+  isCollapsed() {
+    return this.config.collapsed === true;
+  }
+
+  updateContent() {
+    const content = this.element.querySelector('.widget-content');
+    if (!content) return;
+
+    const collapsed = this.isCollapsed();
+    content.innerHTML = `
+      <div class="container-header">
+        <button class="container-toggle" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▸' : '▾'}</button>
+        <span class="container-title" title="Double-click to rename">${escapeHtml(this.getTitle())}</span>
+      </div>
+    `;
+
+    this.ensureCloseButton();
+    this.element.classList.toggle('collapsed', collapsed);
+    this.updateSize();
+
+    content.querySelector('.container-toggle').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleCollapsed();
+    });
+    content.querySelector('.container-title').addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this.rename();
+    });
+  }
+
+  // A collapsed container shows only its title bar but keeps its size for when it's expanded -
+  // layout code treats it as COLLAPSED_HEIGHT tall (see getWidgetRect)
+  updateSize() {
+    super.updateSize();
+    if (this.element && this.isCollapsed()) {
+      this.element.style.height = `${COLLAPSED_HEIGHT * GRID_SIZE}px`;
+    }
+  }
+
+  toggleCollapsed() {
+    const collapsed = !this.isCollapsed();
+    this.updateConfig({ collapsed }, collapsed ? 'Collapse container' : 'Expand container');
+    this.updateContent();
+
+    // The canvas shows or hides the children
+    this.element.dispatchEvent(new CustomEvent('containerToggle', {
+      detail: { widgetId: this.id },
+      bubbles: true
+    }));
+  }
+
+  rename() {
+    const title = prompt('Container title:', this.getTitle());
+    if (title === null || !title.trim() || title.trim() === this.getTitle()) return;
+
+    this.updateConfig({ title: title.trim() }, 'Rename container');
+    this.updateContent();
+  }
+
+  // No stream data of its own
+  update() {}
+
+  getAlertMetrics() {
+    return [];
+  }
+}
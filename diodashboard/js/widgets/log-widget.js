@@ -2,109 +2,587 @@
 
 import { BaseWidget } from './base-widget.js';
 import { subscribeToStream, unsubscribeFromStream } from '../utils/websocket.js';
+import { storageManager } from '../utils/storage.js';
+import { copyToClipboard, downloadTextFile } from '../utils/ui.js';
+import { escapeHtml } from '../utils/formatting.js';
+import { LOG_LEVELS, DEFAULT_LOG_FILTER, compileLogFilter, getLogFields } from '../utils/log-filter.js';
+import { LOG_EXPORT_FORMATS, exportLogLines, filterLinesByAge } from '../utils/log-export.js';
+import { logConfig } from '../data/state.js';
+
+const LEVEL_CLASSES = {
+  ERROR: 'text-red-300',
+  WARN: 'text-yellow-300',
+  INFO: 'text-blue-300',
+  DEBUG: 'text-gray-300'
+};
+
+// Lines are rendered with row virtualization - every row has the same height and only the rows
+// in view (plus some overscan) are in the DOM, so thousands of lines scroll smoothly
+const ROW_HEIGHT = 20; // px, matches .log-row in css/widgets/log-widget.css
+const OVERSCAN_ROWS = 10;
+const DEFAULT_VIEW_HEIGHT = 384; // px, used before the view has been laid out
+
+// One field of a log entry in the detail panel - objects and arrays nest as collapsible groups
+function renderField(key, value) {
+  if (value !== null && typeof value === 'object') {
+    const children = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const summary = Array.isArray(value) ? `[${children.length}]` : `{${children.length}}`;
+    return `
+      <details class="log-field" open>
+        <summary><span class="log-field-key">${escapeHtml(key)}</span> <span class="log-field-type">${summary}</span></summary>
+        <div class="log-field-children">${children.map(([childKey, child]) => renderField(childKey, child)).join('')}</div>
+      </details>
+    `;
+  }
+
+  const type = value === null ? 'null' : typeof value;
+  return `
+    <div class="log-field">
+      <span class="log-field-key">${escapeHtml(key)}</span>
+      <span class="log-field-value log-field-${type}">${escapeHtml(JSON.stringify(value) ?? String(value))}</span>
+    </div>
+  `;
+}
 
 export class LogStreamWidget extends BaseWidget {
   constructor(config) {
     super(config);
     this.type = 'log-stream';
     this.updateCallback = null;
-    this.maxLines = 50;
-    this.logLines = [];
+    this.scrollback = this.config.scrollback || logConfig.scrollback;
+    this.logLines = [];      // Received entries as { seq, entry, receivedAt }, oldest first
+    this.visibleLines = [];  // The ones matching the filter
+    this.pendingLines = [];  // Entries received while paused
+    this.nextSeq = 1;
+    this.lastReceived = null; // Seconds, logs carry display-only timestamps
+    // Level toggles, section and search from the toolbar (see utils/log-filter.js)
+    this.filter = { ...DEFAULT_LOG_FILTER, ...this.config.filter };
+    this.compiledFilter = compileLogFilter(this.filter);
+    this.sections = new Set(); // Section values seen so far, offered in the section filter
+    this.paused = false;
+    // Follow new lines until the user scrolls up, then count what they haven't seen
+    this.following = true;
+    this.newLines = 0;
+    this.trimmedRows = 0; // Visible rows dropped from the top since the last render
+    this.renderedRange = null;
+    this.selectedLine = null; // Line shown in the detail panel - kept even once trimmed from the buffer
   }
 
   createElement() {
     super.createElement();
 
+    this.createToolbar();
+    this.createExportPanel();
+    this.createView();
+    this.createDetailPanel();
     this.updateContent();
     this.subscribeToUpdates();
 
     return this.element;
   }
 
-  updateContent() {
+  // The toolbar is built once so typing in the search box isn't interrupted by new lines -
+  // updateContent only re-renders the lines below it
+  createToolbar() {
     const content = this.element.querySelector('.widget-content');
-    if (!content) return;
 
-    if (this.logLines.length === 0) {
-      content.innerHTML = '<div class="text-slate-400 text-sm text-center py-8">Waiting for log messages...</div>';
-      return;
+    content.insertAdjacentHTML('beforeend', `
+      <div class="log-toolbar">
+        <button class="log-pause-toggle"></button>
+        <div class="log-level-toggles">
+          ${LOG_LEVELS.map(level => `
+            <button class="log-level-toggle log-level-${level.toLowerCase()}" data-level="${level}" title="Show ${level} entries">${level}</button>
+          `).join('')}
+        </div>
+        <select class="log-section-filter" title="Section"></select>
+        <div class="log-search">
+          <input class="log-search-input" type="text" placeholder="Search logs..." spellcheck="false">
+          <button class="log-regex-toggle" title="Regular expression">.*</button>
+        </div>
+        <button class="log-id-filter" title="Show entries with any id" style="display: none;"></button>
+        <span class="log-match-count"></span>
+        <button class="log-export-toggle" title="Export the shown lines">⭳ Export</button>
+      </div>
+    `);
+
+    const toolbar = content.querySelector('.log-toolbar');
+    this.searchInput = toolbar.querySelector('.log-search-input');
+    this.searchInput.value = this.filter.search;
+    if (this.filter.section) this.sections.add(this.filter.section);
+    this.renderSectionOptions();
+    this.updateToolbar();
+
+    toolbar.addEventListener('click', (e) => {
+      const levelToggle = e.target.closest('.log-level-toggle');
+      if (levelToggle) {
+        const level = levelToggle.getAttribute('data-level');
+        const levels = this.filter.levels.includes(level)
+          ? this.filter.levels.filter(other => other !== level)
+          : LOG_LEVELS.filter(other => other === level || this.filter.levels.includes(other));
+        this.setFilter({ levels });
+      } else if (e.target.closest('.log-regex-toggle')) {
+        this.setFilter({ regex: !this.filter.regex });
+      } else if (e.target.closest('.log-pause-toggle')) {
+        this.setPaused(!this.paused);
+      } else if (e.target.closest('.log-id-filter')) {
+        this.setFilter({ id: null });
+      } else if (e.target.closest('.log-export-toggle')) {
+        this.toggleExportPanel();
+      }
+    });
+
+    toolbar.querySelector('.log-section-filter').addEventListener('change', (e) => {
+      this.setFilter({ section: e.target.value || null });
+    });
+
+    // Filter while typing, save once the search is committed (Enter or leaving the box)
+    this.searchInput.addEventListener('input', () => this.setFilter({ search: this.searchInput.value }, false));
+    this.searchInput.addEventListener('change', () => this.saveFilter());
+  }
+
+  // Download of the lines matching the filter, optionally only the most recent ones
+  createExportPanel() {
+    const content = this.element.querySelector('.widget-content');
+
+    content.insertAdjacentHTML('beforeend', `
+      <div class="log-export" style="display: none;">
+        <select class="log-export-format" title="Format">
+          ${Object.entries(LOG_EXPORT_FORMATS).map(([format, { label }]) => `<option value="${format}">${label}</option>`).join('')}
+        </select>
+        <select class="log-export-range" title="Time range">
+          <option value="">Whole buffer</option>
+          ${logConfig.exportRangeMinutes.map(minutes => `
+            <option value="${minutes}">Last ${minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`}</option>
+          `).join('')}
+        </select>
+        <span class="log-export-count"></span>
+        <button class="log-export-download">Download</button>
+      </div>
+    `);
+
+    this.exportPanel = content.querySelector('.log-export');
+    this.exportPanel.querySelector('.log-export-range').addEventListener('change', () => this.updateExportCount());
+    this.exportPanel.querySelector('.log-export-download').addEventListener('click', () => this.downloadLines());
+  }
+
+  toggleExportPanel() {
+    const open = this.exportPanel.style.display === 'none';
+    this.exportPanel.style.display = open ? '' : 'none';
+    this.element.querySelector('.log-export-toggle').classList.toggle('active', open);
+    if (open) this.updateExportCount();
+  }
+
+  // Lines an export would contain - the ones shown, within the chosen time range
+  getExportLines() {
+    const minutes = Number(this.exportPanel.querySelector('.log-export-range').value) || null;
+    return filterLinesByAge(this.visibleLines, minutes);
+  }
+
+  updateExportCount() {
+    if (!this.exportPanel || this.exportPanel.style.display === 'none') return;
+
+    const count = this.getExportLines().length;
+    this.exportPanel.querySelector('.log-export-count').textContent = `${count} line${count !== 1 ? 's' : ''}`;
+    this.exportPanel.querySelector('.log-export-download').disabled = count === 0;
+  }
+
+  downloadLines() {
+    const format = this.exportPanel.querySelector('.log-export-format').value;
+    const { extension, mimeType } = LOG_EXPORT_FORMATS[format];
+    const time = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+    try {
+      downloadTextFile(`logs-${this.getSource()}-${time}.${extension}`, exportLogLines(this.getExportLines(), format), mimeType);
+    } catch (error) {
+      console.error('Error exporting log lines:', error);
     }
+  }
+
+  // Scrolling view of the lines, with the "new lines" button floating over its bottom edge.
+  // Not a drag handle, so lines can be clicked and selected and the scrollbar dragged.
+  createView() {
+    const content = this.element.querySelector('.widget-content');
+
+    content.insertAdjacentHTML('beforeend', `
+      <div class="log-viewport log-tail-effect" data-no-drag>
+        <div class="log-view font-mono text-xs bg-slate-900 rounded p-2 h-96 overflow-y-auto custom-scrollbar">
+          <div class="log-spacer"><div class="log-rows"></div></div>
+          <div class="log-empty text-slate-400 text-sm text-center py-8"></div>
+        </div>
+        <button class="log-new-lines" style="display: none;"></button>
+      </div>
+    `);
+
+    this.view = content.querySelector('.log-view');
+    this.view.addEventListener('scroll', () => this.handleScroll());
+    content.querySelector('.log-new-lines').addEventListener('click', () => this.scrollToBottom());
+
+    // Clicking a line opens it in the detail panel, clicking it again closes it
+    this.view.addEventListener('click', (e) => {
+      const row = e.target.closest('.log-row');
+      const selection = window.getSelection();
+      if (!row || (selection?.toString() && this.view.contains(selection.anchorNode))) return; // Selecting text isn't a click
 
-    const logHtml = this.logLines.slice(-this.maxLines).map(line => this.formatLogLine(line)).join('');
-    content.innerHTML = `
-      <div class="font-mono text-xs bg-slate-900 rounded p-2 h-96 overflow-y-auto custom-scrollbar log-tail-effect">
-        ${logHtml}
+      const seq = Number(row.getAttribute('data-seq'));
+      if (this.selectedLine?.seq === seq) {
+        this.hideDetail();
+      } else {
+        this.showDetail(this.logLines.find(line => line.seq === seq));
+      }
+    });
+  }
+
+  // Every field of the selected entry, with copy and "filter to" shortcuts
+  createDetailPanel() {
+    const content = this.element.querySelector('.widget-content');
+
+    content.insertAdjacentHTML('beforeend', `
+      <div class="log-detail" data-no-drag style="display: none;">
+        <div class="log-detail-header">
+          <span class="log-detail-title"></span>
+          <span class="log-detail-status"></span>
+          <button class="log-detail-action" data-detail-action="copy" title="Copy the raw entry as JSON">Copy JSON</button>
+          <button class="log-detail-action" data-detail-action="section"></button>
+          <button class="log-detail-action" data-detail-action="id"></button>
+          <button class="log-detail-close" data-detail-action="close" aria-label="Close details">×</button>
+        </div>
+        <div class="log-detail-fields custom-scrollbar"></div>
       </div>
+    `);
+
+    this.detailPanel = content.querySelector('.log-detail');
+    this.detailPanel.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-detail-action]');
+      if (!button || !this.selectedLine) return;
+
+      const { section, id } = getLogFields(this.selectedLine.entry);
+      switch (button.getAttribute('data-detail-action')) {
+        case 'copy':
+          this.copySelectedEntry();
+          break;
+        case 'section':
+          this.setFilter({ section });
+          break;
+        case 'id':
+          this.setFilter({ id: String(id) });
+          break;
+        case 'close':
+          this.hideDetail();
+          break;
+      }
+    });
+  }
+
+  showDetail(line) {
+    if (!line || !this.detailPanel) return;
+    this.selectedLine = line;
+
+    const { entry, seq, receivedAt } = line;
+    const { level, section, id } = getLogFields(entry);
+    const panel = this.detailPanel;
+
+    panel.querySelector('.log-detail-title').textContent =
+      `Line ${seq} · received ${new Date(receivedAt).toLocaleTimeString()}${level ? ` · ${level}` : ''}`;
+    panel.querySelector('.log-detail-status').textContent = '';
+
+    // Plain text lines have no section or id to filter on
+    const sectionButton = panel.querySelector('[data-detail-action="section"]');
+    sectionButton.style.display = section ? '' : 'none';
+    sectionButton.textContent = `Only ${section}`;
+    sectionButton.title = `Show only entries from section "${section}"`;
+
+    const idButton = panel.querySelector('[data-detail-action="id"]');
+    idButton.style.display = id !== null ? '' : 'none';
+    idButton.textContent = `Only #${id}`;
+    idButton.title = `Show only entries with id ${id}`;
+
+    panel.querySelector('.log-detail-fields').innerHTML = typeof entry === 'string'
+      ? `
+        <div class="log-detail-note">Plain text line (not JSON)</div>
+        <div class="log-detail-text">${escapeHtml(entry)}</div>
+      `
+      : Object.entries(entry || {}).map(([key, value]) => renderField(key, value)).join('');
+
+    panel.style.display = '';
+    this.markSelectedRow();
+  }
+
+  hideDetail() {
+    this.selectedLine = null;
+    if (this.detailPanel) this.detailPanel.style.display = 'none';
+    this.markSelectedRow();
+  }
+
+  markSelectedRow() {
+    this.view?.querySelectorAll('.log-row').forEach(row => {
+      row.classList.toggle('selected', Number(row.getAttribute('data-seq')) === this.selectedLine?.seq);
+    });
+  }
+
+  async copySelectedEntry() {
+    const status = this.detailPanel.querySelector('.log-detail-status');
+    try {
+      await copyToClipboard(JSON.stringify(this.selectedLine.entry, null, 2));
+      status.textContent = 'Copied';
+    } catch (error) {
+      console.error('Error copying log entry:', error);
+      status.textContent = 'Copy failed';
+    }
+  }
+
+  renderSectionOptions() {
+    const select = this.element?.querySelector('.log-section-filter');
+    if (!select) return;
+
+    const sections = [...this.sections].sort();
+    select.innerHTML = `
+      <option value="">All sections</option>
+      ${sections.map(section => `<option value="${escapeHtml(section)}">${escapeHtml(section)}</option>`).join('')}
     `;
+    select.value = this.filter.section || '';
+  }
 
-    this.ensureCloseButton();
+  // Reflect the filter and pause state in the toolbar controls
+  updateToolbar() {
+    const toolbar = this.element?.querySelector('.log-toolbar');
+    if (!toolbar) return;
+
+    toolbar.querySelectorAll('.log-level-toggle').forEach(toggle => {
+      toggle.classList.toggle('active', this.filter.levels.includes(toggle.getAttribute('data-level')));
+    });
+    toolbar.querySelector('.log-regex-toggle').classList.toggle('active', this.filter.regex);
+    this.searchInput.classList.toggle('invalid', Boolean(this.compiledFilter.error));
+    this.searchInput.title = this.compiledFilter.error || '';
+
+    const pauseToggle = toolbar.querySelector('.log-pause-toggle');
+    pauseToggle.classList.toggle('active', this.paused);
+    pauseToggle.textContent = this.paused
+      ? `▶ Resume${this.pendingLines.length > 0 ? ` (${this.pendingLines.length})` : ''}`
+      : '⏸ Pause';
+    pauseToggle.title = this.paused ? 'Show the lines received while paused' : 'Pause the stream';
+
+    // Set from a line's details - shown as a chip that clears it
+    const idFilter = toolbar.querySelector('.log-id-filter');
+    idFilter.style.display = this.filter.id !== null ? '' : 'none';
+    idFilter.textContent = `#${this.filter.id} ×`;
+    toolbar.querySelector('.log-section-filter').value = this.filter.section || '';
+  }
+
+  setFilter(updates, save = true) {
+    this.filter = { ...this.filter, ...updates };
+    this.compiledFilter = compileLogFilter(this.filter);
+    this.visibleLines = this.logLines.filter(line => this.compiledFilter.matches(line.entry));
+    this.newLines = 0;
+    this.trimmedRows = 0;
+    this.updateToolbar();
+    this.updateContent();
+    if (save) this.saveFilter();
+  }
 
-    // Auto-scroll to bottom
-    const logContainer = content.querySelector('.custom-scrollbar');
-    if (logContainer) {
-      logContainer.scrollTop = logContainer.scrollHeight;
+  // The filter is view state - saved with the widget, but not as an undo step
+  saveFilter() {
+    this.config = { ...this.config, filter: { ...this.filter } };
+    storageManager.updateWidget(this.id, { config: { ...this.config } });
+  }
+
+  // While paused the view stays as it is - new entries wait and are added on resume
+  setPaused(paused) {
+    this.paused = paused;
+    if (!paused) {
+      const pending = this.pendingLines;
+      this.pendingLines = [];
+      this.appendLines(pending);
     }
+    this.updateToolbar();
   }
 
-  formatLogLine(logEntry) {
-    if (typeof logEntry === 'string') {
-      return `<div class="text-slate-200 py-1">${this.escapeHtml(logEntry)}</div>`;
+  handleScroll() {
+    const view = this.view;
+    const atBottom = view.scrollTop + view.clientHeight >= view.scrollHeight - ROW_HEIGHT;
+    if (atBottom !== this.following) {
+      this.following = atBottom;
+      if (atBottom) this.newLines = 0;
+      this.updateNewLinesButton();
     }
+    this.renderRows();
+  }
 
-    // Handle structured log entries
-    const { timestamp, level = 'INFO', section = 'unknown', message, id } = logEntry;
-
-    let levelClass = 'text-slate-300';
-    switch (level.toUpperCase()) {
-      case 'ERROR':
-        levelClass = 'text-red-300';
-        break;
-      case 'WARN':
-      case 'WARNING':
-        levelClass = 'text-yellow-300';
-        break;
-      case 'INFO':
-        levelClass = 'text-blue-300';
-        break;
-      case 'DEBUG':
-        levelClass = 'text-gray-300';
-        break;
+  scrollToBottom() {
+    this.following = true;
+    this.newLines = 0;
+    this.view.scrollTop = this.view.scrollHeight;
+    this.updateNewLinesButton();
+    this.renderRows();
+  }
+
+  updateNewLinesButton() {
+    const button = this.element?.querySelector('.log-new-lines');
+    if (!button) return;
+
+    button.style.display = !this.following && this.newLines > 0 ? '' : 'none';
+    button.textContent = `↓ ${this.newLines} new line${this.newLines !== 1 ? 's' : ''}`;
+  }
+
+  updateContent() {
+    const view = this.view;
+    if (!view) return;
+
+    const matchCount = this.element.querySelector('.log-match-count');
+    matchCount.textContent = this.compiledFilter.active && this.logLines.length > 0
+      ? `${this.visibleLines.length} of ${this.logLines.length}`
+      : '';
+
+    const empty = view.querySelector('.log-empty');
+    if (this.visibleLines.length === 0) {
+      empty.textContent = this.logLines.length === 0 ? 'Waiting for log messages...' : 'No log messages match the filter';
+      empty.style.display = '';
+    } else {
+      empty.style.display = 'none';
+    }
+
+    view.querySelector('.log-spacer').style.height = `${this.visibleLines.length * ROW_HEIGHT}px`;
+
+    // Follow the newest line, or keep the lines being read in place when older ones were dropped
+    if (this.following) {
+      view.scrollTop = view.scrollHeight;
+    } else if (this.trimmedRows > 0) {
+      view.scrollTop = Math.max(0, view.scrollTop - this.trimmedRows * ROW_HEIGHT);
+    }
+    this.trimmedRows = 0;
+
+    this.renderedRange = null;
+    this.renderRows();
+    this.updateNewLinesButton();
+    this.updateExportCount();
+    this.ensureCloseButton();
+  }
+
+  // Render only the rows in (or near) view
+  renderRows() {
+    const view = this.view;
+    if (!view) return;
+
+    const height = view.clientHeight || DEFAULT_VIEW_HEIGHT;
+    const start = Math.max(0, Math.floor(view.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const end = Math.min(this.visibleLines.length, Math.ceil((view.scrollTop + height) / ROW_HEIGHT) + OVERSCAN_ROWS);
+    if (this.renderedRange && this.renderedRange.start === start && this.renderedRange.end === end) return;
+    this.renderedRange = { start, end };
+
+    const rows = view.querySelector('.log-rows');
+    rows.style.transform = `translateY(${start * ROW_HEIGHT}px)`;
+    rows.innerHTML = this.visibleLines.slice(start, end).map(line => this.formatLogLine(line)).join('');
+    this.markSelectedRow();
+  }
+
+  formatLogLine({ seq, entry, receivedAt }) {
+    const highlight = (text) => this.compiledFilter.highlight(text);
+
+    if (typeof entry === 'string') {
+      return `<div class="log-row text-slate-200" data-seq="${seq}" title="${escapeHtml(entry)}">${highlight(entry)}</div>`;
     }
 
-    const timeStr = timestamp || new Date().toLocaleTimeString();
+    // Handle structured log entries
+    const { timestamp, level, section, message, id } = getLogFields(entry);
+    const levelClass = LEVEL_CLASSES[level] || 'text-slate-300';
+
+    const timeStr = timestamp || new Date(receivedAt).toLocaleTimeString();
     const levelStr = level.padEnd(5);
     const sectionStr = section.padEnd(10).substring(0, 10);
 
     return `
-      <div class="py-1 flex items-start space-x-2">
-        <span class="text-slate-400 whitespace-nowrap">${timeStr}</span>
-        <span class="font-bold ${levelClass} whitespace-nowrap">${levelStr}</span>
-        <span class="text-slate-300 whitespace-nowrap">${sectionStr}</span>
-        ${id ? `<span class="text-slate-500 whitespace-nowrap">#${id}</span>` : ''}
-        <span class="text-slate-200 flex-1 break-words">${this.escapeHtml(message || logEntry)}</span>
+      <div class="log-row flex items-center space-x-2" data-seq="${seq}" title="${escapeHtml(message)}">
+        <span class="text-slate-400">${escapeHtml(timeStr)}</span>
+        <span class="font-bold ${levelClass}">${levelStr}</span>
+        <span class="text-slate-300">${highlight(sectionStr)}</span>
+        ${id !== null ? `<span class="text-slate-500">#${highlight(id)}</span>` : ''}
+        <span class="text-slate-200 flex-1 truncate">${highlight(message)}</span>
       </div>
     `;
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  addLogEntry(entry) {
+    this.lastReceived = Date.now() / 1000;
+
+    const { section } = getLogFields(entry);
+    if (section && !this.sections.has(section)) {
+      this.sections.add(section);
+      this.renderSectionOptions();
+    }
+
+    const line = { seq: this.nextSeq++, entry, receivedAt: Date.now() };
+    if (this.paused) {
+      this.pendingLines.push(line);
+      if (this.pendingLines.length > this.scrollback) this.pendingLines.shift();
+      this.updateToolbar();
+      return;
+    }
+
+    this.appendLines([line]);
   }
 
-  addLogEntry(entry) {
-    this.logLines.push(entry);
+  appendLines(lines) {
+    if (lines.length === 0) return;
 
-    // Keep only the last maxLines entries
-    if (this.logLines.length > this.maxLines * 2) {
-      this.logLines = this.logLines.slice(-this.maxLines);
+    lines.forEach(line => {
+      this.logLines.push(line);
+      if (this.compiledFilter.matches(line.entry)) {
+        this.visibleLines.push(line);
+        if (!this.following) this.newLines++;
+      }
+    });
+
+    // Keep the newest `scrollback` lines
+    const excess = this.logLines.length - this.scrollback;
+    if (excess > 0) {
+      this.logLines.splice(0, excess);
+      const oldest = this.logLines[0].seq;
+      const dropped = this.visibleLines.findIndex(line => line.seq >= oldest);
+      const droppedRows = dropped === -1 ? this.visibleLines.length : dropped;
+      this.visibleLines.splice(0, droppedRows);
+      this.trimmedRows += droppedRows;
     }
 
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   clearLogs() {
     this.logLines = [];
+    this.visibleLines = [];
+    this.pendingLines = [];
+    this.newLines = 0;
+    this.hideDetail();
+    this.updateToolbar();
+    this.updateContent();
+  }
+
+  getLastUpdated() {
+    return this.lastReceived;
+  }
+
+  // Keep the received lines when the widget is recreated with new settings - a smaller
+  // scrollback drops the oldest ones
+  getReloadState() {
+    return {
+      logLines: this.logLines,
+      pendingLines: this.pendingLines,
+      nextSeq: this.nextSeq,
+      lastReceived: this.lastReceived,
+      sections: this.sections,
+      paused: this.paused
+    };
+  }
+
+  restoreReloadState(state) {
+    this.logLines = state.logLines.slice(-this.scrollback);
+    this.pendingLines = state.pendingLines.slice(-this.scrollback);
+    this.visibleLines = this.logLines.filter(line => this.compiledFilter.matches(line.entry));
+    this.nextSeq = state.nextSeq;
+    this.lastReceived = state.lastReceived;
+    this.sections = new Set(state.sections);
+    this.paused = state.paused;
+
+    this.renderSectionOptions();
+    this.updateToolbar();
     this.updateContent();
   }
 
@@ -116,26 +594,16 @@ export class LogStreamWidget extends BaseWidget {
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('log', this.updateCallback);
-
-    // Periodic cleanup
-    this.cleanupInterval = setInterval(() => {
-      if (this.logLines.length > this.maxLines) {
-        this.logLines = this.logLines.slice(-this.maxLines);
-        this.updateContent();
-      }
-    }, 30000); // Clean up every 30 seconds
   }
 
   destroy() {
     if (this.updateCallback) {
       unsubscribeFromStream('log', this.updateCallback);
     }
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
     super.destroy();
   }
 }
-
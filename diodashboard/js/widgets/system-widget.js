@@ -1,7 +1,7 @@
 // System-specific widgets
 
 import { BaseWidget } from './base-widget.js';
-import { systemData } from '../data/state.js';
+import { systemData, readNodeData } from '../data/state.js';
 import { formatValue, formatMemory, formatTimestamp } from '../utils/formatting.js';
 import { subscribeToStream, unsubscribeFromStream } from '../utils/websocket.js';
 
@@ -10,6 +10,7 @@ export class SystemCpuWidget extends BaseWidget {
     super(config);
     this.type = 'system-cpu';
     this.updateInterval = null;
+    this.defaultThresholds = { warning: 60, critical: 80 };
   }
 
   createElement() {
@@ -25,21 +26,29 @@ export class SystemCpuWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    const cpuUsage = systemData.cpu_usage;
-    const coreUsages = systemData.core_usages;
-    const cpuCores = systemData.cpu_cores;
+    const nodeSystem = readNodeData(systemData, this.getSource());
+
+    const cpuUsage = nodeSystem.cpu_usage;
+    const coreUsages = nodeSystem.core_usages;
+    const cpuCores = nodeSystem.cpu_cores;
 
     if (!cpuUsage) {
       content.innerHTML = '<div class="text-slate-400 text-sm">CPU data not available</div>';
       return;
     }
 
+    if (this.isExpired(cpuUsage.last_updated)) {
+      this.renderExpired(content, cpuUsage.last_updated);
+      return;
+    }
+
     const usage = cpuUsage.value;
     const cores = cpuCores ? cpuCores.value : 'N/A';
+    const usageColor = this.getUsageColor(usage);
 
     content.innerHTML = `
       <div class="text-center">
-        <div class="text-3xl font-mono font-bold ${this.getUsageColor(usage)} mb-2">
+        <div class="text-3xl font-mono font-bold ${usageColor.className} mb-2" style="${usageColor.style}">
           ${usage.toFixed(1)}%
         </div>
         <div class="text-sm text-slate-400 mb-4">CPU Usage</div>
@@ -52,12 +61,15 @@ export class SystemCpuWidget extends BaseWidget {
 
         ${Array.isArray(coreUsages?.value) && coreUsages.value.length > 0 ? `
           <div class="grid grid-cols-4 gap-1 text-xs">
-            ${coreUsages.value.map((usage, index) => `
-              <div class="text-center">
-                <div class="text-slate-400">C${index}</div>
-                <div class="${this.getUsageColor(usage)} font-mono">${usage.toFixed(0)}%</div>
-              </div>
-            `).join('')}
+            ${coreUsages.value.map((usage, index) => {
+              const coreColor = this.getUsageColor(usage);
+              return `
+                <div class="text-center">
+                  <div class="text-slate-400">C${index}</div>
+                  <div class="${coreColor.className} font-mono" style="${coreColor.style}">${usage.toFixed(0)}%</div>
+                </div>
+              `;
+            }).join('')}
           </div>
         ` : ''}
 
@@ -71,18 +83,28 @@ export class SystemCpuWidget extends BaseWidget {
     this.autoSize();
   }
 
+  // Warning/critical above 60% / 80% unless the config sets thresholds
   getUsageColor(usage) {
-    if (usage > 80) return 'text-red-400';
-    if (usage > 60) return 'text-yellow-400';
-    return 'text-green-400';
+    return this.getValueColor(usage, 'text-green-400');
+  }
+
+  getLastUpdated() {
+    const cpuUsage = readNodeData(systemData, this.getSource()).cpu_usage;
+    return cpuUsage ? cpuUsage.last_updated : null;
+  }
+
+  getAlertMetrics() {
+    return ['cpu_usage', 'cpu_cores', 'core_usages', 'load_avg'].map(key => ({ stream: 'system', key }));
   }
 
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('system', this.updateCallback);
   }
 
@@ -108,6 +130,7 @@ export class SystemMemoryWidget extends BaseWidget {
     super(config);
     this.type = 'system-memory';
     this.updateInterval = null;
+    this.defaultThresholds = { warning: 70, critical: 90 };
   }
 
   createElement() {
@@ -123,23 +146,31 @@ export class SystemMemoryWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    const memoryTotal = systemData.memory_total;
-    const memoryUsed = systemData.memory_used;
-    const swapTotal = systemData.swap_total;
-    const swapUsed = systemData.swap_used;
+    const nodeSystem = readNodeData(systemData, this.getSource());
+
+    const memoryTotal = nodeSystem.memory_total;
+    const memoryUsed = nodeSystem.memory_used;
+    const swapTotal = nodeSystem.swap_total;
+    const swapUsed = nodeSystem.swap_used;
 
     if (!memoryTotal || !memoryUsed) {
       content.innerHTML = '<div class="text-slate-400 text-sm">Memory data not available</div>';
       return;
     }
 
+    if (this.isExpired(memoryUsed.last_updated)) {
+      this.renderExpired(content, memoryUsed.last_updated);
+      return;
+    }
+
     const total = memoryTotal.value;
     const used = memoryUsed.value;
     const usagePercent = (used / total) * 100;
+    const usageColor = this.getUsageColor(usagePercent);
 
     content.innerHTML = `
       <div class="text-center">
-        <div class="text-3xl font-mono font-bold ${this.getUsageColor(usagePercent)} mb-2">
+        <div class="text-3xl font-mono font-bold ${usageColor.className} mb-2" style="${usageColor.style}">
           ${usagePercent.toFixed(1)}%
         </div>
         <div class="text-sm text-slate-400 mb-4">Memory Usage</div>
@@ -180,18 +211,28 @@ export class SystemMemoryWidget extends BaseWidget {
     this.autoSize();
   }
 
+  // Warning/critical above 70% / 90% unless the config sets thresholds
   getUsageColor(usage) {
-    if (usage > 90) return 'text-red-400';
-    if (usage > 70) return 'text-yellow-400';
-    return 'text-blue-400';
+    return this.getValueColor(usage, 'text-blue-400');
+  }
+
+  getLastUpdated() {
+    const memoryUsed = readNodeData(systemData, this.getSource()).memory_used;
+    return memoryUsed ? memoryUsed.last_updated : null;
+  }
+
+  getAlertMetrics() {
+    return ['memory_usage', 'memory_used', 'memory_total', 'swap_used', 'swap_total'].map(key => ({ stream: 'system', key }));
   }
 
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('system', this.updateCallback);
   }
 
@@ -208,7 +249,7 @@ export class SystemMetricWidget extends BaseWidget {
     super(config);
     this.type = 'system-metric';
     this.updateCallback = null;
-    this.targetKey = config.config?.systemKey || config.config?.metricKey || null;
+    this.targetKey = config.config?.systemKey || null;
   }
 
   createElement() {
@@ -224,14 +265,27 @@ export class SystemMetricWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
+    const nodeSystem = readNodeData(systemData, this.getSource());
+
+    // The node reports metrics but not ours - don't silently show another one
+    if (this.targetKey && !nodeSystem[this.targetKey] && Object.keys(nodeSystem).length > 0) {
+      this.renderMetricNotFound(content, this.targetKey);
+      return;
+    }
+
     // If we have a specific target key, show that metric
-    if (this.targetKey && systemData[this.targetKey]) {
-      const metric = systemData[this.targetKey];
+    if (this.targetKey && nodeSystem[this.targetKey]) {
+      const metric = nodeSystem[this.targetKey];
+      if (this.isExpired(metric.last_updated)) {
+        this.renderExpired(content, metric.last_updated);
+        return;
+      }
 
+      const valueColor = this.getValueColor(metric.value, 'text-purple-300');
       content.innerHTML = `
         <div class="text-center">
-          <div class="text-2xl font-mono font-bold text-purple-300 mb-2">
-            ${formatValue(metric.value, this.targetKey, metric)}
+          <div class="text-2xl font-mono font-bold ${valueColor.className} mb-2" style="${valueColor.style}">
+            ${this.formatDisplayValue(metric.value, formatValue(metric.value, this.targetKey, metric))}
           </div>
           <div class="text-sm text-slate-400 mb-4">${this.targetKey.replace(/_/g, ' ')}</div>
           <div class="text-xs text-slate-500">
@@ -244,7 +298,7 @@ export class SystemMetricWidget extends BaseWidget {
       this.autoSize();
     } else {
       // Fallback: show first available metric
-      const metrics = Object.entries(systemData).filter(([key, metric]) =>
+      const metrics = Object.entries(nodeSystem).filter(([key, metric]) =>
         key !== 'timestamp' && key !== 'type' && !Array.isArray(metric.value) &&
         typeof metric.value !== 'object'
       );
@@ -257,10 +311,11 @@ export class SystemMetricWidget extends BaseWidget {
       const [key, metric] = metrics[0];
       this.targetKey = key;
 
+      const valueColor = this.getValueColor(metric.value, 'text-purple-300');
       content.innerHTML = `
         <div class="text-center">
-          <div class="text-2xl font-mono font-bold text-purple-300 mb-2">
-            ${formatValue(metric.value, key, metric)}
+          <div class="text-2xl font-mono font-bold ${valueColor.className} mb-2" style="${valueColor.style}">
+            ${this.formatDisplayValue(metric.value, formatValue(metric.value, key, metric))}
           </div>
           <div class="text-sm text-slate-400 mb-4">${key.replace(/_/g, ' ')}</div>
           <div class="text-xs text-slate-500">
@@ -274,12 +329,23 @@ export class SystemMetricWidget extends BaseWidget {
     }
   }
 
+  getLastUpdated() {
+    const metric = readNodeData(systemData, this.getSource())[this.targetKey];
+    return metric ? metric.last_updated : null;
+  }
+
+  getAlertMetrics() {
+    return this.targetKey ? [{ stream: 'system', key: this.targetKey }] : [];
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('system', this.updateCallback);
   }
 
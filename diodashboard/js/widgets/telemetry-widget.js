@@ -1,9 +1,44 @@
 // Telemetry-specific widgets
 
 import { BaseWidget } from './base-widget.js';
-import { telemetryData } from '../data/state.js';
-import { formatValue, formatTime, formatTimestamp, getMetricType } from '../utils/formatting.js';
+import { telemetryData, readNodeData } from '../data/state.js';
+import { metricHistory } from '../data/history.js';
+import { formatValue, formatTime, formatTimestamp, getMetricType, escapeHtml } from '../utils/formatting.js';
 import { subscribeToStream, unsubscribeFromStream } from '../utils/websocket.js';
+import { renderSparkline, renderLineChart, renderHistogramChart } from '../utils/charts.js';
+import { quantileLabel } from '../utils/histogram.js';
+import { parseSelector, selectMetrics } from '../utils/selectors.js';
+
+// A widget's `selector` config, parsed once - null when unset, { error } when it doesn't parse
+function readSelector(config) {
+  if (!config.selector) return null;
+  try {
+    return parseSelector(config.selector);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Series of a node a widget can show - those matching its selector, or all of them except the
+// log-derived ones (see utils/log-metrics.js), which are only shown when asked for
+function selectSeries(selector, nodeTelemetry) {
+  if (!selector) return Object.values(nodeTelemetry).filter(metric => !metric.derived);
+  return selector.error ? [] : selectMetrics(selector, nodeTelemetry);
+}
+
+function renderSelectorError(content, widget) {
+  content.innerHTML = `
+    <div class="text-red-400 text-sm">Invalid selector <span class="font-mono">${escapeHtml(widget.config.selector)}</span></div>
+    <div class="text-slate-500 text-xs mt-1">${escapeHtml(widget.selector.error)}</div>
+  `;
+}
+
+// Placeholder when there's nothing to show - names the selector when there is one
+function renderNoSeries(content, widget, message) {
+  content.innerHTML = widget.selector
+    ? `<div class="text-slate-400 text-sm">No series match <span class="font-mono">${escapeHtml(widget.config.selector)}</span></div>`
+    : `<div class="text-slate-400 text-sm">${message}</div>`;
+}
 
 export class TelemetryGaugeWidget extends BaseWidget {
   constructor(config) {
@@ -12,6 +47,8 @@ export class TelemetryGaugeWidget extends BaseWidget {
     this.updateCallback = null;
     // For individual metrics, use the specific key
     this.targetKey = config.config?.key || null;
+    // A label selector narrows the metrics shown instead (and wins over the key)
+    this.selector = readSelector(this.config);
   }
 
   createElement() {
@@ -27,25 +64,34 @@ export class TelemetryGaugeWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    if (this.targetKey) {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+
+    if (this.selector?.error) {
+      renderSelectorError(content, this);
+      return;
+    }
+
+    if (this.targetKey && !this.selector) {
       // Show single metric
-      const metric = telemetryData[this.targetKey];
+      const metric = nodeTelemetry[this.targetKey];
       if (!metric) {
         content.innerHTML = '<div class="text-slate-400 text-sm">Metric not available</div>';
         return;
       }
+      if (this.isExpired(metric.last_updated)) {
+        this.renderExpired(content, metric.last_updated);
+        return;
+      }
 
       content.innerHTML = this.createSingleGaugeCard(metric);
       this.ensureCloseButton();
       this.autoSize();
     } else {
       // Show all gauge metrics
-      const gauges = Object.values(telemetryData).filter(metric =>
-        metric.metric_type?.type === 'gauge'
-      );
+      const gauges = this.filterExpired(this.getSeries(nodeTelemetry));
 
       if (gauges.length === 0) {
-        content.innerHTML = '<div class="text-slate-400 text-sm">No gauge metrics available</div>';
+        renderNoSeries(content, this, 'No gauge metrics available');
         return;
       }
 
@@ -63,13 +109,14 @@ export class TelemetryGaugeWidget extends BaseWidget {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-cyan-300');
 
     return `
       <div class="text-center">
         <div class="text-lg font-medium text-slate-200 mb-2">${metric.name.replace(/_/g, ' ')}</div>
         ${labelsStr ? `<div class="text-sm text-slate-400 mb-4">${labelsStr}</div>` : ''}
-        <div class="text-3xl font-mono font-bold text-cyan-300 mb-2">
-          ${formatValue(metric.value, metric.name, metric)}
+        <div class="text-3xl font-mono font-bold ${valueColor.className} mb-2" style="${valueColor.style}">
+          ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
         </div>
         ${metric.cached_rate ? `
           <div class="text-sm text-slate-400 mt-2">
@@ -87,6 +134,7 @@ export class TelemetryGaugeWidget extends BaseWidget {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-cyan-300');
 
     return `
       <div class="bg-slate-900/50 rounded p-2 border border-slate-700">
@@ -95,8 +143,8 @@ export class TelemetryGaugeWidget extends BaseWidget {
             <div class="text-xs font-medium text-slate-200 truncate">${metric.name.replace(/_/g, ' ')}</div>
             ${labelsStr ? `<div class="text-xs text-slate-400 truncate">${labelsStr}</div>` : ''}
           </div>
-          <div class="text-sm font-mono font-bold text-cyan-300 ml-2">
-            ${formatValue(metric.value, metric.name, metric)}
+          <div class="text-sm font-mono font-bold ${valueColor.className} ml-2" style="${valueColor.style}">
+            ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
           </div>
         </div>
         ${metric.cached_rate ? `
@@ -108,13 +156,35 @@ export class TelemetryGaugeWidget extends BaseWidget {
     `;
   }
 
+  // Gauge metrics of the node, narrowed by the selector when there is one
+  getSeries(nodeTelemetry) {
+    return selectSeries(this.selector, nodeTelemetry).filter(metric => metric.metric_type?.type === 'gauge');
+  }
+
+  getLastUpdated() {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+    if (this.targetKey && !this.selector) {
+      return nodeTelemetry[this.targetKey]?.last_updated ?? null;
+    }
+    return this.getNewestTimestamp(this.getSeries(nodeTelemetry));
+  }
+
+  getAlertMetrics() {
+    if (this.targetKey && !this.selector) {
+      return [{ stream: 'telemetry', key: this.targetKey }];
+    }
+    return this.getSeries(readNodeData(telemetryData, this.getSource())).map(metric => ({ stream: 'telemetry', key: metric.key }));
+  }
+
   update(data) {
     // Update when telemetry data changes
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('telemetry', this.updateCallback);
   }
 
@@ -133,6 +203,8 @@ export class TelemetryCounterWidget extends BaseWidget {
     this.updateCallback = null;
     // For individual metrics, use the specific key
     this.targetKey = config.config?.key || null;
+    // A label selector narrows the metrics shown instead (and wins over the key)
+    this.selector = readSelector(this.config);
   }
 
   createElement() {
@@ -148,25 +220,34 @@ export class TelemetryCounterWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    if (this.targetKey) {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+
+    if (this.selector?.error) {
+      renderSelectorError(content, this);
+      return;
+    }
+
+    if (this.targetKey && !this.selector) {
       // Show single metric
-      const metric = telemetryData[this.targetKey];
+      const metric = nodeTelemetry[this.targetKey];
       if (!metric) {
         content.innerHTML = '<div class="text-slate-400 text-sm">Metric not available</div>';
         return;
       }
+      if (this.isExpired(metric.last_updated)) {
+        this.renderExpired(content, metric.last_updated);
+        return;
+      }
 
       content.innerHTML = this.createSingleCounterCard(metric);
       this.ensureCloseButton();
       this.autoSize();
     } else {
       // Show all counter metrics
-      const counters = Object.values(telemetryData).filter(metric =>
-        metric.metric_type?.type === 'counter'
-      );
+      const counters = this.filterExpired(this.getSeries(nodeTelemetry));
 
       if (counters.length === 0) {
-        content.innerHTML = '<div class="text-slate-400 text-sm">No counter metrics available</div>';
+        renderNoSeries(content, this, 'No counter metrics available');
         return;
       }
 
@@ -182,13 +263,14 @@ export class TelemetryCounterWidget extends BaseWidget {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-green-300');
 
     return `
       <div class="text-center">
         <div class="text-lg font-medium text-slate-200 mb-2">${metric.name.replace(/_/g, ' ')}</div>
         ${labelsStr ? `<div class="text-sm text-slate-400 mb-4">${labelsStr}</div>` : ''}
-        <div class="text-3xl font-mono font-bold text-green-300 mb-2">
-          ${formatValue(metric.value, metric.name, metric)}
+        <div class="text-3xl font-mono font-bold ${valueColor.className} mb-2" style="${valueColor.style}">
+          ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
         </div>
         ${metric.cached_rate ? `
           <div class="text-sm text-slate-400 mt-2">
@@ -206,6 +288,7 @@ export class TelemetryCounterWidget extends BaseWidget {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-green-300');
 
     return `
       <div class="bg-slate-900/50 rounded p-2 border border-slate-700">
@@ -214,8 +297,8 @@ export class TelemetryCounterWidget extends BaseWidget {
             <div class="text-xs font-medium text-slate-200 truncate">${metric.name.replace(/_/g, ' ')}</div>
             ${labelsStr ? `<div class="text-xs text-slate-400 truncate">${labelsStr}</div>` : ''}
           </div>
-          <div class="text-sm font-mono font-bold text-green-300 ml-2">
-            ${formatValue(metric.value, metric.name, metric)}
+          <div class="text-sm font-mono font-bold ${valueColor.className} ml-2" style="${valueColor.style}">
+            ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
           </div>
         </div>
         ${metric.cached_rate ? `
@@ -227,12 +310,34 @@ export class TelemetryCounterWidget extends BaseWidget {
     `;
   }
 
+  // Counter metrics of the node, narrowed by the selector when there is one
+  getSeries(nodeTelemetry) {
+    return selectSeries(this.selector, nodeTelemetry).filter(metric => metric.metric_type?.type === 'counter');
+  }
+
+  getLastUpdated() {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+    if (this.targetKey && !this.selector) {
+      return nodeTelemetry[this.targetKey]?.last_updated ?? null;
+    }
+    return this.getNewestTimestamp(this.getSeries(nodeTelemetry));
+  }
+
+  getAlertMetrics() {
+    if (this.targetKey && !this.selector) {
+      return [{ stream: 'telemetry', key: this.targetKey }];
+    }
+    return this.getSeries(readNodeData(telemetryData, this.getSource())).map(metric => ({ stream: 'telemetry', key: metric.key }));
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('telemetry', this.updateCallback);
   }
 
@@ -251,6 +356,8 @@ export class TelemetryHistogramWidget extends BaseWidget {
     this.updateCallback = null;
     // For individual metrics, use the specific key
     this.targetKey = config.config?.key || null;
+    // A label selector narrows the metrics shown instead (and wins over the key)
+    this.selector = readSelector(this.config);
   }
 
   createElement() {
@@ -266,25 +373,34 @@ export class TelemetryHistogramWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
-    if (this.targetKey) {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+
+    if (this.selector?.error) {
+      renderSelectorError(content, this);
+      return;
+    }
+
+    if (this.targetKey && !this.selector) {
       // Show single metric
-      const metric = telemetryData[this.targetKey];
+      const metric = nodeTelemetry[this.targetKey];
       if (!metric) {
         content.innerHTML = '<div class="text-slate-400 text-sm">Metric not available</div>';
         return;
       }
+      if (this.isExpired(metric.last_updated)) {
+        this.renderExpired(content, metric.last_updated);
+        return;
+      }
 
       content.innerHTML = this.createSingleHistogramCard(metric);
       this.ensureCloseButton();
       this.autoSize();
     } else {
       // Show all histogram metrics
-      const histograms = Object.values(telemetryData).filter(metric =>
-        metric.metric_type?.type === 'histogram'
-      );
+      const histograms = this.filterExpired(this.getSeries(nodeTelemetry));
 
       if (histograms.length === 0) {
-        content.innerHTML = '<div class="text-slate-400 text-sm">No histogram metrics available</div>';
+        renderNoSeries(content, this, 'No histogram metrics available');
         return;
       }
 
@@ -300,14 +416,24 @@ export class TelemetryHistogramWidget extends BaseWidget {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-purple-300');
 
     return `
       <div class="text-center">
         <div class="text-lg font-medium text-slate-200 mb-2">${metric.name.replace(/_/g, ' ')}</div>
         ${labelsStr ? `<div class="text-sm text-slate-400 mb-4">${labelsStr}</div>` : ''}
-        <div class="text-2xl font-mono font-bold text-purple-300 mb-2">
-          ${formatValue(metric.value, metric.name, metric)}
+        <div class="text-2xl font-mono font-bold ${valueColor.className} mb-2" style="${valueColor.style}">
+          ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
         </div>
+        ${metric.histogram ? `
+          ${this.createQuantileRow(metric, 'text-sm')}
+          <div class="flex justify-center mt-2">
+            ${renderHistogramChart(metric.histogram, { formatValue: value => formatValue(value, metric.name, metric) })}
+          </div>
+          <div class="text-xs text-slate-400 mt-1">
+            ${metric.histogram.count} samples${metric.histogram.sum !== null ? ` · sum ${formatValue(metric.histogram.sum, metric.name, metric)}` : ''}
+          </div>
+        ` : ''}
         ${metric.cached_rate ? `
           <div class="text-sm text-slate-400 mt-2">
             Rate: ${formatValue(metric.cached_rate, metric.name + '_rate', metric)}
@@ -324,14 +450,21 @@ export class TelemetryHistogramWidget extends BaseWidget {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-purple-300');
 
     return `
       <div class="bg-slate-900/50 rounded p-3 border border-slate-700">
         <div class="text-xs font-medium text-slate-200 mb-2">${metric.name.replace(/_/g, ' ')}</div>
         ${labelsStr ? `<div class="text-xs text-slate-400 mb-2">${labelsStr}</div>` : ''}
-        <div class="text-sm font-mono font-bold text-purple-300">
-          ${formatValue(metric.value, metric.name, metric)}
+        <div class="text-sm font-mono font-bold ${valueColor.className}" style="${valueColor.style}">
+          ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
         </div>
+        ${metric.histogram ? `
+          ${this.createQuantileRow(metric, 'text-xs')}
+          <div class="mt-1">
+            ${renderHistogramChart(metric.histogram, { width: 220, height: 48, showLabels: false })}
+          </div>
+        ` : ''}
         ${metric.cached_rate ? `
           <div class="text-xs text-slate-400 mt-1">
             Rate: ${formatValue(metric.cached_rate, metric.name + '_rate', metric)}
@@ -341,12 +474,49 @@ export class TelemetryHistogramWidget extends BaseWidget {
     `;
   }
 
+  // p50 / p90 / p99 summary computed client-side from the histogram buckets
+  createQuantileRow(metric, sizeClass) {
+    const quantiles = Object.entries(metric.histogram.quantiles)
+      .sort(([a], [b]) => parseFloat(a) - parseFloat(b));
+    if (quantiles.length === 0) return '';
+
+    return `
+      <div class="flex justify-center gap-3 ${sizeClass} font-mono mt-1">
+        ${quantiles.map(([q, value]) => `
+          <span><span class="text-slate-400">${quantileLabel(q)}</span> <span class="text-slate-200">${formatValue(value, metric.name, metric)}</span></span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Histogram metrics of the node, narrowed by the selector when there is one
+  getSeries(nodeTelemetry) {
+    return selectSeries(this.selector, nodeTelemetry).filter(metric => metric.metric_type?.type === 'histogram');
+  }
+
+  getLastUpdated() {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+    if (this.targetKey && !this.selector) {
+      return nodeTelemetry[this.targetKey]?.last_updated ?? null;
+    }
+    return this.getNewestTimestamp(this.getSeries(nodeTelemetry));
+  }
+
+  getAlertMetrics() {
+    if (this.targetKey && !this.selector) {
+      return [{ stream: 'telemetry', key: this.targetKey }];
+    }
+    return this.getSeries(readNodeData(telemetryData, this.getSource())).map(metric => ({ stream: 'telemetry', key: metric.key }));
+  }
+
   update(data) {
-    this.updateContent();
+    this.scheduleUpdate();
   }
 
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('telemetry', this.updateCallback);
   }
 
@@ -364,14 +534,27 @@ export class TelemetryMetricWidget extends BaseWidget {
     this.type = 'telemetry-metric';
     this.updateCallback = null;
     this.updateInterval = null;
-    // Use the configured metric key
-    this.targetKey = config.config?.key || config.config?.metricKey || null;
+    // Use the configured metric key, or every series matching a label selector
+    this.targetKey = config.config?.key || null;
+    this.selector = readSelector(this.config);
     this.selectedMetric = null;
+    // Trend display options
+    this.showSparkline = this.config.sparkline !== false;
+    this.chartMinutes = this.config.chartMinutes || 5;
+    this.chartExpanded = this.config.chartExpanded === true;
   }
 
   createElement() {
     super.createElement();
 
+    // Chart toggle lives inside content that is re-rendered, so delegate the click
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="toggle-chart"]')) {
+        e.stopPropagation();
+        this.toggleChart();
+      }
+    });
+
     this.updateContent();
     this.subscribeToUpdates();
 
@@ -382,31 +565,30 @@ export class TelemetryMetricWidget extends BaseWidget {
     const content = this.element.querySelector('.widget-content');
     if (!content) return;
 
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+
+    if (this.selector) {
+      this.renderSelection(content, nodeTelemetry);
+      return;
+    }
+
+    // The node reports metrics but not ours - don't silently show another one. Log-derived
+    // metrics are published before any telemetry arrives, so they don't count.
+    const series = selectSeries(null, nodeTelemetry);
+    if (this.targetKey && !nodeTelemetry[this.targetKey] && series.length > 0) {
+      this.renderMetricNotFound(content, this.targetKey);
+      return;
+    }
+
     // If we have a specific target key, show that metric
-    if (this.targetKey && telemetryData[this.targetKey]) {
-      const metric = telemetryData[this.targetKey];
-
-      const labelsStr = Object.keys(metric.labels).length > 0 ?
-        Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
-        '';
-
-      content.innerHTML = `
-        <div class="text-center">
-          <div class="text-lg font-medium text-slate-200 mb-2">${metric.name.replace(/_/g, ' ')}</div>
-          ${labelsStr ? `<div class="text-sm text-slate-400 mb-4">${labelsStr}</div>` : ''}
-          <div class="text-3xl font-mono font-bold text-cyan-300 mb-2">
-            ${formatValue(metric.value, metric.name, metric)}
-          </div>
-          <div class="text-xs text-slate-500">
-            ${formatTimestamp(metric.last_updated)}
-          </div>
-          ${metric.cached_rate ? `
-            <div class="text-sm text-slate-400 mt-2">
-              Rate: ${getMetricType(metric, metric.name) === 'time' ? formatTime(metric.cached_rate) : formatValue(metric.cached_rate, metric.name + '_rate', metric)}
-            </div>
-          ` : ''}
-        </div>
-      `;
+    if (this.targetKey && nodeTelemetry[this.targetKey]) {
+      const metric = nodeTelemetry[this.targetKey];
+      if (this.isExpired(metric.last_updated)) {
+        this.renderExpired(content, metric.last_updated);
+        return;
+      }
+
+      content.innerHTML = this.createMetricCard(metric);
 
       this.ensureCloseButton();
       this.autoSize(4, 3, 6, 4);
@@ -414,27 +596,84 @@ export class TelemetryMetricWidget extends BaseWidget {
     }
 
     // Fallback: show first available metric if no target key is configured
-    const metrics = Object.values(telemetryData);
+    const metrics = this.filterExpired(series);
     if (metrics.length === 0) {
       content.innerHTML = '<div class="text-slate-400 text-sm">No metrics available</div>';
       return;
     }
 
     // Select metric to show (first one or previously selected)
-    const metric = this.selectedMetric || metrics[0];
+    const metric = nodeTelemetry[this.selectedMetric?.key] || metrics[0];
     this.selectedMetric = metric;
 
+    content.innerHTML = this.createMetricCard(metric);
+
+    this.ensureCloseButton();
+    this.autoSize(4, 3, 6, 4);
+  }
+
+  // Every series matching the selector - a single one gets the full card, several a compact list
+  renderSelection(content, nodeTelemetry) {
+    if (this.selector.error) {
+      renderSelectorError(content, this);
+      return;
+    }
+
+    const selected = selectSeries(this.selector, nodeTelemetry);
+    const series = this.filterExpired(selected);
+    if (series.length === 0) {
+      if (selected.length > 0) {
+        this.renderExpired(content, this.getNewestTimestamp(selected));
+      } else {
+        renderNoSeries(content, this);
+      }
+      return;
+    }
+
+    content.innerHTML = series.length === 1
+      ? this.createMetricCard(series[0])
+      : `<div class="grid grid-cols-1 gap-2">${series.map(metric => this.createSeriesCard(metric)).join('')}</div>`;
+
+    this.ensureCloseButton();
+    this.autoSize();
+  }
+
+  // One of several selected series - the labels tell them apart
+  createSeriesCard(metric) {
+    const labelsStr = Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ');
+    const valueColor = this.getValueColor(metric.value, 'text-cyan-300');
+    const points = this.showSparkline ? metricHistory.getSeries(metric.source, 'telemetry', metric.key, this.chartMinutes * 60) : [];
+
+    return `
+      <div class="bg-slate-900/50 rounded p-2 border border-slate-700">
+        <div class="flex justify-between items-start">
+          <div class="flex-1 min-w-0">
+            <div class="text-xs font-medium text-slate-200 truncate">${escapeHtml(metric.name.replace(/_/g, ' '))}</div>
+            ${labelsStr ? `<div class="text-xs text-slate-400 truncate">${escapeHtml(labelsStr)}</div>` : ''}
+          </div>
+          <div class="text-sm font-mono font-bold ${valueColor.className} ml-2" style="${valueColor.style}">
+            ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
+          </div>
+        </div>
+        ${points.length > 1 ? `<div class="mt-1">${renderSparkline(points, { width: 200, height: 20 })}</div>` : ''}
+      </div>
+    `;
+  }
+
+  createMetricCard(metric) {
     const labelsStr = Object.keys(metric.labels).length > 0 ?
       Object.entries(metric.labels).map(([k, v]) => `${k}: ${v}`).join(', ') :
       '';
+    const valueColor = this.getValueColor(metric.value, 'text-cyan-300');
 
-    content.innerHTML = `
+    return `
       <div class="text-center">
         <div class="text-lg font-medium text-slate-200 mb-2">${metric.name.replace(/_/g, ' ')}</div>
         ${labelsStr ? `<div class="text-sm text-slate-400 mb-4">${labelsStr}</div>` : ''}
-        <div class="text-3xl font-mono font-bold text-cyan-300 mb-2">
-          ${formatValue(metric.value, metric.name, metric)}
+        <div class="text-3xl font-mono font-bold ${valueColor.className} mb-2" style="${valueColor.style}">
+          ${this.formatDisplayValue(metric.value, formatValue(metric.value, metric.name, metric))}
         </div>
+        ${this.createTrendSection(metric)}
         <div class="text-xs text-slate-500">
           ${formatTimestamp(metric.last_updated)}
         </div>
@@ -445,17 +684,64 @@ export class TelemetryMetricWidget extends BaseWidget {
         ` : ''}
       </div>
     `;
+  }
 
-    this.ensureCloseButton();
-    this.autoSize(4, 3, 6, 4);
+  // Sparkline and (when expanded) full line chart over the last `chartMinutes`. With the
+  // sparkline turned off the chart toggle is still offered once there is history.
+  createTrendSection(metric) {
+    const windowSeconds = this.chartMinutes * 60;
+    const points = metricHistory.getSeries(metric.source, 'telemetry', metric.key, windowSeconds);
+    if (!this.showSparkline && !this.chartExpanded && points.length === 0) return '';
+    const format = value => formatValue(value, metric.name, metric);
+
+    const sparkline = this.showSparkline && !this.chartExpanded ? renderSparkline(points) : '';
+    const chart = this.chartExpanded ? renderLineChart(points, {
+      stats: metricHistory.getStats(metric.source, 'telemetry', metric.key, windowSeconds),
+      formatValue: format
+    }) : '';
+
+    return `
+      <div class="mb-2">
+        ${sparkline ? `<div class="flex justify-center">${sparkline}</div>` : ''}
+        ${chart ? `<div class="flex justify-center">${chart}</div>` : ''}
+        <button class="widget-chart-toggle" data-action="toggle-chart">
+          ${this.chartExpanded ? '▲ Hide chart' : `▼ Last ${this.chartMinutes}m chart`}
+        </button>
+      </div>
+    `;
   }
 
-  update(data) {
+  toggleChart() {
+    this.chartExpanded = !this.chartExpanded;
+    this.updateConfig({ chartExpanded: this.chartExpanded }, this.chartExpanded ? 'Show chart' : 'Hide chart');
     this.updateContent();
   }
 
+  getLastUpdated() {
+    const nodeTelemetry = readNodeData(telemetryData, this.getSource());
+    if (this.selector) {
+      return this.getNewestTimestamp(selectSeries(this.selector, nodeTelemetry));
+    }
+    const metric = nodeTelemetry[this.targetKey] || nodeTelemetry[this.selectedMetric?.key];
+    return metric ? metric.last_updated : null;
+  }
+
+  getAlertMetrics() {
+    if (this.selector) {
+      return selectSeries(this.selector, readNodeData(telemetryData, this.getSource())).map(metric => ({ stream: 'telemetry', key: metric.key }));
+    }
+    const key = this.targetKey || this.selectedMetric?.key;
+    return key ? [{ stream: 'telemetry', key }] : [];
+  }
+
+  update(data) {
+    this.scheduleUpdate();
+  }
+
   subscribeToUpdates() {
-    this.updateCallback = (data) => this.update(data);
+    this.updateCallback = (data, source) => {
+      if (this.acceptsSource(source)) this.update(data);
+    };
     subscribeToStream('telemetry', this.updateCallback);
   }
 
@@ -475,4 +761,3 @@ export class TelemetryMetricWidget extends BaseWidget {
     super.destroy();
   }
 }
-